@@ -13,6 +13,16 @@ const serverCommand = require('../src/commands/server');
 const promoteCommand = require('../src/commands/promote');
 const patchCommand = require('../src/commands/patch');
 const historyCommand = require('../src/commands/history');
+const keygenCommand = require('../src/commands/keygen');
+const loginCommand = require('../src/commands/login');
+const logoutCommand = require('../src/commands/logout');
+const accessKeyCommands = require('../src/commands/access-key');
+const appCommands = require('../src/commands/app');
+const deploymentCommands = require('../src/commands/deployment');
+const testersCommands = require('../src/commands/testers');
+const auditCommand = require('../src/commands/audit');
+const releaseCommands = require('../src/commands/release');
+const gcCommand = require('../src/commands/gc');
 
 console.log(chalk.hex('#FF6B6B')(`
 ╦  ╦ ╦╔╗╔╔═╗  ╦ ╦╔═╗╔╦╗  ╦ ╦╔═╗╔╦╗╔═╗╔╦╗╔═╗
@@ -36,23 +46,38 @@ program
   .command('publish')
   .description('Publish a new bundle version')
   .option('-p, --platform <platform>', 'Target platform (android/ios/all)', 'all')
+  .option('--deployment <name>', 'Target deployment (default: staging when configured)')
+  .option('-y, --yes', 'Publish to production without confirmation')
   .option('-v, --version <version>', 'Version number (e.g., 1.0.1)')
   .option('-d, --description <desc>', 'Update description')
   .option('--mandatory', 'Force users to update')
-  .option('--rollout <percentage>', 'Gradual rollout percentage (1-100)', '100')
+  .option('--rollout <percentage>', 'Gradual rollout percentage (0-100)', '100')
+  .option('--ramp <schedule>', 'Rollout schedule that ramps up over time, e.g. "1%@0h,10%@6h,50%@24h,100%@48h"')
+  .option('--rules <file>', 'JSON file with targeting rules (osVersion, deviceModel, locale, attrs)')
+  .option('--testers-only', 'Only deliver to devices on the tester allowlist')
+  .option('--max-failure-rate <percent>', 'Halt the release when the install failure rate exceeds this')
+  .option('--min-reports <n>', 'Install reports needed before the failure rate is checked (default: 200)')
+  .option('--halt-action <action>', 'What halting does: disable or freeze (keep the current rollout)')
+  .option('--diff', 'Create a differential package against the previous release')
+  .option('--binary-diff', 'Store modified files in the diff package as byte-level patches')
+  .option('--private-key <path>', 'Ed25519 private key used to sign the package')
+  .option('--reason <text>', 'Reason recorded in the server audit log')
   .action(publishCommand);
 
 program
   .command('rollback')
   .description('Rollback to a previous version')
   .option('-p, --platform <platform>', 'Target platform (android/ios/all)', 'all')
-  .option('-v, --version <version>', 'Target version to rollback to')
+  .option('--deployment <name>', 'Deployment to roll back (default: staging when configured)')
+  .option('-v, --version <release>', 'Target label (v3) or version to rollback to')
+  .option('--reason <text>', 'Reason recorded in the server audit log')
   .action(rollbackCommand);
 
 program
   .command('status')
   .description('Show current deployment status')
   .option('-p, --platform <platform>', 'Target platform (android/ios/all)', 'all')
+  .option('--deployment <name>', 'Deployment to show (default: staging when configured)')
   .action(statusCommand);
 
 program
@@ -77,26 +102,229 @@ program
   .option('-s, --source <env>', 'Source environment', 'staging')
   .option('-t, --target <env>', 'Target environment', 'production')
   .option('--rollout <percentage>', 'Rollout percentage for promoted release')
+  .option('--reason <text>', 'Reason recorded in the server audit log')
   .option('-y, --yes', 'Skip confirmation')
   .action(promoteCommand);
 
 program
-  .command('patch <version>')
-  .description('Modify release metadata')
+  .command('patch <release>')
+  .description('Modify release metadata (release is a label like v3, or a version)')
   .option('-p, --platform <platform>', 'Target platform (android/ios/all)', 'all')
+  .option('--deployment <name>', 'Deployment of the release (default: staging when configured)')
   .option('--disabled <bool>', 'Disable/enable release (true/false)')
-  .option('--rollout <percentage>', 'Update rollout percentage')
+  .option('--rollout <percentage>', 'Update rollout percentage (stops the ramp schedule)')
+  .option('--ramp <schedule>', 'Restart with a new ramp schedule from now, or "off" to keep the current rollout')
   .option('--mandatory <bool>', 'Set mandatory flag (true/false)')
+  .option('--testers-only <bool>', 'Limit the release to the tester allowlist (true/false)')
+  .option('--max-failure-rate <percent>', 'Set the failure rate that halts the release, or "off"')
+  .option('--min-reports <n>', 'Install reports needed before the failure rate is checked (default: 200)')
+  .option('--halt-action <action>', 'What halting does: disable or freeze (keep the current rollout)')
+  .option('--resume', 'Resume a halted release and turn off its automatic halting')
   .option('-d, --description <desc>', 'Update description')
   .option('--target-binary-version <range>', 'Update target binary version')
+  .option('--rules <file>', 'Replace targeting rules with the JSON file')
+  .option('--clear-rules', 'Remove targeting rules, the release applies to all devices')
+  .option('--reason <text>', 'Reason recorded in the server audit log')
   .action(patchCommand);
 
 program
-  .command('history')
-  .description('Show release history')
+  .command('history [release]')
+  .description('Show release history, or only the given label (v3) or version')
   .option('-p, --platform <platform>', 'Target platform (android/ios/all)', 'all')
+  .option('--deployment <name>', 'Deployment to show (default: staging when configured)')
   .option('-n, --limit <number>', 'Number of releases to show', '10')
   .option('-v, --verbose', 'Show descriptions')
+  .option('--days <number>', 'Days of daily statistics when showing one release', '14')
   .action(historyCommand);
 
+program
+  .command('keygen')
+  .description('Generate an Ed25519 keypair for signing update packages')
+  .option('-o, --out <dir>', 'Output directory for the keypair', '.lynx-keys')
+  .option('-f, --force', 'Overwrite an existing keypair')
+  .action(keygenCommand);
+
+program
+  .command('login [server]')
+  .description('Log in to an update server with an access key')
+  .option('-k, --access-key <key>', 'Access key (prompted if omitted)')
+  .action(loginCommand);
+
+program
+  .command('logout [server]')
+  .description('Forget the saved access key for an update server')
+  .action(logoutCommand);
+
+const accessKey = program
+  .command('access-key')
+  .description('Manage server access keys (requires admin scope)');
+
+accessKey
+  .command('add <name>')
+  .description('Create an access key')
+  .option('-s, --scope <scopes>', 'Comma-separated scopes: read, publish, admin', 'publish')
+  .option('-a, --app <app>', 'Limit the key to one app')
+  .option('--server <url>', 'Update server URL')
+  .action(accessKeyCommands.add);
+
+accessKey
+  .command('list')
+  .description('List access keys')
+  .option('--server <url>', 'Update server URL')
+  .action(accessKeyCommands.list);
+
+accessKey
+  .command('remove <id>')
+  .description('Revoke an access key')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--server <url>', 'Update server URL')
+  .action(accessKeyCommands.remove);
+
+const app = program
+  .command('app')
+  .description('Manage apps on the update server');
+
+app
+  .command('add <name>')
+  .description('Create an app with staging and production deployments')
+  .option('--deployments <names>', 'Comma-separated initial deployments', 'staging,production')
+  .option('--server <url>', 'Update server URL')
+  .action(appCommands.add);
+
+app
+  .command('list')
+  .description('List apps and their deployment keys')
+  .option('--server <url>', 'Update server URL')
+  .action(appCommands.list);
+
+app
+  .command('rename <name> <newName>')
+  .description('Rename an app')
+  .option('--server <url>', 'Update server URL')
+  .action(appCommands.rename);
+
+app
+  .command('remove <name>')
+  .description('Delete an app with all of its deployments and releases')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--server <url>', 'Update server URL')
+  .action(appCommands.remove);
+
+const deployment = program
+  .command('deployment')
+  .description('Manage deployments of an app (defaults to the current project)');
+
+deployment
+  .command('add <name>')
+  .description('Create a deployment (e.g. qa, beta)')
+  .option('-a, --app <app>', 'App name')
+  .option('--server <url>', 'Update server URL')
+  .action(deploymentCommands.add);
+
+deployment
+  .command('list')
+  .description('List deployments and sync their keys into lynx-update.json')
+  .option('-a, --app <app>', 'App name')
+  .option('--server <url>', 'Update server URL')
+  .action(deploymentCommands.list);
+
+deployment
+  .command('rename <name> <newName>')
+  .description('Rename a deployment, its key stays the same')
+  .option('-a, --app <app>', 'App name')
+  .option('--server <url>', 'Update server URL')
+  .action(deploymentCommands.rename);
+
+deployment
+  .command('remove <name>')
+  .description('Delete a deployment with all of its releases')
+  .option('-a, --app <app>', 'App name')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--server <url>', 'Update server URL')
+  .action(deploymentCommands.remove);
+
+deployment
+  .command('rotate <name>')
+  .description('Generate a new deployment key')
+  .option('-a, --app <app>', 'App name')
+  .option('--revoke-old', 'Stop accepting the old key immediately')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--server <url>', 'Update server URL')
+  .action(deploymentCommands.rotate);
+
+const testers = program
+  .command('testers')
+  .description('Manage tester allowlists and denylists of a deployment (defaults to the current project)');
+
+testers
+  .command('add <ids...>')
+  .description('Add device or user IDs to the allowlist (or the denylist with --deny)')
+  .option('-a, --app <app>', 'App name')
+  .option('--deployment <name>', 'Deployment (default: staging when configured)')
+  .option('--user', 'IDs are user IDs instead of device IDs')
+  .option('--deny', 'Add to the denylist instead')
+  .option('--release <label>', 'Only apply to this release (e.g. v4)')
+  .option('--name <note>', 'Note shown in "testers list"')
+  .option('--server <url>', 'Update server URL')
+  .action(testersCommands.add);
+
+testers
+  .command('remove <ids...>')
+  .description('Remove device or user IDs from the allowlist (or the denylist with --deny)')
+  .option('-a, --app <app>', 'App name')
+  .option('--deployment <name>', 'Deployment (default: staging when configured)')
+  .option('--user', 'IDs are user IDs instead of device IDs')
+  .option('--deny', 'Remove from the denylist instead')
+  .option('--release <label>', 'Remove the entries of this release')
+  .option('--server <url>', 'Update server URL')
+  .action(testersCommands.remove);
+
+testers
+  .command('list')
+  .description('List testers of a deployment')
+  .option('-a, --app <app>', 'App name')
+  .option('--deployment <name>', 'Deployment (default: staging when configured)')
+  .option('--server <url>', 'Update server URL')
+  .action(testersCommands.list);
+
+program
+  .command('audit')
+  .description('Show who uploaded, patched, promoted, rolled back or deleted releases (defaults to the current project)')
+  .option('-a, --app <app>', 'App name')
+  .option('--deployment <name>', 'Only this deployment')
+  .option('-p, --platform <platform>', 'Only this platform (android/ios)')
+  .option('--release <label>', 'Only this release (e.g. v4)')
+  .option('--action <action>', 'Only this action: upload, patch, promote, rollback, halt or delete')
+  .option('--actor <name>', 'Only changes made with this access key name')
+  .option('--since <time>', 'Only entries since a duration ago (12h, 7d) or a date')
+  .option('-n, --limit <number>', 'Number of entries to show', '20')
+  .option('--server <url>', 'Update server URL')
+  .action(auditCommand);
+
+const release = program
+  .command('release')
+  .description('Manage single releases');
+
+release
+  .command('rm <release>')
+  .alias('remove')
+  .description('Delete a release by label (v3) or version, with its unused packages')
+  .option('-p, --platform <platform>', 'Target platform (android/ios/all)', 'all')
+  .option('--deployment <name>', 'Deployment of the release (default: staging when configured)')
+  .option('--force', 'Also delete the latest release or one that devices still run')
+  .option('--reason <text>', 'Reason recorded in the server audit log')
+  .option('-y, --yes', 'Skip confirmation')
+  .action(releaseCommands.rm);
+
+program
+  .command('gc')
+  .description('Delete old releases by the retention policy and reclaim unused packages and diffs')
+  .option('--dry-run', 'Only list what would be deleted')
+  .option('--keep <n>', 'Releases to keep per deployment and platform (default: server RETAIN_RELEASES, 0 keeps all)')
+  .option('--active-days <n>', 'Keep releases that devices ran in this many days (default: server RETAIN_ACTIVE_DAYS)')
+  .option('--reason <text>', 'Reason recorded in the server audit log')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--server <url>', 'Update server URL')
+  .action(gcCommand);
+
 program.parse();
@@ -3,6 +3,8 @@ package com.lynx.hotupdate
 import android.content.Context
 import android.content.Intent
 import android.content.SharedPreferences
+import android.os.Build
+import android.util.Base64
 import android.util.Log
 import kotlinx.coroutines.*
 import kotlinx.coroutines.CancellableContinuation
@@ -10,6 +12,9 @@ import java.io.*
 import java.net.HttpURLConnection
 import java.net.URL
 import java.security.MessageDigest
+import java.util.Locale
+import org.bouncycastle.crypto.params.Ed25519PublicKeyParameters
+import org.bouncycastle.crypto.signers.Ed25519Signer
 import org.json.JSONObject
 
 /**
@@ -18,6 +23,7 @@ import org.json.JSONObject
  * Usage:
  * 1. Initialize in Application:
  *    LynxHotUpdate.init(context, "your-deployment-key", "https://your-server.com")
+ *    Pass the public key from `lynx-update keygen` as `publicKey` to only install signed updates
  * 
  * 2. Check for updates:
  *    LynxHotUpdate.checkForUpdate { result -> ... }
@@ -30,23 +36,35 @@ object LynxHotUpdate {
     private const val PREFS_NAME = "lynx_hot_update"
     private const val KEY_CURRENT_VERSION = "current_version"
     private const val KEY_PENDING_VERSION = "pending_version"
+    private const val KEY_CURRENT_LABEL = "current_label"
+    private const val KEY_PENDING_LABEL = "pending_label"
     private const val KEY_BUNDLE_HASH = "bundle_hash"
+    private const val KEY_DEVICE_ID = "device_id"
     
     private lateinit var context: Context
     private lateinit var deploymentKey: String
     private lateinit var serverUrl: String
     private lateinit var prefs: SharedPreferences
+    private var publicKey: String? = null
     
     private val scope = CoroutineScope(Dispatchers.IO + SupervisorJob())
     
+    @Volatile
+    private var attributes: Map<String, String> = emptyMap()
+    
+    @Volatile
+    private var userId: String? = null
+    
     /**
      * Initialize the hot update SDK
+     * @param publicKey PEM public key from `lynx-update keygen`; when set, unsigned or tampered updates are rejected
      */
-    fun init(context: Context, deploymentKey: String, serverUrl: String) {
+    fun init(context: Context, deploymentKey: String, serverUrl: String, publicKey: String? = null) {
         this.context = context.applicationContext
         this.deploymentKey = deploymentKey
         this.serverUrl = serverUrl.trimEnd('/')
         this.prefs = context.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE)
+        this.publicKey = publicKey
         
         Log.d(TAG, "Initialized with server: $serverUrl")
         
@@ -111,9 +129,21 @@ object LynxHotUpdate {
                 connection.setRequestProperty("X-Deployment-Key", deploymentKey)
                 connection.doOutput = true
                 
+                val currentLabel = prefs.getString(KEY_CURRENT_LABEL, null)
+                
                 val requestBody = JSONObject().apply {
                     put("currentVersion", currentVersion)
+                    // 服务器按标签区分同一版本号的多次发布
+                    if (currentLabel != null) put("currentLabel", currentLabel)
+                    // 与发布的定向规则匹配
+                    put("osVersion", Build.VERSION.RELEASE)
+                    put("deviceModel", Build.MODEL)
+                    put("locale", Locale.getDefault().toLanguageTag())
+                    put("attrs", JSONObject(attributes))
                     put("platform", "android")
+                    put("deviceId", getDeviceId())
+                    // 测试名单可以按用户 ID 配置
+                    userId?.let { put("userId", it) }
                 }.toString()
                 
                 connection.outputStream.use { os ->
@@ -128,12 +158,17 @@ object LynxHotUpdate {
                     if (json.getBoolean("updateAvailable")) {
                         val result = UpdateResult(
                             updateAvailable = true,
+                            label = json.optString("label").ifEmpty { null },
                             version = json.getString("version"),
                             downloadUrl = json.getString("downloadUrl"),
                             hash = json.getString("hash"),
                             size = json.getLong("size"),
                             description = json.optString("description", ""),
-                            mandatory = json.optBoolean("mandatory", false)
+                            mandatory = json.optBoolean("mandatory", false),
+                            rollback = json.optBoolean("rollback", false),
+                            signature = json.optString("signature").ifEmpty { null },
+                            signatureAlgorithm = json.optString("signatureAlgorithm").ifEmpty { null },
+                            signedManifest = json.optString("signedManifest").ifEmpty { null }
                         )
                         withContext(Dispatchers.Main) { callback(result) }
                     } else {
@@ -172,29 +207,48 @@ object LynxHotUpdate {
         scope.launch {
             try {
                 val url = URL(updateResult.downloadUrl)
+                val tempFile = File(context.cacheDir, "update_${updateResult.version}.zip")
+                val etagFile = File(context.cacheDir, "update_${updateResult.version}.etag")
+                
+                // Resume a previous partial download if the package is unchanged
+                var resumeFrom = 0L
                 val connection = url.openConnection() as HttpURLConnection
+                if (tempFile.exists() && etagFile.exists()) {
+                    resumeFrom = tempFile.length()
+                    connection.setRequestProperty("Range", "bytes=$resumeFrom-")
+                    connection.setRequestProperty("If-Range", etagFile.readText())
+                }
                 connection.connect()
                 
-                val totalSize = connection.contentLength
-                val tempFile = File(context.cacheDir, "update_${updateResult.version}.zip")
-                
-                connection.inputStream.use { input ->
-                    FileOutputStream(tempFile).use { output ->
-                        val buffer = ByteArray(8192)
-                        var downloaded = 0L
-                        var bytesRead: Int
-                        
-                        while (input.read(buffer).also { bytesRead = it } != -1) {
-                            output.write(buffer, 0, bytesRead)
-                            downloaded += bytesRead
+                val responseCode = connection.responseCode
+                // 416: the partial file is already complete
+                if (responseCode != 416) {
+                    val resumed = responseCode == HttpURLConnection.HTTP_PARTIAL
+                    if (!resumed) resumeFrom = 0L
+                    connection.getHeaderField("ETag")?.let { etagFile.writeText(it) }
+                    
+                    val contentLength = connection.getHeaderField("Content-Length")?.toLongOrNull() ?: -1L
+                    val totalSize = if (contentLength > 0) resumeFrom + contentLength else -1L
+                    
+                    connection.inputStream.use { input ->
+                        FileOutputStream(tempFile, resumed).use { output ->
+                            val buffer = ByteArray(8192)
+                            var downloaded = resumeFrom
+                            var bytesRead: Int
                             
-                            if (totalSize > 0) {
-                                val progress = ((downloaded * 100) / totalSize).toInt()
-                                withContext(Dispatchers.Main) { onProgress?.invoke(progress) }
+                            while (input.read(buffer).also { bytesRead = it } != -1) {
+                                output.write(buffer, 0, bytesRead)
+                                downloaded += bytesRead
+                                
+                                if (totalSize > 0) {
+                                    val progress = ((downloaded * 100) / totalSize).toInt()
+                                    withContext(Dispatchers.Main) { onProgress?.invoke(progress) }
+                                }
                             }
                         }
                     }
                 }
+                etagFile.delete()
                 
                 // Verify hash
                 val fileHash = calculateHash(tempFile)
@@ -206,8 +260,18 @@ object LynxHotUpdate {
                     return@launch
                 }
                 
+                // Verify the signature when the app embeds a public key
+                val signatureError = verifySignature(updateResult, tempFile, fileHash)
+                if (signatureError != null) {
+                    tempFile.delete()
+                    withContext(Dispatchers.Main) {
+                        onComplete(false, signatureError)
+                    }
+                    return@launch
+                }
+                
                 // Extract and install
-                val success = installUpdate(tempFile, updateResult.version!!)
+                val success = installUpdate(tempFile, updateResult.version!!, updateResult.label)
                 tempFile.delete()
                 
                 withContext(Dispatchers.Main) {
@@ -227,7 +291,7 @@ object LynxHotUpdate {
         }
     }
     
-    private fun installUpdate(zipFile: File, version: String): Boolean {
+    private fun installUpdate(zipFile: File, version: String, label: String?): Boolean {
         return try {
             val bundleDir = File(context.filesDir, "lynx_bundles")
             val pendingDir = File(context.filesDir, "lynx_pending")
@@ -241,6 +305,7 @@ object LynxHotUpdate {
             // Save pending version info
             prefs.edit()
                 .putString(KEY_PENDING_VERSION, version)
+                .putString(KEY_PENDING_LABEL, label)
                 .apply()
             
             Log.d(TAG, "Update downloaded, will apply on next launch")
@@ -267,7 +332,9 @@ object LynxHotUpdate {
             // Update version info
             prefs.edit()
                 .putString(KEY_CURRENT_VERSION, pendingVersion)
+                .putString(KEY_CURRENT_LABEL, prefs.getString(KEY_PENDING_LABEL, null))
                 .remove(KEY_PENDING_VERSION)
+                .remove(KEY_PENDING_LABEL)
                 .apply()
             
             Log.d(TAG, "Applied pending update: $pendingVersion")
@@ -276,6 +343,41 @@ object LynxHotUpdate {
         }
     }
     
+    /**
+     * 校验签名清单：签名有效，且清单中的版本、平台、哈希和大小与下载的完整包一致
+     * 服务器不会为签名的发布返回差分包
+     * @return 失败原因，未配置公钥或校验通过时为 null
+     */
+    private fun verifySignature(updateResult: UpdateResult, file: File, fileHash: String): String? {
+        val pem = publicKey ?: return null
+        val signature = updateResult.signature
+        val manifest = updateResult.signedManifest
+        if (signature == null || manifest == null || updateResult.signatureAlgorithm != "ed25519") {
+            return "Update is not signed"
+        }
+        
+        // keygen 生成的是 SPKI 格式的公钥，最后 32 字节为 Ed25519 公钥
+        val der = Base64.decode(pem.replace(Regex("-----[^-]+-----|\\s"), ""), Base64.DEFAULT)
+        if (der.size < 32) return "Invalid public key"
+        
+        val signer = Ed25519Signer()
+        signer.init(false, Ed25519PublicKeyParameters(der, der.size - 32))
+        val manifestBytes = manifest.toByteArray(Charsets.UTF_8)
+        signer.update(manifestBytes, 0, manifestBytes.size)
+        if (!signer.verifySignature(Base64.decode(signature, Base64.DEFAULT))) {
+            return "Signature verification failed"
+        }
+        
+        val json = JSONObject(manifest)
+        if (json.optString("version") != updateResult.version ||
+            json.optString("platform") != "android" ||
+            json.optString("hash") != fileHash ||
+            json.optLong("size", -1L) != file.length()) {
+            return "Signed manifest does not match the package"
+        }
+        return null
+    }
+    
     private fun calculateHash(file: File): String {
         val digest = MessageDigest.getInstance("SHA-256")
         file.inputStream().use { input ->
@@ -306,6 +408,32 @@ object LynxHotUpdate {
         }
     }
     
+    /**
+     * Custom attributes matched against the `attrs` targeting rules, e.g. mapOf("tier" to "vip")
+     */
+    fun setAttributes(attributes: Map<String, String>) {
+        this.attributes = attributes.toMap()
+    }
+    
+    /**
+     * Signed-in user ID, matched against tester lists added with `lynx-update testers add --user`
+     */
+    fun setUserId(userId: String?) {
+        this.userId = userId
+    }
+    
+    /**
+     * Stable per-install ID used by the server for sticky rollout buckets
+     */
+    fun getDeviceId(): String {
+        val existing = prefs.getString(KEY_DEVICE_ID, null)
+        if (existing != null) return existing
+        
+        val deviceId = java.util.UUID.randomUUID().toString()
+        prefs.edit().putString(KEY_DEVICE_ID, deviceId).apply()
+        return deviceId
+    }
+    
     /**
      * Get current installed version
      */
@@ -347,7 +475,7 @@ object LynxHotUpdate {
         Log.d(TAG, "Update $currentVersion confirmed successful")
         
         // 报告安装成功
-        reportInstallStatus("success", currentVersion)
+        reportInstallStatus("success", currentVersion, prefs.getString(KEY_CURRENT_LABEL, null))
     }
     
     /**
@@ -358,7 +486,7 @@ object LynxHotUpdate {
         Log.e(TAG, "Update $currentVersion marked as failed, rolling back...")
         
         // 报告安装失败
-        reportInstallStatus("failure", currentVersion)
+        reportInstallStatus("failure", currentVersion, prefs.getString(KEY_CURRENT_LABEL, null))
         
         // 执行回滚
         rollbackToPreviousVersion()
@@ -381,6 +509,8 @@ object LynxHotUpdate {
             
             if (launchCount >= 3) {
                 Log.e(TAG, "Update failed after $launchCount launches, rolling back...")
+                // 失败率超过健康策略的阈值时服务器会暂停该发布
+                reportInstallStatus("failure", currentVersion, prefs.getString(KEY_CURRENT_LABEL, null))
                 rollbackToPreviousVersion()
             }
         }
@@ -391,6 +521,8 @@ object LynxHotUpdate {
      */
     private fun rollbackToPreviousVersion() {
         val previousVersion = prefs.getString("previous_version", null) ?: return
+        val failedVersion = prefs.getString(KEY_CURRENT_VERSION, null)
+        val failedLabel = prefs.getString(KEY_CURRENT_LABEL, null)
         val previousBundleDir = File(context.filesDir, "lynx_bundles_backup")
         val currentBundleDir = File(context.filesDir, "lynx_bundles")
         
@@ -398,8 +530,15 @@ object LynxHotUpdate {
             currentBundleDir.deleteRecursively()
             previousBundleDir.renameTo(currentBundleDir)
             
+            // 按发布统计回滚次数
+            if (failedVersion != null) {
+                reportInstallStatus("rollback", failedVersion, failedLabel)
+            }
+            
+            // 不知道上一版本的标签，由服务器按版本号判断
             prefs.edit()
                 .putString(KEY_CURRENT_VERSION, previousVersion)
+                .remove(KEY_CURRENT_LABEL)
                 .remove("previous_version")
                 .apply()
             
@@ -410,7 +549,7 @@ object LynxHotUpdate {
     /**
      * 报告安装状态到服务器
      */
-    private fun reportInstallStatus(status: String, version: String) {
+    private fun reportInstallStatus(status: String, version: String, label: String?) {
         scope.launch {
             try {
                 val url = URL("$serverUrl/api/report-install")
@@ -423,7 +562,9 @@ object LynxHotUpdate {
                     put("deploymentKey", deploymentKey)
                     put("platform", "android")
                     put("version", version)
+                    if (label != null) put("label", label)
                     put("status", status)
+                    put("deviceId", getDeviceId())
                 }.toString()
                 
                 connection.outputStream.use { os ->
@@ -444,7 +585,8 @@ object LynxHotUpdate {
     suspend fun syncUpdate(): Boolean {
         return suspendCancellableCoroutine { continuation ->
             checkForUpdate { result ->
-                if (result.updateAvailable && result.mandatory) {
+                // 回滚发布的版本号可能更低，同样需要立即安装
+                if (result.updateAvailable && (result.mandatory || result.rollback)) {
                     downloadUpdate(result,
                         onProgress = null,
                         onComplete = { success, _ ->
@@ -461,11 +603,16 @@ object LynxHotUpdate {
 
 data class UpdateResult(
     val updateAvailable: Boolean,
+    val label: String? = null,
     val version: String? = null,
     val downloadUrl: String? = null,
     val hash: String? = null,
     val size: Long = 0,
     val description: String = "",
     val mandatory: Boolean = false,
+    val rollback: Boolean = false,
+    val signature: String? = null,
+    val signatureAlgorithm: String? = null,
+    val signedManifest: String? = null,
     val error: String? = null
 )
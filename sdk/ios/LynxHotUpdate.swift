@@ -1,4 +1,5 @@
 import Foundation
+import CryptoKit
 
 /**
  * Lynx Hot Update SDK for iOS
@@ -6,6 +7,7 @@ import Foundation
  * Usage:
  * 1. Initialize in AppDelegate:
  *    LynxHotUpdate.shared.initialize(deploymentKey: "your-key", serverUrl: "https://your-server.com")
+ *    Pass the public key from `lynx-update keygen` as `publicKey` to only install signed updates
  *
  * 2. Check for updates:
  *    LynxHotUpdate.shared.checkForUpdate { result in ... }
@@ -20,19 +22,28 @@ public class LynxHotUpdate {
     private let userDefaultsKey = "lynx_hot_update"
     private let currentVersionKey = "current_version"
     private let pendingVersionKey = "pending_version"
+    private let currentLabelKey = "current_label"
+    private let pendingLabelKey = "pending_label"
+    private let deviceIdKey = "device_id"
     
     private var deploymentKey: String = ""
     private var serverUrl: String = ""
+    private var publicKey: String?
     private var isInitialized = false
+    private var resumeData: [String: Data] = [:]
+    private var attributes: [String: String] = [:]
+    private var userId: String?
     
     private init() {}
     
     // MARK: - Public Methods
     
     /// Initialize the hot update SDK
-    public func initialize(deploymentKey: String, serverUrl: String) {
+    /// - Parameter publicKey: PEM public key from `lynx-update keygen`; when set, unsigned or tampered updates are rejected
+    public func initialize(deploymentKey: String, serverUrl: String, publicKey: String? = nil) {
         self.deploymentKey = deploymentKey
         self.serverUrl = serverUrl.trimmingCharacters(in: CharacterSet(charactersIn: "/"))
+        self.publicKey = publicKey
         self.isInitialized = true
         
         print("[LynxHotUpdate] Initialized with server: \(serverUrl)")
@@ -98,10 +109,25 @@ public class LynxHotUpdate {
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
         request.setValue(deploymentKey, forHTTPHeaderField: "X-Deployment-Key")
         
-        let body: [String: Any] = [
+        let os = ProcessInfo.processInfo.operatingSystemVersion
+        var body: [String: Any] = [
             "currentVersion": currentVersion,
-            "platform": "ios"
+            "platform": "ios",
+            "deviceId": getDeviceId(),
+            // Matched against the release targeting rules
+            "osVersion": "\(os.majorVersion).\(os.minorVersion).\(os.patchVersion)",
+            "deviceModel": getDeviceModel(),
+            "locale": Locale.current.identifier.replacingOccurrences(of: "_", with: "-"),
+            "attrs": attributes
         ]
+        // Tester lists can be keyed by user ID
+        if let userId = userId {
+            body["userId"] = userId
+        }
+        // The server tells apart several releases of the same version by label
+        if let currentLabel = UserDefaults.standard.string(forKey: currentLabelKey) {
+            body["currentLabel"] = currentLabel
+        }
         request.httpBody = try? JSONSerialization.data(withJSONObject: body)
         
         URLSession.shared.dataTask(with: request) { data, response, error in
@@ -120,12 +146,17 @@ public class LynxHotUpdate {
                 if let updateAvailable = json["updateAvailable"] as? Bool, updateAvailable {
                     let result = UpdateResult(
                         updateAvailable: true,
+                        label: json["label"] as? String,
                         version: json["version"] as? String,
                         downloadUrl: json["downloadUrl"] as? String,
                         hash: json["hash"] as? String,
                         size: json["size"] as? Int64 ?? 0,
                         description: json["description"] as? String ?? "",
-                        mandatory: json["mandatory"] as? Bool ?? false
+                        mandatory: json["mandatory"] as? Bool ?? false,
+                        rollback: json["rollback"] as? Bool ?? false,
+                        signature: json["signature"] as? String,
+                        signatureAlgorithm: json["signatureAlgorithm"] as? String,
+                        signedManifest: json["signedManifest"] as? String
                     )
                     completion(result)
                 } else {
@@ -148,14 +179,19 @@ public class LynxHotUpdate {
             return
         }
         
-        let task = URLSession.shared.downloadTask(with: downloadUrl) { [weak self] tempUrl, response, error in
+        let handler: (URL?, URLResponse?, Error?) -> Void = { [weak self] tempUrl, response, error in
             guard let self = self else { return }
             
             DispatchQueue.main.async {
                 if let error = error {
+                    // Keep resume data so the next attempt continues with a Range request
+                    if let data = (error as NSError).userInfo[NSURLSessionDownloadTaskResumeData] as? Data {
+                        self.resumeData[downloadUrlString] = data
+                    }
                     completion(false, error.localizedDescription)
                     return
                 }
+                self.resumeData.removeValue(forKey: downloadUrlString)
                 
                 guard let tempUrl = tempUrl else {
                     completion(false, "Download failed")
@@ -163,23 +199,54 @@ public class LynxHotUpdate {
                 }
                 
                 // Verify hash if provided
-                if let expectedHash = updateResult.hash {
-                    let fileHash = self.calculateHash(tempUrl)
-                    if fileHash != expectedHash {
-                        completion(false, "Hash verification failed")
-                        return
-                    }
+                let fileHash = self.calculateHash(tempUrl)
+                if let expectedHash = updateResult.hash, fileHash != expectedHash {
+                    completion(false, "Hash verification failed")
+                    return
+                }
+                
+                // Verify the signature when the app embeds a public key
+                if let signatureError = self.verifySignature(updateResult, fileUrl: tempUrl, fileHash: fileHash) {
+                    completion(false, signatureError)
+                    return
                 }
                 
                 // Install update
-                let success = self.installUpdate(tempUrl, version: updateResult.version ?? "unknown")
+                let success = self.installUpdate(tempUrl, version: updateResult.version ?? "unknown", label: updateResult.label)
                 completion(success, success ? nil : "Installation failed")
             }
         }
         
+        let task: URLSessionDownloadTask
+        if let data = resumeData[downloadUrlString] {
+            task = URLSession.shared.downloadTask(withResumeData: data, completionHandler: handler)
+        } else {
+            task = URLSession.shared.downloadTask(with: downloadUrl, completionHandler: handler)
+        }
         task.resume()
     }
     
+    /// Custom attributes matched against the `attrs` targeting rules, e.g. ["tier": "vip"]
+    public func setAttributes(_ attributes: [String: String]) {
+        self.attributes = attributes
+    }
+    
+    /// Signed-in user ID, matched against tester lists added with `lynx-update testers add --user`
+    public func setUserId(_ userId: String?) {
+        self.userId = userId
+    }
+    
+    /// Stable per-install ID used by the server for sticky rollout buckets
+    public func getDeviceId() -> String {
+        if let existing = UserDefaults.standard.string(forKey: deviceIdKey) {
+            return existing
+        }
+        
+        let deviceId = UUID().uuidString
+        UserDefaults.standard.set(deviceId, forKey: deviceIdKey)
+        return deviceId
+    }
+    
     /// Get current installed version
     public func getCurrentVersion() -> String {
         return UserDefaults.standard.string(forKey: currentVersionKey) ?? "0.0.0"
@@ -191,11 +258,74 @@ public class LynxHotUpdate {
         try? FileManager.default.removeItem(at: getPendingDirectory())
         UserDefaults.standard.removeObject(forKey: currentVersionKey)
         UserDefaults.standard.removeObject(forKey: pendingVersionKey)
+        UserDefaults.standard.removeObject(forKey: currentLabelKey)
+        UserDefaults.standard.removeObject(forKey: pendingLabelKey)
         print("[LynxHotUpdate] All updates cleared")
     }
     
+    /// Confirm that the installed update works. The server counts one result per device,
+    /// so calling this on every launch is fine
+    public func notifyUpdateSuccess() {
+        guard let currentVersion = UserDefaults.standard.string(forKey: currentVersionKey) else { return }
+        print("[LynxHotUpdate] Update \(currentVersion) confirmed successful")
+        
+        reportInstallStatus("success", version: currentVersion, label: UserDefaults.standard.string(forKey: currentLabelKey))
+    }
+    
+    /// Mark the installed update as broken and go back to the bundle shipped with the app.
+    /// The server halts the release once its failure rate exceeds the health policy
+    public func notifyUpdateFailed() {
+        guard let currentVersion = UserDefaults.standard.string(forKey: currentVersionKey) else { return }
+        let currentLabel = UserDefaults.standard.string(forKey: currentLabelKey)
+        print("[LynxHotUpdate] Update \(currentVersion) marked as failed, rolling back...")
+        
+        reportInstallStatus("failure", version: currentVersion, label: currentLabel)
+        
+        // No backup of the previous update is kept, so roll back to the built-in bundle
+        try? FileManager.default.removeItem(at: getHotBundleDirectory())
+        UserDefaults.standard.removeObject(forKey: currentVersionKey)
+        UserDefaults.standard.removeObject(forKey: currentLabelKey)
+        reportInstallStatus("rollback", version: currentVersion, label: currentLabel)
+    }
+    
     // MARK: - Private Methods
     
+    /// Report an install result; the device ID lets the server count each device once per release
+    private func reportInstallStatus(_ status: String, version: String, label: String?) {
+        guard isInitialized, let url = URL(string: "\(serverUrl)/api/report-install") else { return }
+        
+        var request = URLRequest(url: url)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        
+        var body: [String: Any] = [
+            "deploymentKey": deploymentKey,
+            "platform": "ios",
+            "version": version,
+            "status": status,
+            "deviceId": getDeviceId()
+        ]
+        if let label = label {
+            body["label"] = label
+        }
+        request.httpBody = try? JSONSerialization.data(withJSONObject: body)
+        
+        URLSession.shared.dataTask(with: request) { _, _, error in
+            if let error = error {
+                print("[LynxHotUpdate] Failed to report install status: \(error)")
+            }
+        }.resume()
+    }
+    
+    /// Hardware identifier such as "iPhone15,2"
+    private func getDeviceModel() -> String {
+        var systemInfo = utsname()
+        uname(&systemInfo)
+        return withUnsafePointer(to: &systemInfo.machine) {
+            $0.withMemoryRebound(to: CChar.self, capacity: 1) { String(cString: $0) }
+        }
+    }
+    
     private func getHotBundleDirectory() -> URL {
         let documentsDir = FileManager.default.urls(for: .documentDirectory, in: .userDomainMask)[0]
         return documentsDir.appendingPathComponent("lynx_bundles")
@@ -206,7 +336,7 @@ public class LynxHotUpdate {
         return documentsDir.appendingPathComponent("lynx_pending")
     }
     
-    private func installUpdate(_ zipUrl: URL, version: String) -> Bool {
+    private func installUpdate(_ zipUrl: URL, version: String, label: String?) -> Bool {
         do {
             let pendingDir = getPendingDirectory()
             
@@ -219,6 +349,7 @@ public class LynxHotUpdate {
             
             // Save pending version
             UserDefaults.standard.set(version, forKey: pendingVersionKey)
+            UserDefaults.standard.set(label, forKey: pendingLabelKey)
             
             print("[LynxHotUpdate] Update downloaded, will apply on next launch")
             return true
@@ -249,7 +380,9 @@ public class LynxHotUpdate {
             
             // Update version
             UserDefaults.standard.set(pendingVersion, forKey: currentVersionKey)
+            UserDefaults.standard.set(UserDefaults.standard.string(forKey: pendingLabelKey), forKey: currentLabelKey)
             UserDefaults.standard.removeObject(forKey: pendingVersionKey)
+            UserDefaults.standard.removeObject(forKey: pendingLabelKey)
             
             print("[LynxHotUpdate] Applied pending update: \(pendingVersion)")
         } catch {
@@ -257,6 +390,45 @@ public class LynxHotUpdate {
         }
     }
     
+    /// Checks the signed manifest: the signature must be valid and the manifest's version, platform,
+    /// hash and size must match the downloaded full package. The server never sends diffs for signed releases.
+    /// - Returns: the failure reason, or nil when no public key is configured or the check passes
+    private func verifySignature(_ updateResult: UpdateResult, fileUrl: URL, fileHash: String) -> String? {
+        guard let publicKey = publicKey else { return nil }
+        guard let key = parsePublicKey(publicKey) else { return "Invalid public key" }
+        guard updateResult.signatureAlgorithm == "ed25519",
+              let signature = updateResult.signature.flatMap({ Data(base64Encoded: $0) }),
+              let manifest = updateResult.signedManifest else {
+            return "Update is not signed"
+        }
+        
+        let manifestData = Data(manifest.utf8)
+        guard key.isValidSignature(signature, for: manifestData) else {
+            return "Signature verification failed"
+        }
+        
+        let attributes = try? FileManager.default.attributesOfItem(atPath: fileUrl.path)
+        let fileSize = (attributes?[.size] as? NSNumber)?.int64Value
+        guard let json = try? JSONSerialization.jsonObject(with: manifestData) as? [String: Any],
+              json["version"] as? String == updateResult.version,
+              json["platform"] as? String == "ios",
+              json["hash"] as? String == fileHash,
+              (json["size"] as? NSNumber)?.int64Value == fileSize else {
+            return "Signed manifest does not match the package"
+        }
+        return nil
+    }
+    
+    /// `lynx-update keygen` writes an SPKI PEM key; its last 32 bytes are the raw Ed25519 key
+    private func parsePublicKey(_ pem: String) -> Curve25519.Signing.PublicKey? {
+        let body = pem
+            .components(separatedBy: .newlines)
+            .filter { !$0.hasPrefix("-----") }
+            .joined()
+        guard let der = Data(base64Encoded: body), der.count >= 32 else { return nil }
+        return try? Curve25519.Signing.PublicKey(rawRepresentation: der.suffix(32))
+    }
+    
     private func calculateHash(_ fileUrl: URL) -> String {
         guard let data = try? Data(contentsOf: fileUrl) else { return "" }
         
@@ -282,31 +454,46 @@ public class LynxHotUpdate {
 
 public struct UpdateResult {
     public let updateAvailable: Bool
+    public let label: String?
     public let version: String?
     public let downloadUrl: String?
     public let hash: String?
     public let size: Int64
     public let description: String
     public let mandatory: Bool
+    public let rollback: Bool
+    public let signature: String?
+    public let signatureAlgorithm: String?
+    public let signedManifest: String?
     public let error: String?
     
     public init(
         updateAvailable: Bool,
+        label: String? = nil,
         version: String? = nil,
         downloadUrl: String? = nil,
         hash: String? = nil,
         size: Int64 = 0,
         description: String = "",
         mandatory: Bool = false,
+        rollback: Bool = false,
+        signature: String? = nil,
+        signatureAlgorithm: String? = nil,
+        signedManifest: String? = nil,
         error: String? = nil
     ) {
         self.updateAvailable = updateAvailable
+        self.label = label
         self.version = version
         self.downloadUrl = downloadUrl
         self.hash = hash
         self.size = size
         self.description = description
         self.mandatory = mandatory
+        self.rollback = rollback
+        self.signature = signature
+        self.signatureAlgorithm = signatureAlgorithm
+        self.signedManifest = signedManifest
         self.error = error
     }
 }
@@ -0,0 +1,374 @@
+/**
+ * 管理后台
+ * 页面本身是公开的静态文件，所有数据都通过管理接口读取，使用与 CLI 相同的访问密钥
+ * 密钥只保存在当前标签页的 sessionStorage 中
+ */
+(function () {
+  'use strict';
+
+  const KEY_STORAGE = 'lynx-update-access-key';
+  const SCOPES = ['read', 'publish', 'admin'];
+  const CHART_DAYS = 30;
+
+  // 图表中的统计项，offered 为检查更新时下发该发布的次数
+  const SERIES = [
+    { field: 'offered', title: 'Checks', color: '#0969da' },
+    { field: 'downloadsCompleted', title: 'Downloads', color: '#8250df' },
+    { field: 'installs', title: 'Installs', color: '#1a7f37' },
+    { field: 'failures', title: 'Failures', color: '#cf222e' }
+  ];
+
+  const state = {
+    accessKey: sessionStorage.getItem(KEY_STORAGE),
+    me: null,
+    apps: [],
+    deployment: null,
+    platform: 'android',
+    releases: [],
+    release: null
+  };
+
+  const $ = id => document.getElementById(id);
+
+  /**
+   * 调用管理接口，失败时抛出带服务器错误信息的异常
+   */
+  async function api(method, path, body) {
+    const response = await fetch(path, {
+      method,
+      headers: {
+        Authorization: `Bearer ${state.accessKey}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  function canPublish() {
+    if (!state.me) return false;
+    const required = SCOPES.indexOf('publish');
+    return state.me.scopes.some(scope => SCOPES.indexOf(scope) >= required);
+  }
+
+  function element(tag, options = {}, children = []) {
+    const node = document.createElement(tag);
+    if (options.className) node.className = options.className;
+    if (options.text !== undefined) node.textContent = String(options.text);
+    for (const child of children) node.appendChild(child);
+    return node;
+  }
+
+  function tag(text, kind) {
+    return element('span', { className: kind ? `tag ${kind}` : 'tag', text });
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+  }
+
+  // 与 src/utils/ramp.js 的计算一致：按发布后经过的时间找到当前的灰度步骤
+  function getEffectiveRollout(release) {
+    if (!release.ramp || !release.rampStartedAt) return release.rollout;
+    const startedAt = new Date(release.rampStartedAt).getTime();
+    const now = release.haltedAt ? Math.min(Date.now(), new Date(release.haltedAt).getTime()) : Date.now();
+    const hours = (now - startedAt) / 3600000;
+    let step = release.ramp[0];
+    for (const next of release.ramp) {
+      if (next.hours <= hours) step = next;
+    }
+    return step.rollout;
+  }
+
+  /**
+   * 登录与退出
+   */
+  async function login(accessKey) {
+    state.accessKey = accessKey;
+    const { accessKey: me } = await api('GET', '/api/auth/me');
+    state.me = me;
+    sessionStorage.setItem(KEY_STORAGE, accessKey);
+
+    $('login').hidden = true;
+    $('session').hidden = false;
+    $('dashboard').hidden = false;
+    $('key-info').textContent = `${me.name} (${me.scopes.join(', ')}${me.app ? `, ${me.app} only` : ''})`;
+
+    await loadApps();
+  }
+
+  function logout() {
+    sessionStorage.removeItem(KEY_STORAGE);
+    Object.assign(state, { accessKey: null, me: null, deployment: null, releases: [], release: null });
+    $('session').hidden = true;
+    $('dashboard').hidden = true;
+    $('release-panel').hidden = true;
+    $('login').hidden = false;
+    $('login-key').value = '';
+  }
+
+  /**
+   * 应用和部署
+   */
+  async function loadApps() {
+    const { apps } = await api('GET', '/api/apps');
+    state.apps = apps;
+
+    const nav = $('apps');
+    nav.textContent = '';
+    if (apps.length === 0) {
+      nav.appendChild(element('p', { className: 'empty', text: 'No apps yet. Create one with "lynx-update app add".' }));
+      return;
+    }
+
+    for (const app of apps) {
+      nav.appendChild(element('h3', { text: app.name }));
+      for (const deployment of app.deployments) {
+        const link = element('a', { text: deployment.name });
+        link.href = '#';
+        link.addEventListener('click', event => {
+          event.preventDefault();
+          selectDeployment(app, deployment, link);
+        });
+        nav.appendChild(link);
+      }
+    }
+
+    const first = nav.querySelector('a');
+    if (first) first.click();
+  }
+
+  function selectDeployment(app, deployment, link) {
+    state.deployment = { app: app.name, name: deployment.name, key: deployment.key };
+    for (const other of $('apps').querySelectorAll('a')) {
+      other.classList.toggle('active', other === link);
+    }
+    $('deployment-title').textContent = `${app.name} / ${deployment.name}`;
+    loadReleases();
+  }
+
+  function selectPlatform(platform) {
+    state.platform = platform;
+    for (const button of document.querySelectorAll('.platforms button')) {
+      button.classList.toggle('active', button.dataset.platform === platform);
+    }
+    if (state.deployment) loadReleases();
+  }
+
+  /**
+   * 发布列表
+   */
+  async function loadReleases(selectedId) {
+    const { key } = state.deployment;
+    $('releases-error').textContent = '';
+    $('release-panel').hidden = true;
+
+    try {
+      const { releases } = await api('GET', `/api/releases/${encodeURIComponent(key)}/${state.platform}`);
+      state.releases = releases;
+    } catch (error) {
+      state.releases = [];
+      $('releases-error').textContent = `Failed to load releases: ${error.message}`;
+    }
+
+    const tbody = $('releases').querySelector('tbody');
+    tbody.textContent = '';
+    $('releases').hidden = state.releases.length === 0;
+    $('releases-empty').hidden = state.releases.length > 0;
+
+    for (const release of state.releases) {
+      const row = element('tr', {}, [
+        element('td', { text: release.label }),
+        element('td', { text: release.version }),
+        element('td', { text: formatDate(release.createdAt) }),
+        element('td', { text: `${getEffectiveRollout(release)}%${release.ramp ? ' ↑' : ''}` }),
+        element('td', {}, statusTags(release)),
+        element('td', { text: release.stats.offered }),
+        element('td', { text: release.stats.downloadsCompleted }),
+        element('td', { text: release.stats.installs }),
+        element('td', { className: release.stats.failures > 0 ? 'failures' : '', text: release.stats.failures })
+      ]);
+      row.addEventListener('click', () => selectRelease(release, row));
+      tbody.appendChild(row);
+
+      if (release.id === selectedId) selectRelease(release, row);
+    }
+  }
+
+  function statusTags(release) {
+    const tags = [];
+    if (release.haltedAt) tags.push(tag('halted', 'danger'));
+    else if (release.disabled) tags.push(tag('disabled', 'danger'));
+    else tags.push(tag('active'));
+    if (release.mandatory) tags.push(tag('mandatory', 'warn'));
+    if (release.testersOnly) tags.push(tag('testers only', 'warn'));
+    if (release.releaseMethod && release.releaseMethod !== 'upload') tags.push(tag(release.releaseMethod));
+    return tags;
+  }
+
+  /**
+   * 发布详情：按天统计的趋势和修改表单
+   */
+  async function selectRelease(release, row) {
+    state.release = release;
+    for (const other of $('releases').querySelectorAll('tbody tr')) {
+      other.classList.toggle('active', other === row);
+    }
+
+    $('release-panel').hidden = false;
+    $('release-title').textContent = `${release.label} · ${release.version}`;
+    const meta = [
+      release.description || 'No description',
+      `target ${release.targetBinaryVersion || '*'}`,
+      release.ramp ? `ramp ${release.ramp.map(step => `${step.rollout}%@${step.hours}h`).join(' → ')}` : null,
+      release.haltReason ? `halted: ${release.haltReason}` : null
+    ];
+    $('release-meta').textContent = meta.filter(Boolean).join(' · ');
+
+    fillEditForm(release);
+
+    try {
+      const { key } = state.deployment;
+      const data = await api(
+        'GET',
+        `/api/stats/${encodeURIComponent(key)}/${state.platform}/${encodeURIComponent(release.label)}?days=${CHART_DAYS}`
+      );
+      if (state.release === release) drawChart(data.daily);
+    } catch (error) {
+      drawChart([]);
+      $('edit-error').textContent = `Failed to load statistics: ${error.message}`;
+    }
+  }
+
+  function fillEditForm(release) {
+    $('edit-rollout').value = getEffectiveRollout(release);
+    $('edit-mandatory').checked = !!release.mandatory;
+    $('edit-disabled').checked = !!release.disabled;
+    $('edit-reason').value = '';
+    $('edit-error').textContent = '';
+
+    const editable = canPublish();
+    for (const input of $('edit').querySelectorAll('input, button')) {
+      input.disabled = !editable;
+    }
+
+    const hints = [];
+    if (!editable) hints.push('Your access key is read-only.');
+    if (release.ramp) hints.push('Changing the rollout cancels the ramp schedule.');
+    if (release.haltedAt && release.disabled) hints.push('Unticking Disabled resumes the halted release.');
+    $('edit-hint').textContent = hints.join(' ');
+  }
+
+  async function saveRelease(event) {
+    event.preventDefault();
+    const release = state.release;
+    if (!release) return;
+
+    // 只提交修改过的字段，避免取消灰度计划
+    const changes = {};
+    const rollout = parseInt($('edit-rollout').value);
+    if (rollout !== getEffectiveRollout(release)) changes.rollout = rollout;
+    if ($('edit-mandatory').checked !== !!release.mandatory) changes.mandatory = $('edit-mandatory').checked;
+    if ($('edit-disabled').checked !== !!release.disabled) changes.disabled = $('edit-disabled').checked;
+
+    if (Object.keys(changes).length === 0) {
+      $('edit-error').textContent = 'Nothing changed.';
+      return;
+    }
+
+    try {
+      const { key } = state.deployment;
+      await api('PATCH', `/api/releases/${encodeURIComponent(key)}/${state.platform}/${encodeURIComponent(release.label)}`, {
+        ...changes,
+        reason: $('edit-reason').value.trim()
+      });
+      await loadReleases(release.id);
+    } catch (error) {
+      $('edit-error').textContent = error.message;
+    }
+  }
+
+  /**
+   * 折线图，缺少数据的日期按 0 计
+   */
+  function drawChart(daily) {
+    const svg = $('chart');
+    const width = 720;
+    const height = 220;
+    const padding = { top: 12, right: 12, bottom: 24, left: 40 };
+    svg.textContent = '';
+
+    const byDate = new Map(daily.map(day => [day.date, day]));
+    const days = [];
+    for (let i = CHART_DAYS - 1; i >= 0; i--) {
+      const date = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+      days.push(byDate.get(date) || { date });
+    }
+
+    const max = Math.max(1, ...days.flatMap(day => SERIES.map(series => day[series.field] || 0)));
+    const x = index => padding.left + index * (width - padding.left - padding.right) / (days.length - 1);
+    const y = value => height - padding.bottom - value * (height - padding.top - padding.bottom) / max;
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const svgElement = (name, attrs, text) => {
+      const node = document.createElementNS(ns, name);
+      for (const [attr, value] of Object.entries(attrs)) node.setAttribute(attr, value);
+      if (text !== undefined) node.textContent = text;
+      svg.appendChild(node);
+      return node;
+    };
+
+    svgElement('line', { x1: padding.left, x2: width - padding.right, y1: y(0), y2: y(0), stroke: '#d0d7de' });
+    svgElement('line', { x1: padding.left, x2: width - padding.right, y1: y(max), y2: y(max), stroke: '#eaeef2' });
+    svgElement('text', { x: padding.left - 6, y: y(max) + 4, 'text-anchor': 'end' }, String(max));
+    svgElement('text', { x: padding.left - 6, y: y(0) + 4, 'text-anchor': 'end' }, '0');
+    svgElement('text', { x: x(0), y: height - 6 }, days[0].date);
+    svgElement('text', { x: x(days.length - 1), y: height - 6, 'text-anchor': 'end' }, days[days.length - 1].date);
+
+    for (const series of SERIES) {
+      const points = days.map((day, index) => `${x(index).toFixed(1)},${y(day[series.field] || 0).toFixed(1)}`);
+      svgElement('polyline', { points: points.join(' '), fill: 'none', stroke: series.color, 'stroke-width': 2 });
+    }
+
+    const legend = $('chart-legend');
+    legend.textContent = '';
+    for (const series of SERIES) {
+      const swatch = element('i');
+      swatch.style.background = series.color;
+      const total = days.reduce((sum, day) => sum + (day[series.field] || 0), 0);
+      legend.appendChild(element('span', {}, [swatch, document.createTextNode(`${series.title} ${total}`)]));
+    }
+  }
+
+  /**
+   * 初始化
+   */
+  $('login').addEventListener('submit', async event => {
+    event.preventDefault();
+    $('login-error').textContent = '';
+    try {
+      await login($('login-key').value.trim());
+    } catch (error) {
+      state.accessKey = null;
+      $('login-error').textContent = error.message;
+    }
+  });
+  $('logout').addEventListener('click', logout);
+  $('edit').addEventListener('submit', saveRelease);
+  for (const button of document.querySelectorAll('.platforms button')) {
+    button.addEventListener('click', () => selectPlatform(button.dataset.platform));
+  }
+
+  if (state.accessKey) {
+    login(state.accessKey).catch(() => logout());
+  } else {
+    $('login').hidden = false;
+  }
+})();
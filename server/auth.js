@@ -0,0 +1,74 @@
+/**
+ * 管理接口访问密钥
+ * 数据库只保存密钥的 SHA-256，明文只在创建时返回一次
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_KEY_PREFIX = 'lhu_';
+
+// 权限由低到高，高级权限包含低级权限
+const SCOPES = ['read', 'publish', 'admin'];
+
+/**
+ * 生成新的访问密钥
+ * @returns {string} 明文密钥
+ */
+function generateAccessKey() {
+  return ACCESS_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashAccessKey(accessKey) {
+  return crypto.createHash('sha256').update(accessKey).digest('hex');
+}
+
+/**
+ * 密钥的可显示部分，用于列表中区分密钥
+ */
+function getAccessKeyHint(accessKey) {
+  return accessKey.substring(0, ACCESS_KEY_PREFIX.length + 6);
+}
+
+/**
+ * 从 Authorization 头中取出 Bearer 令牌
+ * @returns {string|null} 访问密钥
+ */
+function parseBearerToken(header) {
+  if (!header) return null;
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * 检查已授予的权限是否满足要求
+ * @param {string[]} granted 密钥拥有的权限
+ * @param {string} required 需要的权限
+ */
+function hasScope(granted, required) {
+  const requiredLevel = SCOPES.indexOf(required);
+  return granted.some(scope => SCOPES.indexOf(scope) >= requiredLevel);
+}
+
+/**
+ * 规范化权限列表，未知权限返回 null
+ */
+function normalizeScopes(scopes) {
+  const list = (Array.isArray(scopes) ? scopes : String(scopes || '').split(','))
+    .map(scope => String(scope).trim())
+    .filter(Boolean);
+
+  if (list.length === 0 || list.some(scope => !SCOPES.includes(scope))) {
+    return null;
+  }
+  return [...new Set(list)];
+}
+
+module.exports = {
+  SCOPES,
+  generateAccessKey,
+  hashAccessKey,
+  getAccessKeyHint,
+  parseBearerToken,
+  hasScope,
+  normalizeScopes
+};
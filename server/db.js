@@ -0,0 +1,957 @@
+/**
+ * 元数据存储（SQLite）
+ * 应用、部署、发布和统计计数保存在同一个数据库中，写操作在事务内完成
+ */
+
+const Database = require('better-sqlite3');
+
+/**
+ * 数据库结构迁移，按顺序执行，已执行的版本记录在 user_version 中
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE apps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE deployments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    app_id INTEGER REFERENCES apps(id) ON DELETE CASCADE,
+    name TEXT,
+    key TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE releases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    deployment_id INTEGER NOT NULL REFERENCES deployments(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL,
+    version TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    hash TEXT,
+    size INTEGER,
+    description TEXT NOT NULL DEFAULT '',
+    mandatory INTEGER NOT NULL DEFAULT 0,
+    rollout INTEGER NOT NULL DEFAULT 100,
+    target_binary_version TEXT NOT NULL DEFAULT '*',
+    disabled INTEGER NOT NULL DEFAULT 0,
+    signature TEXT,
+    signature_algorithm TEXT,
+    signed_manifest TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+  CREATE INDEX releases_deployment ON releases(deployment_id, platform);
+
+  CREATE TABLE counters (
+    deployment_id INTEGER NOT NULL REFERENCES deployments(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL,
+    event TEXT NOT NULL,
+    version TEXT NOT NULL DEFAULT '',
+    count INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (deployment_id, platform, event, version)
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  CREATE TABLE access_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_hint TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    app_id INTEGER REFERENCES apps(id) ON DELETE CASCADE,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT
+  );
+  `,
+  `
+  ALTER TABLE deployments ADD COLUMN previous_key TEXT;
+  ALTER TABLE deployments ADD COLUMN updated_at TEXT;
+  CREATE UNIQUE INDEX deployments_app_name ON deployments(app_id, name);
+  CREATE UNIQUE INDEX deployments_previous_key ON deployments(previous_key);
+  `,
+  `
+  ALTER TABLE releases ADD COLUMN release_method TEXT NOT NULL DEFAULT 'upload';
+  ALTER TABLE releases ADD COLUMN source_release_id INTEGER;
+  `,
+  `
+  ALTER TABLE releases ADD COLUMN label TEXT;
+  ALTER TABLE deployments ADD COLUMN release_count INTEGER NOT NULL DEFAULT 0;
+  UPDATE releases SET label = 'v' || (
+    SELECT COUNT(*) FROM releases AS earlier
+    WHERE earlier.deployment_id = releases.deployment_id AND earlier.id <= releases.id
+  );
+  UPDATE deployments SET release_count = (SELECT COUNT(*) FROM releases WHERE deployment_id = deployments.id);
+  CREATE UNIQUE INDEX releases_deployment_label ON releases(deployment_id, label);
+  `,
+  `
+  ALTER TABLE releases ADD COLUMN rules TEXT;
+  `,
+  `
+  CREATE TABLE testers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    deployment_id INTEGER NOT NULL REFERENCES deployments(id) ON DELETE CASCADE,
+    release_id INTEGER REFERENCES releases(id) ON DELETE CASCADE,
+    list TEXT NOT NULL,
+    id_type TEXT NOT NULL,
+    value TEXT NOT NULL,
+    name TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX testers_entry ON testers(deployment_id, IFNULL(release_id, 0), list, id_type, value);
+  ALTER TABLE releases ADD COLUMN testers_only INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+  ALTER TABLE releases ADD COLUMN health_policy TEXT;
+  ALTER TABLE releases ADD COLUMN install_count INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE releases ADD COLUMN failure_count INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE releases ADD COLUMN halted_at TEXT;
+  ALTER TABLE releases ADD COLUMN halt_reason TEXT;
+  `,
+  `
+  ALTER TABLE releases ADD COLUMN ramp TEXT;
+  ALTER TABLE releases ADD COLUMN ramp_started_at TEXT;
+  `,
+  `
+  CREATE TABLE release_stats (
+    release_id INTEGER NOT NULL REFERENCES releases(id) ON DELETE CASCADE,
+    day TEXT NOT NULL,
+    event TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (release_id, day, event)
+  );
+  INSERT INTO release_stats (release_id, day, event, count)
+    SELECT id, substr(COALESCE(updated_at, created_at), 1, 10), 'success', install_count FROM releases WHERE install_count > 0;
+  INSERT INTO release_stats (release_id, day, event, count)
+    SELECT id, substr(COALESCE(updated_at, created_at), 1, 10), 'failure', failure_count FROM releases WHERE failure_count > 0;
+  `,
+  `
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    actor_key TEXT,
+    action TEXT NOT NULL,
+    app TEXT,
+    deployment TEXT,
+    deployment_id INTEGER,
+    platform TEXT,
+    release_id INTEGER,
+    release_label TEXT,
+    version TEXT,
+    changes TEXT,
+    reason TEXT
+  );
+  CREATE INDEX audit_log_deployment ON audit_log(deployment_id, id);
+  CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit log is append-only'); END;
+  CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit log is append-only'); END;
+  `,
+  `
+  ALTER TABLE releases ADD COLUMN last_seen_at TEXT;
+  `,
+  `
+  CREATE TABLE release_reports (
+    release_id INTEGER NOT NULL REFERENCES releases(id) ON DELETE CASCADE,
+    device_hash TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (release_id, device_hash, kind)
+  );
+  `
+];
+
+// 发布字段与数据库列的对应关系
+const RELEASE_COLUMNS = {
+  label: 'label',
+  version: 'version',
+  platform: 'platform',
+  filename: 'filename',
+  hash: 'hash',
+  size: 'size',
+  description: 'description',
+  mandatory: 'mandatory',
+  rollout: 'rollout',
+  ramp: 'ramp',
+  rampStartedAt: 'ramp_started_at',
+  targetBinaryVersion: 'target_binary_version',
+  rules: 'rules',
+  testersOnly: 'testers_only',
+  healthPolicy: 'health_policy',
+  installCount: 'install_count',
+  failureCount: 'failure_count',
+  haltedAt: 'halted_at',
+  haltReason: 'halt_reason',
+  lastSeenAt: 'last_seen_at',
+  disabled: 'disabled',
+  signature: 'signature',
+  signatureAlgorithm: 'signature_algorithm',
+  signedManifest: 'signed_manifest',
+  releaseMethod: 'release_method',
+  sourceReleaseId: 'source_release_id',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const BOOLEAN_FIELDS = new Set(['mandatory', 'disabled', 'testersOnly']);
+// 以 JSON 文本保存的字段
+const JSON_FIELDS = new Set(['rules', 'healthPolicy', 'ramp']);
+
+// 上报事件与统计字段的对应关系
+const STAT_EVENTS = {
+  check: 'checks',
+  download: 'downloads',
+  success: 'installs',
+  failure: 'failures',
+  rollback: 'rollbacks'
+};
+
+// 按发布统计的事件，按天计数；bytes_* 累加字节数
+const RELEASE_STAT_EVENTS = {
+  offered: 'offered',
+  download_started: 'downloadsStarted',
+  download_completed: 'downloadsCompleted',
+  diff_download_completed: 'diffDownloadsCompleted',
+  bytes_served: 'bytesServed',
+  bytes_saved: 'bytesSaved',
+  success: 'installs',
+  failure: 'failures',
+  rollback: 'rollbacks'
+};
+
+function emptyReleaseStats() {
+  const stats = {};
+  for (const field of Object.values(RELEASE_STAT_EVENTS)) {
+    stats[field] = 0;
+  }
+  return stats;
+}
+
+function toColumnValue(field, value) {
+  if (BOOLEAN_FIELDS.has(field)) return value ? 1 : 0;
+  if (JSON_FIELDS.has(field)) return value ? JSON.stringify(value) : null;
+  return value === undefined ? null : value;
+}
+
+function rowToAccessKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    hint: row.key_hint,
+    scopes: row.scopes.split(','),
+    appId: row.app_id,
+    app: row.app_name || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+function rowToTester(row) {
+  return {
+    id: row.id,
+    list: row.list,
+    type: row.id_type,
+    value: row.value,
+    name: row.name,
+    release: row.release_label || null,
+    createdAt: row.created_at
+  };
+}
+
+function rowToAuditEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actor: row.actor,
+    actorKey: row.actor_key,
+    action: row.action,
+    app: row.app,
+    deployment: row.deployment,
+    platform: row.platform,
+    release: row.release_label,
+    version: row.version,
+    changes: row.changes ? JSON.parse(row.changes) : {},
+    reason: row.reason
+  };
+}
+
+function rowToDeployment(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key: row.key,
+    previousKey: row.previous_key,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToRelease(row) {
+  const release = { id: row.id };
+  for (const [field, column] of Object.entries(RELEASE_COLUMNS)) {
+    if (BOOLEAN_FIELDS.has(field)) {
+      release[field] = !!row[column];
+    } else if (JSON_FIELDS.has(field)) {
+      release[field] = row[column] ? JSON.parse(row[column]) : null;
+    } else {
+      release[field] = row[column];
+    }
+  }
+  release.deploymentKey = row.deployment_key;
+  return release;
+}
+
+class MetadataStore {
+  constructor(file) {
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+    for (let version = current; version < MIGRATIONS.length; version++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[version]);
+        this.db.pragma(`user_version = ${version + 1}`);
+      })();
+    }
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  getApp(name) {
+    return this.db.prepare('SELECT * FROM apps WHERE name = ?').get(name) || null;
+  }
+
+  ensureApp(name) {
+    this.db.prepare('INSERT OR IGNORE INTO apps (name, created_at) VALUES (?, ?)').run(name, new Date().toISOString());
+    return this.getApp(name);
+  }
+
+  /**
+   * 应用列表，包含各自的部署
+   * @param {number} appId 只返回指定应用
+   */
+  listApps(appId = null) {
+    const apps = appId
+      ? this.db.prepare('SELECT * FROM apps WHERE id = ?').all(appId)
+      : this.db.prepare('SELECT * FROM apps ORDER BY name').all();
+
+    return apps.map(app => ({
+      name: app.name,
+      createdAt: app.created_at,
+      deployments: this.listDeployments(app.id)
+    }));
+  }
+
+  /**
+   * 创建应用和初始部署
+   * @param {string} name 应用名
+   * @param {Object[]} deployments [{ name, key }]
+   */
+  createApp(name, deployments) {
+    return this.transaction(() => {
+      const now = new Date().toISOString();
+      const result = this.db.prepare('INSERT INTO apps (name, created_at) VALUES (?, ?)').run(name, now);
+      for (const deployment of deployments) {
+        this.createDeployment(result.lastInsertRowid, deployment.name, deployment.key);
+      }
+      return this.listApps(result.lastInsertRowid)[0];
+    });
+  }
+
+  renameApp(id, name) {
+    this.db.prepare('UPDATE apps SET name = ? WHERE id = ?').run(name, id);
+  }
+
+  deleteApp(id) {
+    this.db.prepare('DELETE FROM apps WHERE id = ?').run(id);
+  }
+
+  listDeployments(appId) {
+    return this.db.prepare('SELECT * FROM deployments WHERE app_id = ? ORDER BY id')
+      .all(appId).map(rowToDeployment);
+  }
+
+  /**
+   * 按名称查找应用下的部署，未命名的部署（早期数据）可以用密钥查找
+   */
+  getDeployment(appId, nameOrKey) {
+    const row = this.db.prepare('SELECT * FROM deployments WHERE app_id = ? AND (name = ? OR key = ?)')
+      .get(appId, nameOrKey, nameOrKey);
+    return row ? rowToDeployment(row) : null;
+  }
+
+  createDeployment(appId, name, key) {
+    const result = this.db.prepare('INSERT INTO deployments (app_id, name, key, created_at) VALUES (?, ?, ?, ?)')
+      .run(appId, name, key, new Date().toISOString());
+    return rowToDeployment(this.db.prepare('SELECT * FROM deployments WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  renameDeployment(id, name) {
+    this.db.prepare('UPDATE deployments SET name = ?, updated_at = ? WHERE id = ?')
+      .run(name, new Date().toISOString(), id);
+  }
+
+  deleteDeployment(id) {
+    this.db.prepare('DELETE FROM deployments WHERE id = ?').run(id);
+  }
+
+  /**
+   * 更换部署密钥
+   * 旧密钥默认保留为 previous_key，客户端更新前仍可使用，直到下次更换
+   * @param {number} id 部署 ID
+   * @param {string} key 新密钥
+   * @param {boolean} revokePrevious 是否立即作废旧密钥
+   */
+  rotateDeploymentKey(id, key, revokePrevious = false) {
+    this.db.prepare(`
+      UPDATE deployments SET previous_key = CASE WHEN ? THEN NULL ELSE key END, key = ?, updated_at = ?
+      WHERE id = ?
+    `).run(revokePrevious ? 1 : 0, key, new Date().toISOString(), id);
+    return rowToDeployment(this.db.prepare('SELECT * FROM deployments WHERE id = ?').get(id));
+  }
+
+  /**
+   * 按密钥查找部署，更换密钥后的旧密钥同样有效
+   */
+  getDeploymentByKey(key) {
+    return this.db.prepare('SELECT * FROM deployments WHERE key = ? OR previous_key = ?').get(key, key) || null;
+  }
+
+  /**
+   * 查找部署，不存在时创建（导入早期数据时出现的部署密钥）
+   * 早期导入的部署没有所属应用，第一次发布时归入该应用
+   */
+  ensureDeployment(key, appName = null) {
+    const existing = this.getDeploymentByKey(key);
+    if (existing && !existing.app_id && appName) {
+      this.db.prepare('UPDATE deployments SET app_id = ? WHERE id = ?').run(this.ensureApp(appName).id, existing.id);
+      return this.getDeploymentByKey(key);
+    }
+    if (existing) return existing;
+
+    const appId = appName ? this.ensureApp(appName).id : null;
+    this.db.prepare('INSERT INTO deployments (app_id, key, created_at) VALUES (?, ?, ?)')
+      .run(appId, key, new Date().toISOString());
+    return this.getDeploymentByKey(key);
+  }
+
+  /**
+   * 获取部署的发布列表，最新的在前
+   */
+  listReleases(deploymentKey, platform) {
+    return this.db.prepare(`
+      SELECT releases.*, deployments.key AS deployment_key
+      FROM releases JOIN deployments ON deployments.id = releases.deployment_id
+      WHERE (deployments.key = ? OR deployments.previous_key = ?) AND releases.platform = ?
+      ORDER BY releases.id DESC
+    `).all(deploymentKey, deploymentKey, platform).map(rowToRelease);
+  }
+
+  getRelease(id) {
+    const row = this.db.prepare(`
+      SELECT releases.*, deployments.key AS deployment_key
+      FROM releases JOIN deployments ON deployments.id = releases.deployment_id
+      WHERE releases.id = ?
+    `).get(id);
+    return row ? rowToRelease(row) : null;
+  }
+
+  /**
+   * 所有部署的发布，按部署和平台分组，组内最新的在前，用于按保留策略清理
+   * 每个发布带有所属的应用和部署名称
+   */
+  listAllReleases() {
+    return this.db.prepare(`
+      SELECT releases.*, deployments.key AS deployment_key, deployments.name AS deployment_name, apps.name AS app_name
+      FROM releases
+      JOIN deployments ON deployments.id = releases.deployment_id
+      LEFT JOIN apps ON apps.id = deployments.app_id
+      ORDER BY releases.deployment_id, releases.platform, releases.id DESC
+    `).all().map(row => ({ ...rowToRelease(row), app: row.app_name, deployment: row.deployment_name }));
+  }
+
+  /**
+   * 删除发布及其统计和测试名单条目，标签不会被重新使用
+   */
+  deleteRelease(id) {
+    return this.db.prepare('DELETE FROM releases WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * 记录设备仍在运行该发布，一小时内只更新一次
+   */
+  touchRelease(id) {
+    const now = new Date();
+    const threshold = new Date(now.getTime() - 3600 * 1000).toISOString();
+    this.db.prepare('UPDATE releases SET last_seen_at = ? WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at < ?)')
+      .run(now.toISOString(), id, threshold);
+  }
+
+  /**
+   * 引用某个包文件的最新发布（推送和回滚会复用同一个包）
+   */
+  findLatestReleaseByFilename(filename) {
+    const row = this.db.prepare('SELECT id FROM releases WHERE filename = ? ORDER BY id DESC LIMIT 1').get(filename);
+    return row ? this.getRelease(row.id) : null;
+  }
+
+  findReleaseByLabel(deploymentId, label) {
+    const row = this.db.prepare('SELECT id FROM releases WHERE deployment_id = ? AND label = ?').get(deploymentId, label);
+    return row ? this.getRelease(row.id) : null;
+  }
+
+  /**
+   * 保存发布，并分配部署内递增的标签（v1、v2…），删除发布后标签也不会重复使用
+   */
+  insertRelease(deploymentKey, release, appName = null) {
+    return this.transaction(() => {
+      const deployment = this.ensureDeployment(deploymentKey, appName);
+      this.db.prepare('UPDATE deployments SET release_count = release_count + 1 WHERE id = ?').run(deployment.id);
+      const { release_count: count } = this.db.prepare('SELECT release_count FROM deployments WHERE id = ?').get(deployment.id);
+
+      const labeled = { ...release, label: `v${count}` };
+      const fields = Object.keys(RELEASE_COLUMNS).filter(field => labeled[field] !== undefined);
+      const columns = ['deployment_id', ...fields.map(field => RELEASE_COLUMNS[field])];
+      const values = [deployment.id, ...fields.map(field => toColumnValue(field, labeled[field]))];
+
+      const result = this.db.prepare(
+        `INSERT INTO releases (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+      ).run(...values);
+
+      return this.getRelease(result.lastInsertRowid);
+    });
+  }
+
+  updateRelease(id, changes) {
+    const fields = Object.keys(changes).filter(field => RELEASE_COLUMNS[field]);
+    if (fields.length > 0) {
+      this.db.prepare(
+        `UPDATE releases SET ${fields.map(field => `${RELEASE_COLUMNS[field]} = ?`).join(', ')} WHERE id = ?`
+      ).run(...fields.map(field => toColumnValue(field, changes[field])), id);
+    }
+    return this.getRelease(id);
+  }
+
+  /**
+   * 登记设备对发布的安装上报，每台设备每个发布只登记一次安装结果（success 或 failure）和一次回滚
+   * @param {number} id 发布 ID
+   * @param {string} deviceHash 设备 ID 的哈希
+   * @param {string} status success、failure 或 rollback
+   * @returns {boolean} 首次上报返回 true，重复上报返回 false
+   */
+  claimReleaseReport(id, deviceHash, status) {
+    const kind = status === 'rollback' ? 'rollback' : 'result';
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO release_reports (release_id, device_hash, kind, status, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, deviceHash, kind, status, new Date().toISOString()).changes > 0;
+  }
+
+  /**
+   * 发布的事件计数，按天（UTC）分桶
+   * 安装成功和失败同时累加发布上的总数，供健康策略使用
+   * @param {number} id 发布 ID
+   * @param {string} event RELEASE_STAT_EVENTS 中的事件
+   * @param {number} amount 增加的数量，bytes_* 事件为字节数
+   */
+  recordReleaseEvent(id, event, amount = 1) {
+    if (!RELEASE_STAT_EVENTS[event] || !(amount > 0)) return;
+
+    this.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO release_stats (release_id, day, event, count) VALUES (?, ?, ?, ?)
+        ON CONFLICT (release_id, day, event) DO UPDATE SET count = count + excluded.count
+      `).run(id, new Date().toISOString().slice(0, 10), event, amount);
+
+      if (event === 'success' || event === 'failure') {
+        const column = event === 'success' ? 'install_count' : 'failure_count';
+        this.db.prepare(`UPDATE releases SET ${column} = ${column} + 1 WHERE id = ?`).run(id);
+      }
+    });
+  }
+
+  /**
+   * 发布的统计数据
+   * @param {number} id 发布 ID
+   * @param {number} days 返回最近几天的按天数据
+   * @returns {Object} { totals, daily: [{ date, offered, ... }] }，daily 按日期升序
+   */
+  getReleaseStats(id, days = 30) {
+    const totals = emptyReleaseStats();
+    for (const row of this.db.prepare(
+      'SELECT event, SUM(count) AS count FROM release_stats WHERE release_id = ? GROUP BY event'
+    ).all(id)) {
+      totals[RELEASE_STAT_EVENTS[row.event]] = row.count;
+    }
+
+    const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+    const daily = new Map();
+    for (const row of this.db.prepare(
+      'SELECT day, event, count FROM release_stats WHERE release_id = ? AND day >= ? ORDER BY day'
+    ).all(id, since)) {
+      if (!daily.has(row.day)) {
+        daily.set(row.day, { date: row.day, ...emptyReleaseStats() });
+      }
+      daily.get(row.day)[RELEASE_STAT_EVENTS[row.event]] = row.count;
+    }
+
+    return { totals, daily: [...daily.values()] };
+  }
+
+  /**
+   * 部署某个平台下所有发布的统计总数
+   * @returns {Map<number, Object>} 发布 ID → 统计
+   */
+  getReleaseTotals(deploymentKey, platform) {
+    const rows = this.db.prepare(`
+      SELECT release_stats.release_id, release_stats.event, SUM(release_stats.count) AS count
+      FROM release_stats
+      JOIN releases ON releases.id = release_stats.release_id
+      JOIN deployments ON deployments.id = releases.deployment_id
+      WHERE (deployments.key = ? OR deployments.previous_key = ?) AND releases.platform = ?
+      GROUP BY release_stats.release_id, release_stats.event
+    `).all(deploymentKey, deploymentKey, platform);
+
+    const totals = new Map();
+    for (const row of rows) {
+      if (!totals.has(row.release_id)) {
+        totals.set(row.release_id, emptyReleaseStats());
+      }
+      totals.get(row.release_id)[RELEASE_STAT_EVENTS[row.event]] = row.count;
+    }
+    return totals;
+  }
+
+  /**
+   * 应用或部署下所有发布引用的包文件
+   * @param {Object} filter { appId } 或 { deploymentId }
+   */
+  listReleaseFilenames(filter) {
+    const rows = filter.deploymentId
+      ? this.db.prepare('SELECT DISTINCT filename FROM releases WHERE deployment_id = ?').all(filter.deploymentId)
+      : this.db.prepare(`
+        SELECT DISTINCT releases.filename FROM releases
+        JOIN deployments ON deployments.id = releases.deployment_id
+        WHERE deployments.app_id = ?
+      `).all(filter.appId);
+    return rows.map(row => row.filename);
+  }
+
+  isPackageReferenced(filename) {
+    return !!this.db.prepare('SELECT 1 FROM releases WHERE filename = ? LIMIT 1').get(filename);
+  }
+
+  /**
+   * 计数加一，统计按平台汇总，安装成功额外按版本计数
+   */
+  recordEvent(deploymentKey, platform, event, version = null) {
+    if (!STAT_EVENTS[event]) return;
+
+    this.transaction(() => {
+      // 不为未知的密钥创建部署，上报接口是公开的
+      const deployment = this.getDeploymentByKey(deploymentKey);
+      if (!deployment) return;
+
+      const now = new Date().toISOString();
+      const increment = this.db.prepare(`
+        INSERT INTO counters (deployment_id, platform, event, version, count, updated_at)
+        VALUES (?, ?, ?, ?, 1, ?)
+        ON CONFLICT (deployment_id, platform, event, version)
+        DO UPDATE SET count = count + 1, updated_at = excluded.updated_at
+      `);
+
+      increment.run(deployment.id, platform, event, '', now);
+      if (event === 'success' && version) {
+        increment.run(deployment.id, platform, event, version, now);
+      }
+    });
+  }
+
+  /**
+   * 部署的统计数据，结构与早期 stats.json 相同
+   */
+  getStats(deploymentKey) {
+    const rows = this.db.prepare(`
+      SELECT counters.* FROM counters JOIN deployments ON deployments.id = counters.deployment_id
+      WHERE deployments.key = ? OR deployments.previous_key = ?
+    `).all(deploymentKey, deploymentKey);
+
+    const stats = {};
+    for (const row of rows) {
+      if (!stats[row.platform]) {
+        stats[row.platform] = {
+          checks: 0, downloads: 0, installs: 0, failures: 0, rollbacks: 0, versions: {}, lastActivity: null
+        };
+      }
+      const platformStats = stats[row.platform];
+
+      if (row.version) {
+        platformStats.versions[row.version] = row.count;
+      } else {
+        platformStats[STAT_EVENTS[row.event]] = row.count;
+      }
+      if (!platformStats.lastActivity || row.updated_at > platformStats.lastActivity) {
+        platformStats.lastActivity = row.updated_at;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * 部署的测试名单，包括只针对某个发布的条目
+   */
+  listTesters(deploymentId) {
+    return this.db.prepare(`
+      SELECT testers.*, releases.label AS release_label
+      FROM testers LEFT JOIN releases ON releases.id = testers.release_id
+      WHERE testers.deployment_id = ?
+      ORDER BY testers.list, testers.release_id, testers.id
+    `).all(deploymentId).map(rowToTester);
+  }
+
+  /**
+   * 加入测试名单，已存在的条目忽略
+   * @param {Object} entry { deploymentId, releaseId, list, type, values, name }
+   * @returns {number} 新加入的数量
+   */
+  addTesters({ deploymentId, releaseId = null, list, type, values, name = null }) {
+    return this.transaction(() => {
+      const insert = this.db.prepare(`
+        INSERT OR IGNORE INTO testers (deployment_id, release_id, list, id_type, value, name, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      const now = new Date().toISOString();
+      return values.reduce((count, value) => (
+        count + insert.run(deploymentId, releaseId, list, type, value, name, now).changes
+      ), 0);
+    });
+  }
+
+  /**
+   * 从测试名单中移除
+   * @returns {number} 移除的数量
+   */
+  removeTesters({ deploymentId, releaseId = null, list, type, values }) {
+    return this.transaction(() => {
+      const remove = this.db.prepare(`
+        DELETE FROM testers
+        WHERE deployment_id = ? AND IFNULL(release_id, 0) = ? AND list = ? AND id_type = ? AND value = ?
+      `);
+      return values.reduce((count, value) => (
+        count + remove.run(deploymentId, releaseId || 0, list, type, value).changes
+      ), 0);
+    });
+  }
+
+  /**
+   * 设备或用户在部署测试名单中的条目
+   * @returns {Object[]} [{ list, releaseId }]，releaseId 为 null 表示对整个部署有效
+   */
+  findTesterEntries(deploymentKey, deviceId, userId) {
+    if (!deviceId && !userId) return [];
+    return this.db.prepare(`
+      SELECT testers.list, testers.release_id AS releaseId
+      FROM testers JOIN deployments ON deployments.id = testers.deployment_id
+      WHERE (deployments.key = ? OR deployments.previous_key = ?)
+        AND ((testers.id_type = 'device' AND testers.value = ?) OR (testers.id_type = 'user' AND testers.value = ?))
+    `).all(deploymentKey, deploymentKey, deviceId || null, userId || null);
+  }
+
+  /**
+   * 追加一条发布的审计记录
+   * 应用、部署和发布名称一并保存，发布或部署删除后记录仍然可读
+   * @param {Object} entry { actor, actorKey, action, releaseId, changes, reason }
+   */
+  addAuditEntry({ actor, actorKey = null, action, releaseId, changes = {}, reason = null }) {
+    const result = this.db.prepare(`
+      INSERT INTO audit_log (
+        created_at, actor, actor_key, action, app, deployment, deployment_id,
+        platform, release_id, release_label, version, changes, reason
+      )
+      SELECT ?, ?, ?, ?, apps.name, deployments.name, deployments.id,
+        releases.platform, releases.id, releases.label, releases.version, ?, ?
+      FROM releases
+      JOIN deployments ON deployments.id = releases.deployment_id
+      LEFT JOIN apps ON apps.id = deployments.app_id
+      WHERE releases.id = ?
+    `).run(new Date().toISOString(), actor, actorKey, action, JSON.stringify(changes), reason || null, releaseId);
+    return result.changes > 0;
+  }
+
+  /**
+   * 查询审计记录，最新的在前
+   * 部署存在时按 deploymentId 查询，改名前的记录也能查到；已删除的部署只能按名称查询
+   * @param {Object} filters { app, deployment, deploymentId, platform, release, action, actor, since, limit }
+   */
+  listAuditEntries({ app, deployment, deploymentId, platform, release, action, actor, since, limit = 50 } = {}) {
+    const conditions = [];
+    const values = [];
+    const filters = deploymentId
+      ? { deployment_id: deploymentId, platform, release_label: release, action, actor }
+      : { app, deployment, platform, release_label: release, action, actor };
+    for (const [column, value] of Object.entries(filters)) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        values.push(value);
+      }
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      values.push(since);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM audit_log
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC LIMIT ?
+    `).all(...values, limit).map(rowToAuditEntry);
+  }
+
+  countAccessKeys() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM access_keys').get().count;
+  }
+
+  /**
+   * 保存访问密钥（只保存哈希）
+   * 限定的应用必须已经存在，不会自动创建
+   * @param {Object} accessKey { name, keyHash, hint, scopes, app, createdBy }
+   */
+  createAccessKey({ name, keyHash, hint, scopes, app = null, createdBy = null }) {
+    return this.transaction(() => {
+      const appRow = app ? this.getApp(app) : null;
+      if (app && !appRow) {
+        throw new Error(`Unknown app ${app}`);
+      }
+      const appId = appRow ? appRow.id : null;
+      const result = this.db.prepare(`
+        INSERT INTO access_keys (name, key_hash, key_hint, scopes, app_id, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(name, keyHash, hint, scopes.join(','), appId, createdBy, new Date().toISOString());
+      return this.getAccessKey(result.lastInsertRowid);
+    });
+  }
+
+  getAccessKey(id) {
+    const row = this.db.prepare(`
+      SELECT access_keys.*, apps.name AS app_name
+      FROM access_keys LEFT JOIN apps ON apps.id = access_keys.app_id
+      WHERE access_keys.id = ?
+    `).get(id);
+    return row ? rowToAccessKey(row) : null;
+  }
+
+  findAccessKeyByHash(keyHash) {
+    const row = this.db.prepare(`
+      SELECT access_keys.*, apps.name AS app_name
+      FROM access_keys LEFT JOIN apps ON apps.id = access_keys.app_id
+      WHERE access_keys.key_hash = ?
+    `).get(keyHash);
+    return row ? rowToAccessKey(row) : null;
+  }
+
+  listAccessKeys() {
+    return this.db.prepare(`
+      SELECT access_keys.*, apps.name AS app_name
+      FROM access_keys LEFT JOIN apps ON apps.id = access_keys.app_id
+      ORDER BY access_keys.id
+    `).all().map(rowToAccessKey);
+  }
+
+  touchAccessKey(id) {
+    this.db.prepare('UPDATE access_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  }
+
+  deleteAccessKey(id) {
+    return this.db.prepare('DELETE FROM access_keys WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * 导入早期版本的 JSON 数据（releases/*.json 和 stats.json），只执行一次
+   * @param {Object} data { releases: [{ deploymentKey, platform, releases }], stats }
+   * @returns {Object|null} 导入数量，已导入过时返回 null
+   */
+  importLegacyData(data) {
+    if (this.getMeta('legacy_json_imported')) {
+      return null;
+    }
+
+    return this.transaction(() => {
+      let releaseCount = 0;
+
+      for (const group of data.releases) {
+        // JSON 中最新的在前，按时间顺序插入以保持排序
+        for (const release of [...group.releases].reverse()) {
+          this.insertRelease(release.deploymentKey || group.deploymentKey, {
+            ...release,
+            platform: release.platform || group.platform
+          });
+          releaseCount++;
+        }
+      }
+
+      let counterCount = 0;
+      const insertCounter = this.db.prepare(`
+        INSERT INTO counters (deployment_id, platform, event, version, count, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (deployment_id, platform, event, version) DO UPDATE SET count = count + excluded.count
+      `);
+
+      for (const [deploymentKey, platforms] of Object.entries((data.stats && data.stats.apps) || {})) {
+        const deployment = this.ensureDeployment(deploymentKey);
+        for (const [platform, platformStats] of Object.entries(platforms)) {
+          const updatedAt = platformStats.lastActivity || new Date().toISOString();
+          for (const [event, field] of Object.entries(STAT_EVENTS)) {
+            if (platformStats[field]) {
+              insertCounter.run(deployment.id, platform, event, '', platformStats[field], updatedAt);
+              counterCount++;
+            }
+          }
+          for (const [version, count] of Object.entries(platformStats.versions || {})) {
+            insertCounter.run(deployment.id, platform, 'success', version, count, updatedAt);
+            counterCount++;
+          }
+        }
+      }
+
+      this.setMeta('legacy_json_imported', new Date().toISOString());
+      return { releases: releaseCount, counters: counterCount };
+    });
+  }
+}
+
+module.exports = {
+  MetadataStore,
+  emptyReleaseStats
+};
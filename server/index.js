@@ -9,20 +9,143 @@ const http = require('http');
 const fs = require('fs-extra');
 const path = require('path');
 const url = require('url');
+const { createHash, randomInt, randomUUID } = require('crypto');
+const semver = require('semver');
+
+const { parseBoundary, receiveMultipartUpload } = require('./multipart');
+const { createStorage } = require('./storage');
+const { MetadataStore, emptyReleaseStats } = require('./db');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createLogger } = require('./logger');
+const { findRelease } = require('../src/utils/releases');
+const { normalizeRules, matchesRules } = require('../src/utils/rules');
+const { normalizeHealthPolicy, checkHealth } = require('../src/utils/health');
+const { normalizeRollout, normalizeRamp, getEffectiveRollout, getRolloutChanges } = require('../src/utils/ramp');
+const {
+  generateAccessKey,
+  hashAccessKey,
+  getAccessKeyHint,
+  parseBearerToken,
+  hasScope,
+  normalizeScopes
+} = require('./auth');
 
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.lynx-server-data');
+// 上传时为最近 N 个版本生成差分包
+const DIFF_HISTORY = parseInt(process.env.DIFF_HISTORY || '3');
+// 差分包格式：files 包含新增和修改的完整文件及删除列表，
+// patch 还包含字节级补丁（--binary-diff），文件名以 -patch 结尾
+const DIFF_FORMATS = ['files', 'patch'];
+// 上传包大小上限，默认 200MB
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE || String(200 * 1024 * 1024));
+// multipart 表单字段和分隔符的额外开销
+const MAX_FORM_OVERHEAD = 1024 * 1024;
+// JSON 请求体上限
+const MAX_BODY_SIZE = 1024 * 1024;
+// 下载方式：proxy 由服务器转发，redirect 跳转到存储提供的地址（预签名 URL / CDN）
+const DOWNLOAD_MODE = process.env.DOWNLOAD_MODE || 'proxy';
+// 预签名下载地址有效期（秒）
+const PRESIGN_EXPIRES = parseInt(process.env.PRESIGN_EXPIRES || '3600');
+// 清理时每个部署和平台保留的最近发布数，0 表示不按数量删除发布
+const RETAIN_RELEASES = parseInt(process.env.RETAIN_RELEASES || '0');
+// 最近 N 天仍有设备运行的发布不会被清理
+const RETAIN_ACTIVE_DAYS = parseInt(process.env.RETAIN_ACTIVE_DAYS || '30');
+// 最近一小时内写入的包可能属于进行中的上传，清理时跳过
+const GC_GRACE_PERIOD = 3600 * 1000;
+// 客户端提供的请求 ID 只接受这些字符，否则由服务器生成
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// 日志中只记录部署密钥的前几位
+const DEPLOYMENT_KEY_PREFIX_LENGTH = 6;
+// 日志和安装上报中只保存设备 ID 的哈希（hashDeviceId）
+const DEVICE_HASH_PATTERN = /^[0-9a-f]{32}$/;
+// 监控探测的请求只在 debug 级别记录
+const QUIET_ROUTES = new Set(['GET /api/health', 'GET /metrics']);
+// 上传包大小分桶（字节）
+const UPLOAD_SIZE_BUCKETS = [64, 256, 1024, 5 * 1024, 20 * 1024, 50 * 1024, 200 * 1024].map(kb => kb * 1024);
+// 支持的平台，版本号和平台会出现在包文件名中，上传时必须校验
+const PLATFORMS = ['android', 'ios'];
+// SDK 安装上报的状态
+const REPORT_STATUSES = ['success', 'failure', 'rollback'];
+// 新建应用时默认创建的部署
+const DEFAULT_DEPLOYMENTS = ['staging', 'production'];
+// 应用和部署名称只允许这些字符，名称会出现在 URL 路径中
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// 审计记录中比较的发布字段
+const AUDIT_FIELDS = [
+  'version', 'description', 'mandatory', 'rollout', 'ramp', 'targetBinaryVersion', 'rules',
+  'testersOnly', 'healthPolicy', 'disabled', 'haltedAt', 'haltReason'
+];
+// 审计记录的操作类型
+const AUDIT_ACTIONS = ['upload', 'patch', 'promote', 'rollback', 'halt', 'delete'];
+
+// 管理后台静态文件
+const ADMIN_DIR = path.join(__dirname, 'admin');
+const ADMIN_FILES = {
+  'index.html': 'text/html; charset=utf-8',
+  'admin.js': 'application/javascript; charset=utf-8',
+  'admin.css': 'text/css; charset=utf-8'
+};
+
+// 自行读取请求体的路由（流式上传）
+const STREAMING_ROUTES = new Set(['POST /api/releases']);
+
+// 管理接口需要的访问权限，未列出的路由（检查更新、下载、上报安装）无需认证
+const ROUTE_SCOPES = {
+  'POST /api/releases': 'publish',
+  'PATCH /api/releases/:deploymentKey/:platform/:release': 'publish',
+  'DELETE /api/releases/:deploymentKey/:platform/:release': 'admin',
+  'POST /api/releases/:deploymentKey/:platform/promote': 'publish',
+  'POST /api/releases/:deploymentKey/:platform/rollback': 'publish',
+  'GET /api/releases/:deploymentKey/:platform': 'read',
+  'GET /api/stats/:deploymentKey': 'read',
+  'GET /api/stats/:deploymentKey/:platform/:release': 'read',
+  'GET /api/auth/me': 'read',
+  'GET /api/apps': 'read',
+  'POST /api/apps': 'admin',
+  'PATCH /api/apps/:app': 'admin',
+  'DELETE /api/apps/:app': 'admin',
+  'GET /api/apps/:app/deployments': 'read',
+  'POST /api/apps/:app/deployments': 'admin',
+  'PATCH /api/apps/:app/deployments/:deployment': 'admin',
+  'DELETE /api/apps/:app/deployments/:deployment': 'admin',
+  'POST /api/apps/:app/deployments/:deployment/rotate-key': 'admin',
+  'GET /api/apps/:app/deployments/:deployment/testers': 'read',
+  'POST /api/apps/:app/deployments/:deployment/testers': 'publish',
+  'DELETE /api/apps/:app/deployments/:deployment/testers': 'publish',
+  'GET /api/audit': 'read',
+  'GET /metrics': 'read',
+  'POST /api/gc': 'admin',
+  'GET /api/access-keys': 'admin',
+  'POST /api/access-keys': 'admin',
+  'DELETE /api/access-keys/:id': 'admin'
+};
+
+// 日志：LOG_LEVEL 为 debug、info、warn 或 error，LOG_FORMAT 为 json 或 text
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json'
+});
 
 // 确保数据目录存在
 fs.ensureDirSync(DATA_DIR);
-fs.ensureDirSync(path.join(DATA_DIR, 'releases'));
-fs.ensureDirSync(path.join(DATA_DIR, 'packages'));
+fs.ensureDirSync(path.join(DATA_DIR, 'tmp'));
 
-// 统计数据
-const statsFile = path.join(DATA_DIR, 'stats.json');
-if (!fs.existsSync(statsFile)) {
-  fs.writeJsonSync(statsFile, { apps: {} });
-}
+// 更新包存储
+const storage = createStorage(process.env, DATA_DIR);
+
+// 应用、部署、发布和统计数据
+const db = new MetadataStore(process.env.DB_FILE || path.join(DATA_DIR, 'lynx-update.db'));
+
+// 运行指标，通过 GET /metrics 提供给 Prometheus
+const metrics = new MetricsRegistry();
+const requestsTotal = metrics.counter('lynx_http_requests_total', 'HTTP requests by route and status code', ['method', 'route', 'status']);
+const requestDuration = metrics.histogram('lynx_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+const requestErrors = metrics.counter('lynx_http_errors_total', 'Errors thrown by request handlers', ['method', 'route']);
+const checkUpdateOutcomes = metrics.counter('lynx_check_update_total', 'Update checks by outcome', ['outcome']);
+const bytesServed = metrics.counter('lynx_download_bytes_total', 'Package bytes sent to clients', ['type']);
+const uploadSizes = metrics.histogram('lynx_upload_size_bytes', 'Size of accepted release packages', [], UPLOAD_SIZE_BUCKETS);
 
 /**
  * 路由处理
@@ -31,7 +154,10 @@ const routes = {
   // 检查更新
   'POST /api/check-update': async (req, res, body) => {
     const deploymentKey = req.headers['x-deployment-key'];
-    const { currentVersion, platform, appVersion } = JSON.parse(body);
+    const {
+      currentVersion, currentLabel, platform, appVersion, deviceId, clientId, userId,
+      osVersion, deviceModel, locale, attrs, diffFormats
+    } = JSON.parse(body);
     
     if (!deploymentKey) {
       return sendJson(res, 401, { error: 'Missing deployment key' });
@@ -40,128 +166,325 @@ const routes = {
     const releases = await getReleasesForKey(deploymentKey, platform);
     
     if (releases.length === 0) {
+      checkUpdateOutcomes.inc({ outcome: 'no_update' });
       return sendJson(res, 200, { updateAvailable: false });
     }
 
-    // 找到适用的最新版本
-    const latestRelease = findApplicableRelease(releases, currentVersion, appVersion);
+    // 设备上报了标签时按标签确定当前发布，早期客户端只有版本号
+    const currentRelease = findCurrentRelease(releases, currentLabel, currentVersion);
+    if (currentRelease) {
+      db.touchRelease(currentRelease.id);
+    }
+
+    // 测试名单中的设备不受定向规则和灰度比例限制
+    const testers = getTesterStatus(db.findTesterEntries(deploymentKey, deviceId || clientId, userId));
+
+    // 找到适用的最新版本，不在灰度范围内的发布跳过，继续查找更早的发布
+    const device = { appVersion, osVersion, deviceModel, locale, attrs, testers, rolloutId: deviceId || clientId };
+    const { release: latestRelease, rolloutExcluded } =
+      findApplicableRelease(releases, currentVersion, device, currentLabel ? currentRelease : null);
     
     if (!latestRelease) {
+      checkUpdateOutcomes.inc({ outcome: rolloutExcluded ? 'rollout_excluded' : 'no_update' });
       return sendJson(res, 200, { updateAvailable: false });
     }
 
-    // 检查灰度发布
-    if (latestRelease.rollout < 100) {
-      const shouldReceive = Math.random() * 100 < latestRelease.rollout;
-      if (!shouldReceive) {
-        return sendJson(res, 200, { updateAvailable: false });
-      }
-    }
-
     // 检查是否禁用
     if (latestRelease.disabled) {
+      checkUpdateOutcomes.inc({ outcome: 'disabled' });
       return sendJson(res, 200, { updateAvailable: false });
     }
 
     // 记录检查统计
     await recordStats(deploymentKey, platform, 'check');
+    db.recordReleaseEvent(latestRelease.id, 'offered');
 
-    // 判断是否有差分包可用
-    const diffPackage = await findDiffPackage(deploymentKey, platform, currentVersion, latestRelease.version);
+    // 只有客户端声明能应用的差分包格式时才返回差分包，否则下载完整包
+    // 签名只覆盖完整包，签名的发布始终返回完整包，客户端才能校验下载的内容
+    const diffPackage = latestRelease.signature ? null : await findDiffPackage(
+      latestRelease, currentRelease, currentLabel ? null : currentVersion, normalizeDiffFormats(diffFormats)
+    );
+    checkUpdateOutcomes.inc({ outcome: diffPackage ? 'offered_diff' : 'offered_full' });
 
-    sendJson(res, 200, {
+    // release 参数用于下载统计，多个发布可能共用同一个包；device 参数让下载日志能对应到设备
+    const downloadQuery = `release=${latestRelease.id}` +
+      (deviceId || clientId ? `&device=${hashDeviceId(deviceId || clientId)}` : '');
+    const response = {
       updateAvailable: true,
+      label: latestRelease.label,
       version: latestRelease.version,
       downloadUrl: diffPackage 
-        ? `http://${req.headers.host}/api/download/${diffPackage.filename}`
-        : `http://${req.headers.host}/api/download/${latestRelease.filename}`,
+        ? `http://${req.headers.host}/api/download/${diffPackage.filename}?${downloadQuery}`
+        : `http://${req.headers.host}/api/download/${latestRelease.filename}?${downloadQuery}`,
       hash: diffPackage ? diffPackage.hash : latestRelease.hash,
       size: diffPackage ? diffPackage.size : latestRelease.size,
       description: latestRelease.description,
       mandatory: latestRelease.mandatory,
       isDiff: !!diffPackage
-    });
+    };
+    if (diffPackage) {
+      response.diffFormat = diffPackage.format;
+    }
+
+    // 回滚发布的版本号可能低于设备当前版本，客户端需要照常安装
+    if (latestRelease.releaseMethod === 'rollback') {
+      response.rollback = true;
+    }
+
+    // 签名始终针对完整包清单，客户端校验 signedManifest 中的 hash
+    if (latestRelease.signature) {
+      response.signature = latestRelease.signature;
+      response.signatureAlgorithm = latestRelease.signatureAlgorithm;
+      response.signedManifest = latestRelease.signedManifest;
+    }
+
+    sendJson(res, 200, response);
   },
 
-  // 下载包
+  // 下载包（支持 Range 断点续传）
   'GET /api/download/:filename': async (req, res, body, params) => {
     const filename = params.filename;
-    const filePath = path.join(DATA_DIR, 'packages', filename);
     
-    if (!await fs.pathExists(filePath)) {
+    // 不允许路径穿越，也不暴露上传中的临时文件
+    if (path.basename(filename) !== filename || filename.startsWith('.')) {
+      return sendJson(res, 404, { error: 'Package not found' });
+    }
+
+    const stats = await storage.statPackage(filename);
+    
+    if (!stats) {
       return sendJson(res, 404, { error: 'Package not found' });
     }
 
-    const stats = await fs.stat(filePath);
-    res.writeHead(200, {
+    const { query } = url.parse(req.url, true);
+    const release = req.method === 'GET' ? findDownloadRelease(filename, query.release) : null;
+
+    // 由存储直接提供下载（预签名 URL / CDN），只能统计开始的下载
+    if (DOWNLOAD_MODE === 'redirect') {
+      const location = await storage.getPackageUrl(filename, { expiresIn: PRESIGN_EXPIRES });
+      if (location) {
+        if (release && !req.headers.range) {
+          db.recordReleaseEvent(release.id, 'download_started');
+        }
+        res.writeHead(302, { Location: location, 'Cache-Control': 'no-store' });
+        return res.end();
+      }
+    }
+
+    const etag = stats.hash ? `"${stats.hash}"` : null;
+    const lastModified = stats.mtime.toUTCString();
+
+    const headers = {
       'Content-Type': 'application/zip',
-      'Content-Length': stats.size,
-      'Content-Disposition': `attachment; filename="${filename}"`
-    });
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Accept-Ranges': 'bytes',
+      'Last-Modified': lastModified,
+      // 完整包文件名带时间戳不会复用；差分包同名可能重新生成，需要校验
+      'Cache-Control': isDiffFilename(filename)
+        ? 'public, no-cache'
+        : 'public, max-age=31536000, immutable'
+    };
+    if (etag) {
+      headers['ETag'] = etag;
+    }
+
+    // 缓存校验
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (etag && ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*')) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    // If-Range 不匹配时忽略 Range，返回完整文件
+    let range = null;
+    if (req.headers.range && isIfRangeFresh(req.headers['if-range'], etag, stats.mtime)) {
+      range = parseRange(req.headers.range, stats.size);
+      
+      if (range === -1) {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+        return res.end();
+      }
+    }
+
+    if (range) {
+      res.writeHead(206, {
+        ...headers,
+        'Content-Length': range.end - range.start + 1,
+        'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`
+      });
+    } else {
+      res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
     
-    fs.createReadStream(filePath).pipe(res);
+    const stream = await storage.createPackageStream(filename, range);
+    const type = isDiffFilename(filename) ? 'diff' : 'full';
+    stream.on('data', chunk => bytesServed.inc({ type }, chunk.length));
+    if (release) {
+      trackDownload(res, stream, release, { filename, size: stats.size, range });
+    }
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
   },
 
+  'HEAD /api/download/:filename': (...args) => routes['GET /api/download/:filename'](...args),
+
   // 上传发布
   'POST /api/releases': async (req, res, body) => {
     const deploymentKey = req.headers['x-deployment-key'];
     const appKey = req.headers['x-app-key'];
     
     if (!deploymentKey || !appKey) {
-      return sendJson(res, 401, { error: 'Missing authentication' });
+      return sendJson(res, 400, { error: 'Missing app or deployment key' });
     }
 
-    // 解析 multipart form data (简化版)
-    const boundary = req.headers['content-type'].split('boundary=')[1];
-    const parts = parseMultipart(Buffer.from(body, 'binary'), boundary);
-    
-    const metadata = {};
-    let fileData = null;
-    let filename = null;
-
-    for (const part of parts) {
-      if (part.filename) {
-        fileData = part.data;
-        filename = part.filename;
-      } else if (part.name) {
-        metadata[part.name] = part.data.toString();
-      }
+    // 部署需要先在服务器上创建
+    const deployment = db.getDeploymentByKey(deploymentKey);
+    if (!deployment) {
+      return sendJson(res, 404, { error: 'Unknown deployment key, create it with "lynx-update deployment add"' });
+    }
+
+    // 限定应用的访问密钥只能发布到该应用，部署也不能属于其他应用
+    const app = db.getApp(appKey);
+    if (req.accessKey.app && req.accessKey.app !== appKey) {
+      return sendJson(res, 403, { error: `Access key is not valid for app ${appKey}` });
+    }
+    if (deployment.app_id && (!app || deployment.app_id !== app.id)) {
+      return sendJson(res, 403, { error: 'Deployment key belongs to another app' });
+    }
+
+    const boundary = parseBoundary(req.headers['content-type']);
+    if (!boundary) {
+      return sendJson(res, 400, { error: 'Expected multipart/form-data' });
+    }
+
+    const contentLength = parseInt(req.headers['content-length']);
+    if (contentLength > MAX_UPLOAD_SIZE + MAX_FORM_OVERHEAD) {
+      return sendJson(res, 413, { error: `Upload exceeds ${MAX_UPLOAD_SIZE} bytes` });
     }
 
-    if (!fileData) {
+    // 流式接收，包先写入临时文件，校验通过后再存入存储
+    let upload;
+    try {
+      upload = await receiveMultipartUpload(req, {
+        boundary,
+        tempDir: path.join(DATA_DIR, 'tmp'),
+        maxFileSize: MAX_UPLOAD_SIZE
+      });
+    } catch (error) {
+      return sendJson(res, error.statusCode || 400, { error: error.message });
+    }
+
+    const metadata = upload.fields;
+    const file = upload.file;
+
+    if (!file) {
       return sendJson(res, 400, { error: 'No file uploaded' });
     }
 
+    // 版本号和平台用于生成包文件名，必须在使用前校验
+    const uploadError = !PLATFORMS.includes(metadata.platform)
+      ? `Platform must be one of ${PLATFORMS.join(', ')}`
+      : semver.valid(metadata.version) !== metadata.version ? 'Version must be a valid semver version, e.g. 1.2.0' : null;
+    if (uploadError) {
+      await fs.remove(file.tempPath);
+      return sendJson(res, 400, { error: uploadError });
+    }
+
+    // 只有哈希与客户端声明一致才保留
+    if (!metadata.hash || metadata.hash !== file.hash) {
+      await fs.remove(file.tempPath);
+      return sendJson(res, 400, { error: metadata.hash ? 'Package hash mismatch' : 'Missing package hash' });
+    }
+
+    // 签名清单必须与上传的包一致
+    if (metadata.signature) {
+      const signatureError = validateSignedManifest(metadata, file.size);
+      if (signatureError) {
+        await fs.remove(file.tempPath);
+        return sendJson(res, 400, { error: signatureError });
+      }
+    }
+
+    let rollout;
+    let rules;
+    let healthPolicy;
+    let ramp;
+    try {
+      // 未指定时全量发布，0 表示暂不下发
+      rollout = metadata.rollout === undefined ? 100 : normalizeRollout(metadata.rollout);
+      rules = normalizeRules(metadata.rules);
+      healthPolicy = normalizeHealthPolicy(metadata.healthPolicy);
+      ramp = normalizeRamp(metadata.ramp);
+    } catch (error) {
+      await fs.remove(file.tempPath);
+      return sendJson(res, 400, { error: error.message });
+    }
+
     // 保存文件
     const savedFilename = `${appKey}-${metadata.platform}-${metadata.version}-${Date.now()}.zip`;
-    const filePath = path.join(DATA_DIR, 'packages', savedFilename);
-    await fs.writeFile(filePath, fileData);
+    try {
+      await storage.putPackage(savedFilename, file.tempPath, { hash: file.hash });
+    } finally {
+      await fs.remove(file.tempPath);
+    }
 
     // 保存发布信息
     const release = {
       version: metadata.version,
       platform: metadata.platform,
       filename: savedFilename,
-      hash: metadata.hash,
-      size: fileData.length,
+      hash: file.hash,
+      size: file.size,
       description: metadata.description || '',
       mandatory: metadata.mandatory === 'true',
-      rollout: parseInt(metadata.rollout) || 100,
+      rollout,
       targetBinaryVersion: metadata.targetBinaryVersion || '*',
+      rules,
+      testersOnly: metadata.testersOnly === 'true',
+      healthPolicy,
       disabled: false,
+      signature: metadata.signature || null,
+      signatureAlgorithm: metadata.signature ? (metadata.signatureAlgorithm || 'ed25519') : null,
+      signedManifest: metadata.signature ? metadata.signedManifest : null,
       createdAt: new Date().toISOString(),
       deploymentKey
     };
+    // 灰度计划从发布时开始计时
+    if (ramp) {
+      Object.assign(release, getRolloutChanges(release, { ramp }));
+    }
 
-    await saveRelease(deploymentKey, metadata.platform, release);
+    const previousReleases = await getReleasesForKey(deploymentKey, metadata.platform);
+    const savedRelease = db.insertRelease(deploymentKey, release, appKey);
+    uploadSizes.observe({}, file.size);
+    recordAudit(req, 'upload', savedRelease, null, metadata.reason);
 
-    sendJson(res, 200, { success: true, release });
+    // 为最近的历史版本生成差分包
+    const diffs = await generateDiffsForRelease(savedRelease, previousReleases, {
+      binary: metadata.binaryDiff === 'true'
+    });
+
+    sendJson(res, 200, { success: true, release: savedRelease, diffs });
   },
 
   // 报告安装
   'POST /api/report-install': async (req, res, body) => {
-    const { deploymentKey, platform, version, status } = JSON.parse(body);
-    
+    const { deploymentKey, platform, version, label, status, deviceId } = JSON.parse(body);
+    if (deviceId !== undefined && (!deviceId || typeof deviceId !== 'string')) {
+      return sendJson(res, 400, { error: 'Invalid deviceId' });
+    }
+    if (!REPORT_STATUSES.includes(status)) {
+      return sendJson(res, 400, { error: `Unknown status ${status}` });
+    }
+
+    // 同一设备的重复上报不计数，否则一台设备就能刷高失败率触发自动暂停；早期客户端不带设备 ID，无法去重
+    if (!await recordReleaseReport(deploymentKey, platform, label || version, status, deviceId)) {
+      return sendJson(res, 200, { success: true, duplicate: true });
+    }
     await recordStats(deploymentKey, platform, status, version);
     
     sendJson(res, 200, { success: true });
@@ -169,255 +492,1451 @@ const routes = {
 
   // 获取统计
   'GET /api/stats/:deploymentKey': async (req, res, body, params) => {
-    const stats = await fs.readJson(statsFile);
-    const appStats = stats.apps[params.deploymentKey] || {};
-    
-    sendJson(res, 200, appStats);
+    sendJson(res, 200, db.getStats(params.deploymentKey));
+  },
+
+  // 单个发布的统计，包括最近 ?days=N 天（默认 30）的按天数据
+  'GET /api/stats/:deploymentKey/:platform/:release': async (req, res, body, params) => {
+    const releases = await getReleasesForKey(params.deploymentKey, params.platform);
+    const release = findRelease(releases, params.release);
+    if (!release) {
+      return sendJson(res, 404, { error: 'Release not found' });
+    }
+
+    const { query } = url.parse(req.url, true);
+    const days = Math.min(Math.max(parseInt(query.days) || 30, 1), 365);
+    sendJson(res, 200, {
+      release: { label: release.label, version: release.version, createdAt: release.createdAt },
+      ...db.getReleaseStats(release.id, days)
+    });
   },
 
-  // 获取发布历史
+  // 获取发布历史，每个发布带有统计总数
   'GET /api/releases/:deploymentKey/:platform': async (req, res, body, params) => {
     const releases = await getReleasesForKey(params.deploymentKey, params.platform);
-    sendJson(res, 200, { releases });
+    const totals = db.getReleaseTotals(params.deploymentKey, params.platform);
+    sendJson(res, 200, {
+      releases: releases.map(release => ({ ...release, stats: totals.get(release.id) || emptyReleaseStats() }))
+    });
   },
 
-  // 禁用/启用发布
-  'PATCH /api/releases/:deploymentKey/:platform/:version': async (req, res, body, params) => {
-    const { disabled, rollout, mandatory } = JSON.parse(body);
+  // 禁用/启用发布，可以用标签或版本号指定
+  'PATCH /api/releases/:deploymentKey/:platform/:release': async (req, res, body, params) => {
+    const {
+      disabled, rollout, ramp, mandatory, description, targetBinaryVersion, rules, testersOnly, healthPolicy, resume, reason
+    } = JSON.parse(body);
     
-    const releasesFile = path.join(DATA_DIR, 'releases', `${params.deploymentKey}-${params.platform}.json`);
-    if (!await fs.pathExists(releasesFile)) {
+    const releases = await getReleasesForKey(params.deploymentKey, params.platform);
+    if (releases.length === 0) {
       return sendJson(res, 404, { error: 'Release not found' });
     }
 
-    const releases = await fs.readJson(releasesFile);
-    const release = releases.find(r => r.version === params.version);
+    const existing = findRelease(releases, params.release);
     
-    if (!release) {
-      return sendJson(res, 404, { error: 'Version not found' });
+    if (!existing) {
+      return sendJson(res, 404, { error: 'Release not found' });
+    }
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (disabled !== undefined) changes.disabled = disabled;
+    if (mandatory !== undefined) changes.mandatory = mandatory;
+    if (description !== undefined) changes.description = description;
+    if (targetBinaryVersion !== undefined) changes.targetBinaryVersion = targetBinaryVersion;
+    if (testersOnly !== undefined) changes.testersOnly = testersOnly;
+    try {
+      if (rules !== undefined) changes.rules = normalizeRules(rules);
+      if (healthPolicy !== undefined) changes.healthPolicy = normalizeHealthPolicy(healthPolicy);
+      Object.assign(changes, getRolloutChanges(existing, {
+        rollout: rollout === undefined ? undefined : normalizeRollout(rollout),
+        ramp: ramp === undefined ? undefined : normalizeRamp(ramp)
+      }));
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message });
     }
 
-    if (disabled !== undefined) release.disabled = disabled;
-    if (rollout !== undefined) release.rollout = rollout;
-    if (mandatory !== undefined) release.mandatory = mandatory;
-    release.updatedAt = new Date().toISOString();
+    // 自动暂停后需要先恢复，才能扩大灰度；恢复时去掉健康策略，避免立即再次暂停
+    if (existing.haltedAt) {
+      if (resume || disabled === false) {
+        Object.assign(changes, { haltedAt: null, haltReason: null, disabled: false });
+        if (healthPolicy === undefined) changes.healthPolicy = null;
+      } else if (changes.ramp || (changes.rollout !== undefined && changes.rollout > getEffectiveRollout(existing))) {
+        return sendJson(res, 409, { error: `Release is halted: ${existing.haltReason}. Resume it first` });
+      }
+    }
 
-    await fs.writeJson(releasesFile, releases, { spaces: 2 });
+    const release = db.updateRelease(existing.id, changes);
+    recordAudit(req, 'patch', release, existing, reason);
     
     sendJson(res, 200, { success: true, release });
   },
 
-  // 健康检查
-  'GET /api/health': async (req, res) => {
-    sendJson(res, 200, { status: 'ok', timestamp: new Date().toISOString() });
-  }
-};
+  // 删除发布，不再被引用的包和差分包一并删除
+  // 最新的发布和最近仍有设备运行的发布需要 force
+  'DELETE /api/releases/:deploymentKey/:platform/:release': async (req, res, body, params) => {
+    const { reason, force } = JSON.parse(body || '{}');
 
-/**
- * 辅助函数
- */
-function sendJson(res, status, data) {
-  res.writeHead(status, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(data));
-}
+    const releases = await getReleasesForKey(params.deploymentKey, params.platform);
+    const release = findRelease(releases, params.release);
+    if (!release) {
+      return sendJson(res, 404, { error: 'Release not found' });
+    }
 
-async function getReleasesForKey(deploymentKey, platform) {
-  const releasesFile = path.join(DATA_DIR, 'releases', `${deploymentKey}-${platform}.json`);
-  if (await fs.pathExists(releasesFile)) {
-    return await fs.readJson(releasesFile);
-  }
-  return [];
-}
+    if (!force) {
+      if (release.id === releases[0].id) {
+        return sendJson(res, 409, { error: `${release.label} is the latest release, publish or roll back first` });
+      }
+      if (isRecentlySeen(release, RETAIN_ACTIVE_DAYS)) {
+        return sendJson(res, 409, { error: `Devices ran ${release.label} in the last ${RETAIN_ACTIVE_DAYS} days` });
+      }
+    }
 
-async function saveRelease(deploymentKey, platform, release) {
-  const releasesFile = path.join(DATA_DIR, 'releases', `${deploymentKey}-${platform}.json`);
-  let releases = [];
-  if (await fs.pathExists(releasesFile)) {
-    releases = await fs.readJson(releasesFile);
-  }
-  releases.unshift(release);
-  await fs.writeJson(releasesFile, releases, { spaces: 2 });
-}
+    // 审计记录引用发布，需要在删除前写入
+    recordAudit(req, 'delete', release, null, reason);
+    db.deleteRelease(release.id);
+    await deleteUnreferencedPackages([release.filename]);
 
-function findApplicableRelease(releases, currentVersion, appVersion) {
-  const semver = require('semver');
-  
-  for (const release of releases) {
-    // 跳过当前版本
-    if (release.version === currentVersion) continue;
-    
-    // 检查版本是否更新
-    if (semver.valid(release.version) && semver.valid(currentVersion)) {
-      if (!semver.gt(release.version, currentVersion)) continue;
+    sendJson(res, 200, { success: true, release });
+  },
+
+  // 推送到其他部署（如 staging → production），复用同一个包，不重新上传
+  'POST /api/releases/:deploymentKey/:platform/promote': async (req, res, body, params) => {
+    const { targetDeploymentKey, version, rollout, mandatory, description, reason } = JSON.parse(body);
+
+    const source = db.getDeploymentByKey(params.deploymentKey);
+    const target = targetDeploymentKey ? db.getDeploymentByKey(targetDeploymentKey) : null;
+    if (!source || !target) {
+      return sendJson(res, 404, { error: 'Deployment not found' });
     }
-    
-    // 检查目标二进制版本
-    if (release.targetBinaryVersion && release.targetBinaryVersion !== '*' && appVersion) {
-      if (!semver.satisfies(appVersion, release.targetBinaryVersion)) continue;
+    if (source.id === target.id) {
+      return sendJson(res, 400, { error: 'Source and target deployments are the same' });
+    }
+    if (source.app_id !== target.app_id) {
+      return sendJson(res, 400, { error: 'Deployments belong to different apps' });
     }
-    
-    return release;
-  }
-  
-  return null;
-}
 
-async function findDiffPackage(deploymentKey, platform, fromVersion, toVersion) {
-  const diffFilename = `${deploymentKey}-${platform}-diff-${fromVersion}-to-${toVersion}.zip`;
-  const diffPath = path.join(DATA_DIR, 'packages', diffFilename);
-  
-  if (await fs.pathExists(diffPath)) {
-    const stats = await fs.stat(diffPath);
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256');
-    hash.update(await fs.readFile(diffPath));
-    
-    return {
-      filename: diffFilename,
-      size: stats.size,
-      hash: hash.digest('hex')
-    };
-  }
-  
-  return null;
-}
+    const releases = await getReleasesForKey(params.deploymentKey, params.platform);
+    const sourceRelease = version ? findRelease(releases, version) : releases[0];
+    if (!sourceRelease) {
+      return sendJson(res, 404, { error: version ? 'Release not found' : 'No releases to promote' });
+    }
 
-async function recordStats(deploymentKey, platform, action, version = null) {
-  const stats = await fs.readJson(statsFile);
-  
-  if (!stats.apps[deploymentKey]) {
-    stats.apps[deploymentKey] = {};
-  }
-  if (!stats.apps[deploymentKey][platform]) {
-    stats.apps[deploymentKey][platform] = {
-      checks: 0,
-      downloads: 0,
-      installs: 0,
-      failures: 0,
-      versions: {}
-    };
-  }
-  
-  const platformStats = stats.apps[deploymentKey][platform];
-  
-  switch (action) {
-    case 'check':
-      platformStats.checks++;
-      break;
-    case 'download':
-      platformStats.downloads++;
-      break;
-    case 'success':
-      platformStats.installs++;
-      if (version) {
-        platformStats.versions[version] = (platformStats.versions[version] || 0) + 1;
+    const changes = { releaseMethod: 'promote' };
+    if (rollout !== undefined) {
+      try {
+        Object.assign(changes, { rollout: normalizeRollout(rollout), ramp: null, rampStartedAt: null });
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
       }
-      break;
-    case 'failure':
-      platformStats.failures++;
-      break;
-  }
-  
-  platformStats.lastActivity = new Date().toISOString();
-  
-  await fs.writeJson(statsFile, stats, { spaces: 2 });
-}
+    }
+    if (mandatory !== undefined) changes.mandatory = mandatory;
+    if (description !== undefined) changes.description = description;
 
-function parseMultipart(buffer, boundary) {
-  const parts = [];
-  const boundaryBuffer = Buffer.from(`--${boundary}`);
-  
-  let start = buffer.indexOf(boundaryBuffer) + boundaryBuffer.length + 2;
-  
-  while (start < buffer.length) {
-    const end = buffer.indexOf(boundaryBuffer, start);
-    if (end === -1) break;
-    
-    const part = buffer.slice(start, end - 2);
-    const headerEnd = part.indexOf('\r\n\r\n');
-    
-    if (headerEnd !== -1) {
-      const headers = part.slice(0, headerEnd).toString();
-      const data = part.slice(headerEnd + 4);
-      
-      const nameMatch = headers.match(/name="([^"]+)"/);
-      const filenameMatch = headers.match(/filename="([^"]+)"/);
-      
-      parts.push({
-        name: nameMatch ? nameMatch[1] : null,
-        filename: filenameMatch ? filenameMatch[1] : null,
-        data
-      });
+    const previousReleases = await getReleasesForKey(targetDeploymentKey, params.platform);
+    const release = db.insertRelease(targetDeploymentKey, copyRelease(sourceRelease, changes));
+    recordAudit(req, 'promote', release, null, reason, { source: `${source.name} ${sourceRelease.label}` });
+    const diffs = await generateDiffsForRelease(release, previousReleases);
+
+    sendJson(res, 200, { success: true, release, diffs });
+  },
+
+  // 回滚：以旧版本的包创建一个新发布，不修改历史记录
+  'POST /api/releases/:deploymentKey/:platform/rollback': async (req, res, body, params) => {
+    const { version, reason } = JSON.parse(body || '{}');
+
+    const releases = await getReleasesForKey(params.deploymentKey, params.platform);
+    if (releases.length < 2) {
+      return sendJson(res, 400, { error: 'No previous release to roll back to' });
     }
-    
-    start = end + boundaryBuffer.length + 2;
-  }
-  
-  return parts;
-}
 
-/**
- * 请求处理
- */
-function handleRequest(req, res) {
-  let body = [];
-  
-  req.on('data', chunk => body.push(chunk));
-  req.on('end', async () => {
-    body = Buffer.concat(body);
-    
-    const parsedUrl = url.parse(req.url, true);
-    const method = req.method;
-    const pathname = parsedUrl.pathname;
-    
-    // CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Deployment-Key, X-App-Key');
-    
-    if (method === 'OPTIONS') {
-      res.writeHead(200);
-      return res.end();
+    // 目标必须是与当前发布内容不同的旧发布
+    const current = releases[0];
+    const candidates = releases.filter(r => r.hash !== current.hash);
+    const targetRelease = version ? findRelease(candidates, version) : candidates[0];
+    if (!targetRelease) {
+      return sendJson(res, 404, { error: 'Release not found' });
     }
 
-    // 匹配路由
-    for (const [route, handler] of Object.entries(routes)) {
-      const [routeMethod, routePath] = route.split(' ');
-      
-      if (method !== routeMethod) continue;
-      
-      // 简单的路径参数匹配
-      const routeParts = routePath.split('/');
-      const pathParts = pathname.split('/');
-      
-      if (routeParts.length !== pathParts.length) continue;
-      
-      const params = {};
-      let match = true;
-      
-      for (let i = 0; i < routeParts.length; i++) {
-        if (routeParts[i].startsWith(':')) {
-          params[routeParts[i].slice(1)] = pathParts[i];
-        } else if (routeParts[i] !== pathParts[i]) {
-          match = false;
-          break;
-        }
+    // 回滚发布给所有设备
+    const release = db.insertRelease(params.deploymentKey, copyRelease(targetRelease, {
+      releaseMethod: 'rollback',
+      rollout: 100,
+      ramp: null,
+      rampStartedAt: null
+    }));
+    recordAudit(req, 'rollback', release, null, reason, { source: targetRelease.label, replaced: current.label });
+    const diffs = await generateDiffsForRelease(release, releases);
+
+    sendJson(res, 200, { success: true, release, rolledBackFrom: current.version, rolledBackFromLabel: current.label, diffs });
+  },
+
+  // 审计记录，可按 app、deployment、platform、release、action、actor、since 过滤
+  'GET /api/audit': async (req, res) => {
+    const { query } = url.parse(req.url, true);
+
+    // 限定应用的密钥只能查看该应用的记录
+    if (req.accessKey.app && query.app && query.app !== req.accessKey.app) {
+      return sendJson(res, 403, { error: 'Access key is not valid for this app' });
+    }
+    const appName = req.accessKey.app || query.app;
+    if (query.deployment && !appName) {
+      return sendJson(res, 400, { error: 'Filtering by deployment requires an app' });
+    }
+    if (query.action && !AUDIT_ACTIONS.includes(query.action)) {
+      return sendJson(res, 400, { error: `Invalid action, expected ${AUDIT_ACTIONS.join(', ')}` });
+    }
+
+    let since;
+    if (query.since) {
+      const date = new Date(query.since);
+      if (isNaN(date.getTime())) {
+        return sendJson(res, 400, { error: 'Invalid since, expected an ISO date' });
       }
-      
-      if (match) {
-        try {
-          await handler(req, res, body.toString('binary'), params);
-        } catch (error) {
-          console.error('Handler error:', error);
-          sendJson(res, 500, { error: error.message });
-        }
-        return;
+      since = date.toISOString();
+    }
+
+    const app = appName ? db.getApp(appName) : null;
+    const deployment = app && query.deployment ? db.getDeployment(app.id, query.deployment) : null;
+
+    const entries = db.listAuditEntries({
+      app: appName,
+      deployment: query.deployment,
+      deploymentId: deployment ? deployment.id : null,
+      platform: query.platform,
+      release: query.release,
+      action: query.action,
+      actor: query.actor,
+      since,
+      limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 500)
+    });
+    sendJson(res, 200, { entries });
+  },
+
+  // 按保留策略删除旧发布，并删除没有发布引用的包和差分包
+  // body: { dryRun, keep, activeDays, reason }，keep 和 activeDays 默认取 RETAIN_RELEASES 和 RETAIN_ACTIVE_DAYS
+  'POST /api/gc': async (req, res, body) => {
+    if (req.accessKey.app) {
+      return sendJson(res, 403, { error: 'Garbage collection requires an admin key not limited to an app' });
+    }
+
+    const { dryRun, keep, activeDays, reason } = JSON.parse(body || '{}');
+    const policy = {
+      keep: keep !== undefined ? Number(keep) : RETAIN_RELEASES,
+      activeDays: activeDays !== undefined ? Number(activeDays) : RETAIN_ACTIVE_DAYS
+    };
+    if (!Number.isInteger(policy.keep) || policy.keep < 0 || !Number.isInteger(policy.activeDays) || policy.activeDays < 0) {
+      return sendJson(res, 400, { error: 'keep and activeDays must be non-negative integers' });
+    }
+
+    const packages = await storage.listPackages();
+    const releases = db.listAllReleases();
+    const expired = findExpiredReleases(releases, packages, policy);
+
+    if (!dryRun) {
+      for (const release of expired) {
+        recordAudit(req, 'delete', release, null, reason || `Retention: keep the latest ${policy.keep} releases`);
+        db.deleteRelease(release.id);
       }
     }
-    
-    // 404
-    sendJson(res, 404, { error: 'Not found' });
-  });
+
+    const remaining = releases.filter(release => !expired.includes(release));
+    const orphaned = findOrphanedPackages(packages, remaining);
+    if (!dryRun) {
+      for (const pkg of orphaned) {
+        await storage.deletePackage(pkg.name);
+      }
+    }
+
+    sendJson(res, 200, {
+      dryRun: !!dryRun,
+      policy,
+      releases: expired.map(release => ({
+        app: release.app,
+        deployment: release.deployment,
+        platform: release.platform,
+        label: release.label,
+        version: release.version,
+        createdAt: release.createdAt,
+        lastSeenAt: release.lastSeenAt
+      })),
+      packages: orphaned.map(pkg => ({ name: pkg.name, size: pkg.size })),
+      reclaimedBytes: orphaned.reduce((total, pkg) => total + (pkg.size || 0), 0)
+    });
+  },
+
+  // 当前访问密钥信息（CLI 登录时校验）
+  'GET /api/auth/me': async (req, res) => {
+    sendJson(res, 200, { accessKey: req.accessKey });
+  },
+
+  // 访问密钥列表
+  'GET /api/access-keys': async (req, res) => {
+    if (req.accessKey.app) {
+      return sendJson(res, 403, { error: 'Managing access keys requires an admin key not limited to an app' });
+    }
+    sendJson(res, 200, { accessKeys: db.listAccessKeys() });
+  },
+
+  // 创建访问密钥，明文只在这里返回一次
+  'POST /api/access-keys': async (req, res, body) => {
+    if (req.accessKey.app) {
+      return sendJson(res, 403, { error: 'Managing access keys requires an admin key not limited to an app' });
+    }
+
+    const { name, scopes, app } = JSON.parse(body);
+    if (!name) {
+      return sendJson(res, 400, { error: 'Missing access key name' });
+    }
+
+    const normalizedScopes = normalizeScopes(scopes || 'read');
+    if (!normalizedScopes) {
+      return sendJson(res, 400, { error: 'Invalid scopes, expected read, publish or admin' });
+    }
+    // 应用名写错时不能悄悄创建新应用，否则密钥什么都访问不了
+    if (app && !db.getApp(app)) {
+      return sendJson(res, 404, { error: `Unknown app ${app}` });
+    }
+
+    const plainKey = generateAccessKey();
+    const accessKey = db.createAccessKey({
+      name,
+      keyHash: hashAccessKey(plainKey),
+      hint: getAccessKeyHint(plainKey),
+      scopes: normalizedScopes,
+      app: app || null,
+      createdBy: req.accessKey.name
+    });
+
+    sendJson(res, 201, { success: true, accessKey, key: plainKey });
+  },
+
+  // 吊销访问密钥
+  'DELETE /api/access-keys/:id': async (req, res, body, params) => {
+    if (req.accessKey.app) {
+      return sendJson(res, 403, { error: 'Managing access keys requires an admin key not limited to an app' });
+    }
+
+    const accessKey = db.getAccessKey(parseInt(params.id));
+    if (!accessKey) {
+      return sendJson(res, 404, { error: 'Access key not found' });
+    }
+
+    // 至少保留一个不限应用的管理员密钥，否则无法再管理服务器
+    const remainingAdmins = db.listAccessKeys()
+      .filter(key => key.id !== accessKey.id && !key.app && hasScope(key.scopes, 'admin'));
+    if (remainingAdmins.length === 0) {
+      return sendJson(res, 409, { error: 'Cannot remove the last admin access key' });
+    }
+
+    db.deleteAccessKey(accessKey.id);
+    sendJson(res, 200, { success: true });
+  },
+
+  // 应用列表
+  'GET /api/apps': async (req, res) => {
+    sendJson(res, 200, { apps: db.listApps(req.accessKey.appId) });
+  },
+
+  // 创建应用，同时创建默认部署
+  'POST /api/apps': async (req, res, body) => {
+    if (req.accessKey.app) {
+      return sendJson(res, 403, { error: 'Creating apps requires an admin key not limited to an app' });
+    }
+
+    const { name, deployments } = JSON.parse(body);
+    const deploymentNames = deployments || DEFAULT_DEPLOYMENTS;
+
+    if (!isValidName(name) || !Array.isArray(deploymentNames) || !deploymentNames.every(isValidName)) {
+      return sendJson(res, 400, { error: 'Invalid app or deployment name' });
+    }
+    if (db.getApp(name)) {
+      return sendJson(res, 409, { error: `App ${name} already exists` });
+    }
+
+    const app = db.createApp(name, [...new Set(deploymentNames)].map(deploymentName => ({
+      name: deploymentName,
+      key: generateDeploymentKey()
+    })));
+
+    sendJson(res, 201, { success: true, app });
+  },
+
+  // 重命名应用
+  'PATCH /api/apps/:app': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    if (!app) {
+      return sendJson(res, 404, { error: 'App not found' });
+    }
+
+    const { name } = JSON.parse(body);
+    if (!isValidName(name)) {
+      return sendJson(res, 400, { error: 'Invalid app name' });
+    }
+    if (name !== app.name && db.getApp(name)) {
+      return sendJson(res, 409, { error: `App ${name} already exists` });
+    }
+
+    db.renameApp(app.id, name);
+    sendJson(res, 200, { success: true, app: db.listApps(app.id)[0] });
+  },
+
+  // 删除应用及其全部部署、发布和统计
+  'DELETE /api/apps/:app': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    if (!app) {
+      return sendJson(res, 404, { error: 'App not found' });
+    }
+
+    const filenames = db.listReleaseFilenames({ appId: app.id });
+    db.deleteApp(app.id);
+    await deleteUnreferencedPackages(filenames);
+
+    sendJson(res, 200, { success: true });
+  },
+
+  // 部署列表
+  'GET /api/apps/:app/deployments': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    if (!app) {
+      return sendJson(res, 404, { error: 'App not found' });
+    }
+    sendJson(res, 200, { deployments: db.listDeployments(app.id) });
+  },
+
+  // 创建部署
+  'POST /api/apps/:app/deployments': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    if (!app) {
+      return sendJson(res, 404, { error: 'App not found' });
+    }
+
+    const { name } = JSON.parse(body);
+    if (!isValidName(name)) {
+      return sendJson(res, 400, { error: 'Invalid deployment name' });
+    }
+    if (db.getDeployment(app.id, name)) {
+      return sendJson(res, 409, { error: `Deployment ${name} already exists` });
+    }
+
+    const deployment = db.createDeployment(app.id, name, generateDeploymentKey());
+    sendJson(res, 201, { success: true, deployment });
+  },
+
+  // 重命名部署，密钥不变
+  'PATCH /api/apps/:app/deployments/:deployment': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    const deployment = app && db.getDeployment(app.id, params.deployment);
+    if (!deployment) {
+      return sendJson(res, 404, { error: 'Deployment not found' });
+    }
+
+    const { name } = JSON.parse(body);
+    if (!isValidName(name)) {
+      return sendJson(res, 400, { error: 'Invalid deployment name' });
+    }
+    const existing = db.getDeployment(app.id, name);
+    if (existing && existing.id !== deployment.id) {
+      return sendJson(res, 409, { error: `Deployment ${name} already exists` });
+    }
+
+    db.renameDeployment(deployment.id, name);
+    sendJson(res, 200, { success: true, deployment: db.getDeployment(app.id, name) });
+  },
+
+  // 删除部署及其发布和统计
+  'DELETE /api/apps/:app/deployments/:deployment': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    const deployment = app && db.getDeployment(app.id, params.deployment);
+    if (!deployment) {
+      return sendJson(res, 404, { error: 'Deployment not found' });
+    }
+
+    const filenames = db.listReleaseFilenames({ deploymentId: deployment.id });
+    db.deleteDeployment(deployment.id);
+    await deleteUnreferencedPackages(filenames);
+
+    sendJson(res, 200, { success: true });
+  },
+
+  // 测试名单
+  'GET /api/apps/:app/deployments/:deployment/testers': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    const deployment = app && db.getDeployment(app.id, params.deployment);
+    if (!deployment) {
+      return sendJson(res, 404, { error: 'Deployment not found' });
+    }
+    sendJson(res, 200, { testers: db.listTesters(deployment.id) });
+  },
+
+  // 加入测试名单，可以只针对某个发布（按标签）
+  'POST /api/apps/:app/deployments/:deployment/testers': async (req, res, body, params) => {
+    const request = parseTesterRequest(params, body);
+    if (request.error) {
+      return sendJson(res, request.status, { error: request.error });
+    }
+
+    const added = db.addTesters(request.entry);
+    sendJson(res, 200, { success: true, added });
+  },
+
+  // 从测试名单中移除
+  'DELETE /api/apps/:app/deployments/:deployment/testers': async (req, res, body, params) => {
+    const request = parseTesterRequest(params, body);
+    if (request.error) {
+      return sendJson(res, request.status, { error: request.error });
+    }
+
+    const removed = db.removeTesters(request.entry);
+    sendJson(res, 200, { success: true, removed });
+  },
+
+  // 更换部署密钥
+  'POST /api/apps/:app/deployments/:deployment/rotate-key': async (req, res, body, params) => {
+    const app = db.getApp(params.app);
+    const deployment = app && db.getDeployment(app.id, params.deployment);
+    if (!deployment) {
+      return sendJson(res, 404, { error: 'Deployment not found' });
+    }
+
+    const { revokePrevious } = JSON.parse(body || '{}');
+    const rotated = db.rotateDeploymentKey(deployment.id, generateDeploymentKey(), !!revokePrevious);
+
+    sendJson(res, 200, { success: true, deployment: rotated });
+  },
+
+  // 健康检查
+  'GET /api/health': async (req, res) => {
+    sendJson(res, 200, { status: 'ok', timestamp: new Date().toISOString() });
+  },
+
+  // Prometheus 指标
+  'GET /metrics': async (req, res) => {
+    res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+    res.end(metrics.render());
+  },
+
+  // 管理后台，页面本身公开，数据通过管理接口读取，需要访问密钥
+  'GET /admin': async (req, res) => {
+    await sendAdminFile(res, 'index.html');
+  },
+
+  'GET /admin/:file': async (req, res, body, params) => {
+    await sendAdminFile(res, params.file || 'index.html');
+  }
+};
+
+/**
+ * 辅助函数
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+async function sendAdminFile(res, file) {
+  if (!ADMIN_FILES[file]) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const content = await fs.readFile(path.join(ADMIN_DIR, file));
+  res.writeHead(200, {
+    'Content-Type': ADMIN_FILES[file],
+    'Content-Security-Policy': "default-src 'self'",
+    'X-Frame-Options': 'DENY',
+    'Cache-Control': 'no-cache'
+  });
+  res.end(content);
+}
+
+async function getReleasesForKey(deploymentKey, platform) {
+  return db.listReleases(deploymentKey, platform);
+}
+
+/**
+ * 追加发布的审计记录，changes 中每个字段为 { from, to }
+ * @param {Object|null} req 请求，服务器自动执行的操作（如自动暂停）为 null，记为 system
+ * @param {Object|null} before 修改前的发布，新建的发布为 null
+ * @param {Object} extra 额外记录的值，如推送和回滚的来源发布
+ */
+function recordAudit(req, action, release, before, reason, extra = {}) {
+  const changes = {};
+  for (const field of AUDIT_FIELDS) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = release[field] !== undefined ? release[field] : null;
+    // 新建的发布不记录空值
+    if (!before && (to === null || to === '')) continue;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  for (const [field, value] of Object.entries(extra)) {
+    changes[field] = { from: null, to: value };
+  }
+
+  db.addAuditEntry({
+    actor: req ? req.accessKey.name : 'system',
+    actorKey: req ? req.accessKey.hint : null,
+    action,
+    releaseId: release.id,
+    changes,
+    reason: typeof reason === 'string' ? reason.trim() : null
+  });
+}
+
+/**
+ * 复制发布，用于推送和回滚，包和签名保持不变
+ * 灰度计划从复制时重新开始
+ */
+function copyRelease(source, changes = {}) {
+  const now = new Date().toISOString();
+  return {
+    version: source.version,
+    platform: source.platform,
+    filename: source.filename,
+    hash: source.hash,
+    size: source.size,
+    description: source.description,
+    mandatory: source.mandatory,
+    rollout: source.ramp ? source.ramp[0].rollout : source.rollout,
+    ramp: source.ramp,
+    rampStartedAt: source.ramp ? now : null,
+    targetBinaryVersion: source.targetBinaryVersion,
+    rules: source.rules,
+    healthPolicy: source.healthPolicy,
+    disabled: false,
+    signature: source.signature,
+    signatureAlgorithm: source.signatureAlgorithm,
+    signedManifest: source.signedManifest,
+    sourceReleaseId: source.id,
+    createdAt: now,
+    ...changes
+  };
+}
+
+function validateSignedManifest(metadata, size) {
+  if (metadata.signatureAlgorithm && metadata.signatureAlgorithm !== 'ed25519') {
+    return `Unsupported signature algorithm: ${metadata.signatureAlgorithm}`;
+  }
+  if (!metadata.signedManifest) {
+    return 'Missing signed manifest';
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(metadata.signedManifest);
+  } catch (error) {
+    return 'Invalid signed manifest';
+  }
+
+  if (manifest.hash !== metadata.hash ||
+      manifest.version !== metadata.version ||
+      manifest.platform !== metadata.platform ||
+      manifest.size !== size) {
+    return 'Signed manifest does not match release';
+  }
+
+  return null;
+}
+
+/**
+ * 设备当前运行的发布
+ * 上报了标签时按标签查找；只有版本号时取该版本最新的发布
+ */
+function findCurrentRelease(releases, currentLabel, currentVersion) {
+  if (currentLabel) {
+    return releases.find(r => r.label === currentLabel) || null;
+  }
+  return releases.find(r => r.version === currentVersion) || null;
+}
+
+/**
+ * 查找设备应更新到的发布（releases 最新的在前）
+ * 设备上报了标签时按发布先后判断，否则按 semver 比较版本号
+ * 设备不在某个发布的灰度范围内时继续查找更早的发布，灰度中的新发布不会挡住之前的发布和回滚
+ * @param {Object} device 设备属性 { appVersion, osVersion, deviceModel, locale, attrs, testers, rolloutId }
+ * @param {Object|null} labeledRelease 设备上报的标签对应的发布
+ * @returns {Object} { release, rolloutExcluded }，rolloutExcluded 表示有发布因灰度比例被跳过
+ */
+function findApplicableRelease(releases, currentVersion, device, labeledRelease = null) {
+  const byLabel = !!labeledRelease;
+  let rolloutExcluded = false;
+  
+  for (const release of releases) {
+    // 当前发布之前的发布都不需要
+    if (byLabel && release.id <= labeledRelease.id) break;
+    
+    // 检查目标二进制版本
+    if (release.targetBinaryVersion && release.targetBinaryVersion !== '*' && device.appVersion) {
+      if (!semver.satisfies(device.appVersion, release.targetBinaryVersion)) continue;
+    }
+    
+    // 测试名单优先于定向规则：拒绝名单中的设备跳过，允许名单中的设备不检查规则
+    if (device.testers.isDenied(release)) continue;
+    if (!device.testers.isAllowed(release)) {
+      if (release.testersOnly) continue;
+      if (!matchesRules(release.rules, device)) continue;
+    }
+    
+    const isCurrent = byLabel ? release.hash === labeledRelease.hash : release.version === currentVersion;
+    const isRollback = release.releaseMethod === 'rollback';
+    
+    // 回滚发布替代了之前的所有发布，版本号更低也要下发
+    if (isRollback && isCurrent) break;
+    
+    if (!isRollback) {
+      // 跳过当前版本
+      if (isCurrent) continue;
+      
+      // 检查版本是否更新
+      if (!byLabel && semver.valid(release.version) && semver.valid(currentVersion)) {
+        if (!semver.gt(release.version, currentVersion)) continue;
+      }
+    }
+    
+    // 检查灰度发布，有灰度计划时按计划计算当前比例；允许名单中的设备不受限制
+    const rollout = getEffectiveRollout(release);
+    if (rollout < 100 && !device.testers.isAllowed(release) && !isInRollout(device.rolloutId, release, rollout)) {
+      rolloutExcluded = true;
+      // 回滚发布之前的发布已被替代，不再继续查找
+      if (isRollback) break;
+      continue;
+    }
+    
+    return { release, rolloutExcluded };
+  }
+  
+  return { release: null, rolloutExcluded };
+}
+
+/**
+ * 灰度分桶
+ * 设备 ID + 版本号哈希到 [0, 100) 的固定桶，同一设备每次检查结果一致，
+ * 灰度比例提高时已命中的设备仍在范围内
+ */
+function getRolloutBucket(deviceId, version) {
+  const digest = createHash('sha256').update(`${deviceId}:${version}`).digest();
+  return (digest.readUInt32BE(0) % 10000) / 100;
+}
+
+function isInRollout(deviceId, release, rollout = release.rollout) {
+  if (rollout >= 100) return true;
+
+  // 旧版客户端未上报设备 ID，只能随机
+  if (!deviceId) {
+    return Math.random() * 100 < rollout;
+  }
+
+  return getRolloutBucket(String(deviceId), release.version) < rollout;
+}
+
+/**
+ * 设备在测试名单中的状态，拒绝优先于允许
+ * @param {Object[]} entries findTesterEntries 的结果
+ */
+function getTesterStatus(entries) {
+  const listed = (list, release) => entries.some(entry => (
+    entry.list === list && (entry.releaseId === null || entry.releaseId === release.id)
+  ));
+  return {
+    isDenied: release => listed('deny', release),
+    isAllowed: release => !listed('deny', release) && listed('allow', release)
+  };
+}
+
+/**
+ * 解析测试名单的增删请求
+ * body: { ids, type: device|user, list: allow|deny, release }
+ * @returns {Object} { entry } 或 { status, error }
+ */
+function parseTesterRequest(params, body) {
+  const app = db.getApp(params.app);
+  const deployment = app && db.getDeployment(app.id, params.deployment);
+  if (!deployment) {
+    return { status: 404, error: 'Deployment not found' };
+  }
+
+  const { ids, type = 'device', list = 'allow', release, name } = JSON.parse(body || '{}');
+  const values = (Array.isArray(ids) ? ids : [ids]).filter(id => typeof id === 'string' && id.trim()).map(id => id.trim());
+  if (values.length === 0) {
+    return { status: 400, error: 'Missing device or user IDs' };
+  }
+  if (!['device', 'user'].includes(type)) {
+    return { status: 400, error: 'Invalid type, expected device or user' };
+  }
+  if (!['allow', 'deny'].includes(list)) {
+    return { status: 400, error: 'Invalid list, expected allow or deny' };
+  }
+
+  // 标签在部署内唯一，可以直接定位到某个平台的发布
+  let releaseId = null;
+  if (release) {
+    const target = db.findReleaseByLabel(deployment.id, release);
+    if (!target) {
+      return { status: 404, error: `Release ${release} not found` };
+    }
+    releaseId = target.id;
+  }
+
+  return { entry: { deploymentId: deployment.id, releaseId, list, type, values, name: name || null } };
+}
+
+function isValidName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * 生成部署密钥（32 位字母数字，与早期客户端生成的格式相同）
+ */
+function generateDeploymentKey() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let key = '';
+  for (let i = 0; i < 32; i++) {
+    key += chars.charAt(randomInt(chars.length));
+  }
+  return key;
+}
+
+/**
+ * 差分包按目标包和源包内容命名，与部署密钥无关，更换密钥或推送到其他部署后仍可复用
+ * 同一版本号可能发布过不同内容，所以源包用哈希而不是版本号区分
+ */
+function getDiffFilename(release, fromRelease, format = 'files') {
+  return `${getDiffPrefix(release.filename)}${fromRelease.hash.slice(0, 16)}${format === 'patch' ? '-patch' : ''}.zip`;
+}
+
+function getDiffPrefix(packageFilename) {
+  return `${packageFilename.replace(/\.zip$/, '')}-diff-`;
+}
+
+/**
+ * 删除不再被任何发布引用的包及其差分包
+ * @param {string[]} filenames 被删除的发布引用过的包
+ */
+async function deleteUnreferencedPackages(filenames) {
+  const orphaned = filenames.filter(filename => !db.isPackageReferenced(filename));
+  if (orphaned.length === 0) {
+    return;
+  }
+
+  const diffPrefixes = orphaned.map(getDiffPrefix);
+  for (const pkg of await storage.listPackages()) {
+    if (orphaned.includes(pkg.name) || diffPrefixes.some(prefix => pkg.name.startsWith(prefix))) {
+      await storage.deletePackage(pkg.name);
+    }
+  }
+}
+
+/**
+ * 生成从历史版本到新版本的差分包
+ * 只保留比完整包更小的差分包，单个失败不影响上传
+ */
+async function generateDiffsForRelease(release, previousReleases, options = {}) {
+  const AdmZip = require('adm-zip');
+  const { createDiffPackage, calculateFileHash } = require('../src/utils/diff');
+
+  // 签名的发布不会返回差分包
+  if (release.signature) {
+    return [];
+  }
+
+  const sources = [];
+  for (const previous of previousReleases) {
+    if (sources.length >= DIFF_HISTORY) break;
+    if (!previous.hash || previous.hash === release.hash) continue;
+    if (sources.some(s => s.hash === previous.hash)) continue;
+    sources.push(previous);
+  }
+
+  if (sources.length === 0) {
+    return [];
+  }
+
+  const workDir = path.join(DATA_DIR, 'tmp', `diff-${Date.now()}-${process.pid}`);
+  const newDir = path.join(workDir, 'new');
+  const diffs = [];
+
+  try {
+    new AdmZip(await storage.getPackage(release.filename)).extractAllTo(newDir, true);
+
+    for (const previous of sources) {
+      if (!await storage.statPackage(previous.filename)) continue;
+
+      // 推送或回滚复用的包可能已经有这个差分包
+      const existing = await Promise.all(DIFF_FORMATS.map(format => storage.statPackage(getDiffFilename(release, previous, format))));
+      if (existing.some(Boolean)) continue;
+
+      try {
+        const oldDir = path.join(workDir, `old-${previous.id}`);
+        new AdmZip(await storage.getPackage(previous.filename)).extractAllTo(oldDir, true);
+
+        const outputPath = path.join(workDir, `diff-${previous.id}.zip`);
+        const result = await createDiffPackage(oldDir, newDir, outputPath, options);
+
+        if (result.packageSize >= release.size) {
+          continue;
+        }
+
+        // 含有字节级补丁时只有声明支持 patch 的客户端能应用
+        const format = result.patched.length > 0 ? 'patch' : 'files';
+        const filename = getDiffFilename(release, previous, format);
+
+        await storage.putPackage(filename, outputPath, { hash: await calculateFileHash(outputPath) });
+
+        diffs.push({
+          fromLabel: previous.label,
+          fromVersion: previous.version,
+          toVersion: release.version,
+          filename,
+          format,
+          size: result.packageSize,
+          savedPercent: Math.round((1 - result.packageSize / release.size) * 100)
+        });
+      } catch (error) {
+        logger.warn('Diff generation failed', {
+          release: release.label, from: previous.version, to: release.version, error: error.message
+        });
+      }
+    }
+  } finally {
+    await fs.remove(workDir);
+  }
+
+  return diffs;
+}
+
+/**
+ * 客户端在检查更新时声明能应用的差分包格式
+ * 未声明的客户端（包括当前的 Android 和 iOS SDK）只会整体替换 Bundle 目录，只能下载完整包
+ */
+function normalizeDiffFormats(diffFormats) {
+  if (!Array.isArray(diffFormats)) return [];
+  return DIFF_FORMATS.filter(format => diffFormats.includes(format));
+}
+
+/**
+ * 查找从设备当前发布到目标发布、且客户端能应用的差分包
+ * @param {Object} release 目标发布
+ * @param {Object|null} currentRelease 设备当前的发布
+ * @param {string|null} legacyFromVersion 未上报标签时的版本号，用于查找早期按版本号命名的差分包
+ * @param {string[]} formats 客户端支持的差分包格式
+ */
+async function findDiffPackage(release, currentRelease, legacyFromVersion, formats) {
+  // 能应用补丁的客户端也能应用 files 格式，优先使用更小的 patch 格式
+  const candidates = [];
+  if (currentRelease && currentRelease.hash) {
+    for (const format of [...formats].reverse()) {
+      candidates.push({ filename: getDiffFilename(release, currentRelease, format), format });
+    }
+  }
+  // 早期按版本号命名的差分包无法从文件名判断是否含有补丁
+  if (legacyFromVersion && formats.includes('patch')) {
+    candidates.push({ filename: `${getDiffPrefix(release.filename)}${legacyFromVersion}.zip`, format: 'patch' });
+  }
+
+  for (const { filename, format } of candidates) {
+    const stats = await storage.statPackage(filename);
+    if (stats) {
+      return {
+        filename,
+        format,
+        size: stats.size,
+        hash: stats.hash
+      };
+    }
+  }
+  
+  return null;
+}
+
+function isDiffFilename(filename) {
+  return filename.includes('-diff-');
+}
+
+/**
+ * 差分包对应的目标包、源包标识（源包哈希前 16 位，早期的差分包为源版本号）和格式
+ */
+function parseDiffFilename(filename) {
+  const separator = filename.lastIndexOf('-diff-');
+  const suffix = filename.slice(separator + '-diff-'.length).replace(/\.zip$/, '');
+  const format = /^[0-9a-f]{16}-patch$/.test(suffix) ? 'patch' : 'files';
+  return {
+    packageFilename: `${filename.slice(0, separator)}.zip`,
+    source: format === 'patch' ? suffix.slice(0, -'-patch'.length) : suffix,
+    format
+  };
+}
+
+function isRecentlySeen(release, days) {
+  return !!release.lastSeenAt && Date.now() - new Date(release.lastSeenAt).getTime() < days * 24 * 3600 * 1000;
+}
+
+/**
+ * 按保留策略找出可以删除的发布
+ * 每个部署和平台保留最近 keep 个发布、最近 activeDays 天仍有设备运行的发布，
+ * 以及保留的发布的差分包的源发布（设备按标签找到当前发布后才能下载差分包）
+ * @param {Object[]} releases listAllReleases 的结果
+ * @param {Object[]} packages 存储中的包
+ * @param {Object} policy { keep, activeDays }，keep 为 0 时不删除发布
+ */
+function findExpiredReleases(releases, packages, { keep, activeDays }) {
+  if (keep === 0) return [];
+
+  const groups = new Map();
+  for (const release of releases) {
+    const group = `${release.deploymentKey}:${release.platform}`;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(release);
+  }
+
+  const expired = [];
+  for (const group of groups.values()) {
+    const kept = group.filter((release, index) => index < keep || isRecentlySeen(release, activeDays));
+
+    const diffSources = new Set();
+    for (const release of kept) {
+      const prefix = getDiffPrefix(release.filename);
+      for (const pkg of packages) {
+        if (pkg.name.startsWith(prefix)) diffSources.add(parseDiffFilename(pkg.name).source);
+      }
+    }
+
+    for (const release of group) {
+      if (kept.includes(release)) continue;
+      if (release.hash && diffSources.has(release.hash.slice(0, 16))) continue;
+      expired.push(release);
+    }
+  }
+  return expired;
+}
+
+/**
+ * 没有发布引用的包和差分包
+ * 差分包的目标包不再被引用，或源包内容已没有任何发布时即为孤立
+ */
+function findOrphanedPackages(packages, releases) {
+  const referenced = new Set(releases.map(release => release.filename));
+  const hashes = new Set(releases.filter(release => release.hash).map(release => release.hash.slice(0, 16)));
+  const cutoff = Date.now() - GC_GRACE_PERIOD;
+
+  return packages.filter(pkg => {
+    if (pkg.mtime && new Date(pkg.mtime).getTime() > cutoff) return false;
+    if (!isDiffFilename(pkg.name)) return !referenced.has(pkg.name);
+
+    const { packageFilename, source } = parseDiffFilename(pkg.name);
+    if (!referenced.has(packageFilename)) return true;
+    // 早期的差分包按源版本号命名，只能按目标包判断
+    return /^[0-9a-f]{16}$/.test(source) && !hashes.has(source);
+  });
+}
+
+/**
+ * 下载的包对应的发布
+ * 优先使用下载地址中的 release 参数，否则按文件名找引用该包的最新发布
+ * @param {string} filename 完整包或差分包文件名
+ * @param {string} releaseId 检查更新返回的下载地址中的 release 参数
+ */
+function findDownloadRelease(filename, releaseId) {
+  const packageFilename = isDiffFilename(filename) ? parseDiffFilename(filename).packageFilename : filename;
+
+  const release = releaseId ? db.getRelease(parseInt(releaseId)) : null;
+  if (release && release.filename === packageFilename) {
+    return release;
+  }
+  return db.findLatestReleaseByFilename(packageFilename);
+}
+
+/**
+ * 统计一次下载：开始、完成（响应 finish）或中断（连接关闭），以及发送的字节数
+ * 断点续传的请求只在从头开始时算作开始，传到文件末尾时算作完成
+ * 差分包下载完成时记录相比完整包节省的流量
+ */
+function trackDownload(res, stream, release, { filename, size, range }) {
+  const isDiff = isDiffFilename(filename);
+  let bytes = 0;
+
+  if (!range || range.start === 0) {
+    db.recordReleaseEvent(release.id, 'download_started');
+  }
+
+  stream.on('data', chunk => {
+    bytes += chunk.length;
+  });
+
+  let finished = false;
+  res.on('finish', () => {
+    finished = true;
+    db.recordReleaseEvent(release.id, 'bytes_served', bytes);
+    if (range && range.end !== size - 1) return;
+
+    db.recordReleaseEvent(release.id, 'download_completed');
+    db.recordEvent(release.deploymentKey, release.platform, 'download');
+    if (isDiff) {
+      db.recordReleaseEvent(release.id, 'diff_download_completed');
+      db.recordReleaseEvent(release.id, 'bytes_saved', (release.size || 0) - size);
+    }
+  });
+  res.on('close', () => {
+    // 客户端中断时只记录已发送的字节
+    if (!finished) {
+      db.recordReleaseEvent(release.id, 'bytes_served', bytes);
+    }
+  });
+}
+
+/**
+ * 解析 Range 头，只支持单个区间
+ * @returns {Object|null|number} { start, end }；null 表示忽略；-1 表示无法满足
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // bytes=-N 表示最后 N 个字节
+    const suffix = parseInt(match[2]);
+    if (suffix === 0) return -1;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return -1;
+  }
+
+  return { start, end };
+}
+
+function isIfRangeFresh(ifRange, etag, mtime) {
+  if (!ifRange) return true;
+  
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+  
+  // HTTP 日期精度为秒
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Math.floor(mtime.getTime() / 1000) <= Math.floor(date / 1000);
+}
+
+/**
+ * 校验管理接口的访问密钥
+ * 通过时把密钥信息挂到 req.accessKey 上
+ * @returns {Object|null} 失败时返回 { status, error }
+ */
+function authorize(req, matched) {
+  const scope = ROUTE_SCOPES[matched.route];
+  if (!scope) {
+    return null;
+  }
+
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) {
+    return { status: 401, error: 'Missing access key' };
+  }
+
+  const accessKey = db.findAccessKeyByHash(hashAccessKey(token));
+  if (!accessKey) {
+    return { status: 401, error: 'Invalid access key' };
+  }
+
+  if (!hasScope(accessKey.scopes, scope)) {
+    return { status: 403, error: `Access key does not have the ${scope} scope` };
+  }
+
+  // 限定应用的密钥只能访问该应用及其部署
+  if (accessKey.appId && matched.params.app && matched.params.app !== accessKey.app) {
+    return { status: 403, error: 'Access key is not valid for this app' };
+  }
+  if (accessKey.appId && matched.params.deploymentKey) {
+    const deployment = db.getDeploymentByKey(matched.params.deploymentKey);
+    if (!deployment || deployment.app_id !== accessKey.appId) {
+      return { status: 403, error: 'Access key is not valid for this deployment' };
+    }
+  }
+
+  db.touchAccessKey(accessKey.id);
+  req.accessKey = accessKey;
+  return null;
+}
+
+/**
+ * 首次启动时创建管理员密钥
+ * 可以通过 ADMIN_ACCESS_KEY 指定，否则随机生成并只打印这一次
+ */
+function ensureInitialAccessKey() {
+  if (db.countAccessKeys() > 0) {
+    return;
+  }
+
+  const plainKey = process.env.ADMIN_ACCESS_KEY || generateAccessKey();
+  db.createAccessKey({
+    name: 'initial-admin',
+    keyHash: hashAccessKey(plainKey),
+    hint: getAccessKeyHint(plainKey),
+    scopes: ['admin'],
+    createdBy: 'server'
+  });
+
+  if (!process.env.ADMIN_ACCESS_KEY) {
+    console.log(`
+🔑 Created the initial admin access key (shown only once):
+
+   ${plainKey}
+
+   Log in with: lynx-update login <server-url> --access-key <key>
+`);
+  }
+}
+
+async function recordStats(deploymentKey, platform, action, version = null) {
+  db.recordEvent(deploymentKey, platform, action, version);
+}
+
+/**
+ * 记录发布的安装上报（success、failure、rollback），失败率超过健康策略的阈值时自动暂停
+ * 每台设备对每个发布只计一次安装结果和一次回滚，早期客户端不带设备 ID，每次上报都计数
+ * @param {string} labelOrVersion 客户端上报的标签，早期客户端只有版本号
+ * @param {string|undefined} deviceId 上报的设备 ID
+ * @returns {Promise<boolean>} 该设备已经上报过时返回 false
+ */
+async function recordReleaseReport(deploymentKey, platform, labelOrVersion, status, deviceId) {
+  if (!deploymentKey || !platform || !labelOrVersion) return true;
+
+  const existing = findRelease(db.listReleases(deploymentKey, platform), labelOrVersion);
+  if (!existing) return true;
+  if (deviceId && !db.claimReleaseReport(existing.id, hashDeviceId(deviceId), status)) return false;
+
+  db.recordReleaseEvent(existing.id, status);
+  if (status === 'success') db.touchRelease(existing.id);
+  if (status !== 'success' && status !== 'failure') return true;
+
+  const release = db.getRelease(existing.id);
+  if (release.haltedAt) return true;
+
+  const reason = checkHealth(release.healthPolicy, release.installCount, release.failureCount);
+  if (!reason) return true;
+
+  const now = new Date().toISOString();
+  const halted = db.updateRelease(release.id, {
+    haltedAt: now,
+    haltReason: reason,
+    disabled: release.healthPolicy.action === 'disable' ? true : release.disabled,
+    updatedAt: now
+  });
+  recordAudit(null, 'halt', halted, release, reason);
+  logger.warn('Release halted', { release: release.label, version: release.version, platform, reason });
+  return true;
+}
+
+/**
+ * 设备 ID 的哈希，数据库和日志中不保存原始设备 ID
+ */
+function hashDeviceId(deviceId) {
+  return createHash('sha256').update(String(deviceId)).digest('hex').slice(0, 32);
+}
+
+/**
+ * 导入早期版本保存在存储中的 releases/*.json 和 stats.json
+ * 只在第一次启动新版本时执行，原文件保留不动
+ */
+async function importLegacyData() {
+  if (db.getMeta('legacy_json_imported')) {
+    return;
+  }
+
+  const releases = [];
+  for (const name of await storage.listMetadata('releases')) {
+    // releases/<deploymentKey>-<platform>.json
+    const base = name.substring('releases/'.length, name.length - '.json'.length);
+    const separator = base.lastIndexOf('-');
+    releases.push({
+      deploymentKey: base.substring(0, separator),
+      platform: base.substring(separator + 1),
+      releases: (await storage.getMetadata(name)) || []
+    });
+  }
+
+  const statsFile = path.join(DATA_DIR, 'stats.json');
+  const stats = await fs.pathExists(statsFile) ? await fs.readJson(statsFile) : null;
+
+  const imported = db.importLegacyData({ releases, stats });
+  if (imported && (imported.releases > 0 || imported.counters > 0)) {
+    logger.info('Imported legacy JSON data', { releases: imported.releases, counters: imported.counters });
+  }
+}
+
+function matchRoute(method, pathname) {
+  for (const [route, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = route.split(' ');
+    
+    if (method !== routeMethod) continue;
+    
+    // 简单的路径参数匹配
+    const routeParts = routePath.split('/');
+    const pathParts = pathname.split('/');
+    
+    if (routeParts.length !== pathParts.length) continue;
+    
+    const params = {};
+    let match = true;
+    
+    for (let i = 0; i < routeParts.length; i++) {
+      if (routeParts[i].startsWith(':')) {
+        params[routeParts[i].slice(1)] = pathParts[i];
+      } else if (routeParts[i] !== pathParts[i]) {
+        match = false;
+        break;
+      }
+    }
+    
+    if (match) {
+      return { route, handler, params };
+    }
+  }
+  
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        req.destroy();
+        return reject(error);
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 访问日志中的客户端信息：部署密钥前缀、设备 ID 哈希、客户端版本、平台和安装结果
+ * 只读取设备接口（检查更新、上报安装）的请求体，其他接口从请求头、路径参数和查询参数中获取
+ * 下载地址的 device 参数已经是哈希，只接受哈希格式的值
+ */
+function describeClient(req, matched, body) {
+  const params = matched ? matched.params : {};
+  const { query } = url.parse(req.url, true);
+  let payload = {};
+  if (body && body.startsWith('{') && !ROUTE_SCOPES[matched.route]) {
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      // 处理函数会返回具体错误
+    }
+  }
+
+  const deploymentKey = req.headers['x-deployment-key'] || params.deploymentKey || payload.deploymentKey;
+  const deviceId = payload.deviceId || payload.clientId;
+  const fields = {
+    deploymentKeyPrefix: typeof deploymentKey === 'string'
+      ? deploymentKey.substring(0, DEPLOYMENT_KEY_PREFIX_LENGTH)
+      : undefined,
+    deviceIdHash: typeof deviceId === 'string'
+      ? hashDeviceId(deviceId)
+      : (DEVICE_HASH_PATTERN.test(query.device) ? query.device : undefined),
+    clientVersion: payload.currentVersion || payload.version,
+    clientLabel: payload.currentLabel || payload.label,
+    platform: payload.platform || params.platform,
+    installStatus: payload.status
+  };
+  for (const name of Object.keys(fields)) {
+    if (fields[name] === undefined || fields[name] === null || typeof fields[name] === 'object') {
+      delete fields[name];
+    }
+  }
+  return fields;
+}
+
+/**
+ * 请求处理
+ * 先匹配路由并校验访问密钥，流式路由由处理函数自行读取请求体
+ */
+async function handleRequest(req, res) {
+  const parsedUrl = url.parse(req.url, true);
+  const method = req.method;
+  const pathname = parsedUrl.pathname;
+  const startedAt = process.hrtime.bigint();
+
+  // 沿用客户端或代理传入的请求 ID，便于把设备端日志和服务器日志对应起来
+  const incomingId = req.headers['x-request-id'];
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+
+  // 匹配路由
+  const matched = method === 'OPTIONS' ? null : matchRoute(method, pathname);
+  // 指标和日志按路由模板统计，未匹配的请求归为一类，避免任意路径产生大量标签
+  const route = matched ? matched.route.split(' ')[1] : 'unmatched';
+  let client = describeClient(req, matched, null);
+
+  // 连接中断时没有 finish 事件，close 总会触发
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    requestsTotal.inc({ method, route, status: res.statusCode });
+    requestDuration.observe({ method, route }, seconds);
+
+    const level = res.statusCode >= 500 ? 'error'
+      : res.statusCode >= 400 ? 'warn'
+        : matched && QUIET_ROUTES.has(matched.route) ? 'debug' : 'info';
+    logger[level]('request', {
+      requestId,
+      method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      aborted: res.writableFinished ? undefined : true,
+      ...client
+    });
+  });
+  
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Deployment-Key, X-App-Key, X-Request-Id, Range, If-Range');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, ETag, Last-Modified, X-Request-Id');
+  
+  if (method === 'OPTIONS') {
+    res.writeHead(200);
+    return res.end();
+  }
+
+  if (!matched) {
+    // 404
+    req.resume();
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  try {
+    const authError = authorize(req, matched);
+    if (authError) {
+      req.resume();
+      return sendJson(res, authError.status, { error: authError.error });
+    }
+
+    const body = STREAMING_ROUTES.has(matched.route) ? null : (await readBody(req)).toString('utf8');
+    client = describeClient(req, matched, body);
+    await matched.handler(req, res, body, matched.params);
+  } catch (error) {
+    requestErrors.inc({ method, route });
+    logger.error('Handler error', { requestId, method, route, error: error.message, stack: error.stack });
+    if (!res.headersSent) {
+      sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  }
 }
 
 /**
@@ -425,7 +1944,7 @@ function handleRequest(req, res) {
  */
 const server = http.createServer(handleRequest);
 
-server.listen(PORT, () => {
+importLegacyData().then(ensureInitialAccessKey).then(() => server.listen(PORT, () => {
   console.log(`
 ╦  ╦ ╦╔╗╔╔═╗  ╦ ╦╔═╗╔╦╗  ╦ ╦╔═╗╔╦╗╔═╗╔╦╗╔═╗
 ║  ╚╦╝║║║╠═╣  ╠═╣║ ║ ║   ║ ║╠═╝ ║║╠═╣ ║ ║╣ 
@@ -434,6 +1953,7 @@ server.listen(PORT, () => {
 
 🚀 Server running at http://localhost:${PORT}
 📁 Data directory: ${DATA_DIR}
+🗄  Storage: ${storage.type}${DOWNLOAD_MODE === 'redirect' ? ' (redirect downloads)' : ''}
 
 Endpoints:
   POST /api/check-update     - Check for updates
@@ -443,7 +1963,18 @@ Endpoints:
   GET  /api/stats/:key       - Get statistics
   GET  /api/releases/:key/:p - Get release history
   PATCH /api/releases/...    - Update release metadata
+  DELETE /api/releases/...   - Delete a release (admin)
+  GET  /api/apps             - Apps and deployments
+  GET  /api/apps/.../testers - Tester allow/deny lists
+  GET  /api/audit            - Audit log of release changes
+  POST /api/gc               - Delete old releases and orphaned packages (admin)
+  GET  /api/access-keys      - Manage access keys (admin)
+  GET  /metrics              - Prometheus metrics (read)
+  GET  /admin                - Web dashboard
   `);
+})).catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
 
 module.exports = server;
@@ -0,0 +1,56 @@
+/**
+ * 服务器日志
+ * 每条日志一行，json 格式便于日志系统检索，text 格式便于本地查看
+ * 启动横幅不经过日志，始终输出
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['json', 'text'];
+
+/**
+ * 创建日志记录器
+ * @param {Object} options
+ * @param {string} options.level 最低输出级别，默认 info
+ * @param {string} options.format json 或 text，默认 json
+ * @returns {Object} { debug, info, warn, error }，参数为 (message, fields)
+ */
+function createLogger({ level = 'info', format = 'json' } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown LOG_LEVEL ${level}, expected one of ${LEVELS.join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown LOG_FORMAT ${format}, expected one of ${FORMATS.join(', ')}`);
+  }
+
+  const minLevel = LEVELS.indexOf(level);
+  const write = (entryLevel, message, fields = {}) => {
+    if (LEVELS.indexOf(entryLevel) < minLevel) return;
+
+    const time = new Date().toISOString();
+    const line = format === 'json'
+      ? JSON.stringify({ time, level: entryLevel, msg: message, ...fields })
+      : formatText(time, entryLevel, message, fields);
+    const stream = entryLevel === 'error' || entryLevel === 'warn' ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+  };
+
+  const logger = {};
+  for (const name of LEVELS) {
+    logger[name] = (message, fields) => write(name, message, fields);
+  }
+  return logger;
+}
+
+function formatText(time, level, message, fields) {
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `${name}=${/[\s"]/.test(text) ? JSON.stringify(text) : text}`;
+    });
+  return [time, level.toUpperCase().padEnd(5), message, ...pairs].join(' ');
+}
+
+module.exports = {
+  createLogger
+};
@@ -0,0 +1,141 @@
+/**
+ * Prometheus 指标
+ * 只在内存中累计，服务器重启后归零，由 Prometheus 负责计算增量
+ * 输出格式见 https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 请求耗时分桶（秒），下载大包可能持续数十秒
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+/**
+ * 按标签值分组保存的指标，标签按声明顺序拼成键
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]));
+    const key = values.join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, i) => { seriesLabels[name] = values[i]; });
+      series = create(seriesLabels);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (!(amount > 0)) return;
+    this.getSeries(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += amount;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, seriesLabels => ({
+      labels: seriesLabels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    const metric = new Counter(name, help, labelNames);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  histogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    const metric = new Histogram(name, help, labelNames, buckets);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Prometheus 文本格式
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  MetricsRegistry
+};
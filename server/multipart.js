@@ -0,0 +1,256 @@
+/**
+ * 流式 multipart/form-data 解析
+ * 边接收边解析，文件部分直接写入临时文件并同步计算哈希，避免整个请求体进入内存
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+
+const STATE_PREAMBLE = 0;
+const STATE_HEADERS = 1;
+const STATE_BODY = 2;
+const STATE_DONE = 3;
+
+function createError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * 从 Content-Type 中取出 boundary
+ * @param {string} contentType Content-Type 头
+ * @returns {string|null} boundary
+ */
+function parseBoundary(contentType) {
+  if (!contentType || !contentType.toLowerCase().startsWith('multipart/form-data')) {
+    return null;
+  }
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * 增量 multipart 解析器
+ * 事件: part(headers) / data(chunk) / partEnd() / end()
+ */
+class MultipartParser extends EventEmitter {
+  constructor(boundary) {
+    super();
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    // 第一个分隔符前没有 CRLF，预先补上以统一处理
+    this.pending = CRLF;
+    this.state = STATE_PREAMBLE;
+  }
+
+  write(chunk) {
+    this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    this.process();
+  }
+
+  end() {
+    if (this.state !== STATE_DONE) {
+      throw createError(400, 'Unexpected end of multipart body');
+    }
+  }
+
+  process() {
+    while (this.state !== STATE_DONE) {
+      if (this.state === STATE_PREAMBLE || this.state === STATE_BODY) {
+        const index = this.pending.indexOf(this.delimiter);
+
+        if (index === -1) {
+          // 末尾可能是分隔符的前半段，先留着
+          const safeLength = this.pending.length - this.delimiter.length + 1;
+          if (safeLength > 0) {
+            if (this.state === STATE_BODY) {
+              this.emit('data', this.pending.subarray(0, safeLength));
+            }
+            this.pending = this.pending.subarray(safeLength);
+          }
+          return;
+        }
+
+        // 分隔符后需要 2 个字节判断是结束还是下一部分
+        if (this.pending.length < index + this.delimiter.length + 2) {
+          if (this.state === STATE_BODY && index > 0) {
+            this.emit('data', this.pending.subarray(0, index));
+            this.pending = this.pending.subarray(index);
+          }
+          return;
+        }
+
+        if (this.state === STATE_BODY) {
+          if (index > 0) {
+            this.emit('data', this.pending.subarray(0, index));
+          }
+          this.emit('partEnd');
+        }
+
+        const after = this.pending.subarray(index + this.delimiter.length, index + this.delimiter.length + 2);
+        this.pending = this.pending.subarray(index + this.delimiter.length + 2);
+
+        if (after.toString() === '--') {
+          this.state = STATE_DONE;
+          this.pending = Buffer.alloc(0);
+          this.emit('end');
+          return;
+        }
+        if (!after.equals(CRLF)) {
+          throw createError(400, 'Malformed multipart boundary');
+        }
+        this.state = STATE_HEADERS;
+      } else if (this.state === STATE_HEADERS) {
+        const index = this.pending.indexOf(HEADER_END);
+        if (index === -1) {
+          if (this.pending.length > MAX_HEADER_SIZE) {
+            throw createError(400, 'Multipart headers too large');
+          }
+          return;
+        }
+
+        const headers = this.pending.subarray(0, index).toString('utf8');
+        this.pending = this.pending.subarray(index + HEADER_END.length);
+
+        const nameMatch = headers.match(/name="([^"]*)"/i);
+        const filenameMatch = headers.match(/filename="([^"]*)"/i);
+        this.emit('part', {
+          name: nameMatch ? nameMatch[1] : null,
+          filename: filenameMatch ? filenameMatch[1] : null
+        });
+        this.state = STATE_BODY;
+      }
+    }
+  }
+}
+
+/**
+ * 接收上传请求
+ * 文件写入 tempDir 下的临时文件，调用方校验后再决定是否保留
+ * @param {http.IncomingMessage} req 请求
+ * @param {Object} options boundary, tempDir, maxFileSize, maxFieldSize
+ * @returns {Promise<Object>} { fields, file: { tempPath, filename, size, hash } }
+ */
+function receiveMultipartUpload(req, options) {
+  const { boundary, tempDir, maxFileSize, maxFieldSize = 1024 * 1024 } = options;
+
+  return new Promise((resolve, reject) => {
+    const parser = new MultipartParser(boundary);
+    const fields = {};
+    let file = null;
+    let output = null;
+    let hash = null;
+    let field = null;
+    let finished = false;
+
+    const fail = (error) => {
+      if (finished) return;
+      finished = true;
+      req.unpipe();
+      req.resume();
+      const cleanup = () => file ? fs.remove(file.tempPath) : Promise.resolve();
+      if (output) {
+        output.destroy();
+      }
+      cleanup().then(() => reject(error), () => reject(error));
+    };
+
+    parser.on('part', (part) => {
+      if (part.filename !== null) {
+        if (file) {
+          throw createError(400, 'Only one file per upload is supported');
+        }
+        file = {
+          filename: part.filename,
+          tempPath: path.join(tempDir, `.upload-${crypto.randomBytes(8).toString('hex')}.tmp`),
+          size: 0,
+          hash: null
+        };
+        hash = crypto.createHash('sha256');
+        output = fs.createWriteStream(file.tempPath);
+        output.on('error', fail);
+        output.on('drain', () => req.resume());
+      } else {
+        field = { name: part.name, chunks: [], size: 0 };
+      }
+    });
+
+    parser.on('data', (chunk) => {
+      if (field) {
+        field.size += chunk.length;
+        if (field.size > maxFieldSize) {
+          throw createError(413, `Field ${field.name} exceeds ${maxFieldSize} bytes`);
+        }
+        field.chunks.push(chunk);
+        return;
+      }
+
+      file.size += chunk.length;
+      if (file.size > maxFileSize) {
+        throw createError(413, `Upload exceeds ${maxFileSize} bytes`);
+      }
+      hash.update(chunk);
+      if (!output.write(chunk)) {
+        req.pause();
+      }
+    });
+
+    parser.on('partEnd', () => {
+      if (field) {
+        if (field.name) {
+          fields[field.name] = Buffer.concat(field.chunks).toString('utf8');
+        }
+        field = null;
+      }
+    });
+
+    req.on('data', (chunk) => {
+      if (finished) return;
+      try {
+        parser.write(chunk);
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    req.on('error', fail);
+    req.on('close', () => {
+      if (!req.complete) {
+        fail(createError(400, 'Upload aborted'));
+      }
+    });
+
+    req.on('end', () => {
+      if (finished) return;
+      try {
+        parser.end();
+      } catch (error) {
+        return fail(error);
+      }
+
+      if (!output) {
+        finished = true;
+        return resolve({ fields, file: null });
+      }
+
+      output.end(() => {
+        if (finished) return;
+        finished = true;
+        file.hash = hash.digest('hex');
+        resolve({ fields, file });
+      });
+    });
+  });
+}
+
+module.exports = {
+  parseBoundary,
+  MultipartParser,
+  receiveMultipartUpload
+};
@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { calculateFileHash } = require('../../src/utils/diff');
+const { assertPackageName } = require('./names');
+
+/**
+ * 本地文件系统存储
+ * 目录结构与早期版本一致：packages/ 存放更新包，releases/*.json 存放发布信息
+ */
+class FileSystemStorage {
+  constructor(options) {
+    this.type = 'fs';
+    this.dataDir = options.dataDir;
+    this.packagesDir = path.join(this.dataDir, 'packages');
+    this.hashCache = new Map();
+
+    fs.ensureDirSync(this.packagesDir);
+    fs.ensureDirSync(path.join(this.dataDir, 'releases'));
+  }
+
+  packagePath(name) {
+    return path.join(this.packagesDir, assertPackageName(name));
+  }
+
+  metadataPath(name) {
+    return path.join(this.dataDir, name);
+  }
+
+  async putPackage(name, filePath, options = {}) {
+    await fs.move(filePath, this.packagePath(name), { overwrite: true });
+    if (options.hash) {
+      const stats = await fs.stat(this.packagePath(name));
+      this.hashCache.set(name, { key: `${stats.size}:${stats.mtimeMs}`, hash: options.hash });
+    }
+  }
+
+  async getPackage(name) {
+    return fs.readFile(this.packagePath(name));
+  }
+
+  async statPackage(name) {
+    const filePath = this.packagePath(name);
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) {
+      return null;
+    }
+
+    // 哈希按文件大小和修改时间缓存，文件变化后重新计算
+    const cacheKey = `${stats.size}:${stats.mtimeMs}`;
+    let cached = this.hashCache.get(name);
+    if (!cached || cached.key !== cacheKey) {
+      cached = { key: cacheKey, hash: await calculateFileHash(filePath) };
+      this.hashCache.set(name, cached);
+    }
+
+    return { size: stats.size, mtime: stats.mtime, hash: cached.hash };
+  }
+
+  async createPackageStream(name, range) {
+    return fs.createReadStream(this.packagePath(name), range ? { start: range.start, end: range.end } : {});
+  }
+
+  async listPackages() {
+    const entries = await fs.readdir(this.packagesDir, { withFileTypes: true });
+    const packages = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      const stats = await fs.stat(this.packagePath(entry.name));
+      packages.push({ name: entry.name, size: stats.size, mtime: stats.mtime });
+    }
+
+    return packages;
+  }
+
+  async deletePackage(name) {
+    this.hashCache.delete(name);
+    await fs.remove(this.packagePath(name));
+  }
+
+  // 本地存储没有可直接访问的 URL，由服务器代理下载
+  async getPackageUrl() {
+    return null;
+  }
+
+  async getMetadata(name) {
+    const filePath = this.metadataPath(name);
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+    return fs.readJson(filePath);
+  }
+
+  async putMetadata(name, data) {
+    // 先写临时文件再重命名，避免写到一半时崩溃损坏文件
+    const filePath = this.metadataPath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  async listMetadata(dir) {
+    const fullDir = this.metadataPath(dir);
+    if (!await fs.pathExists(fullDir)) {
+      return [];
+    }
+
+    return (await fs.readdir(fullDir))
+      .filter(name => name.endsWith('.json'))
+      .map(name => `${dir}/${name}`);
+  }
+
+  async deleteMetadata(name) {
+    await fs.remove(this.metadataPath(name));
+  }
+}
+
+module.exports = FileSystemStorage;
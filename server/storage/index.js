@@ -0,0 +1,48 @@
+/**
+ * 存储适配器
+ *
+ * 所有实现提供相同的异步接口：
+ *   更新包    putPackage(name, filePath, { hash }) / getPackage(name) / statPackage(name)
+ *             createPackageStream(name, range) / listPackages() / deletePackage(name)
+ *             getPackageUrl(name, { expiresIn })  可直接下载的地址，不支持时返回 null
+ *   发布信息  getMetadata(name) / putMetadata(name, data) / listMetadata(dir) / deleteMetadata(name)
+ *
+ * putPackage 可能会移动源文件，调用方之后不应再使用它
+ * 包名只能是单层文件名，包含路径分隔符的名称会抛出 statusCode 为 400 的错误
+ */
+
+const FileSystemStorage = require('./filesystem');
+const S3Storage = require('./s3');
+
+/**
+ * 根据环境变量创建存储
+ * @param {Object} env 环境变量
+ * @param {string} dataDir 本地数据目录
+ */
+function createStorage(env, dataDir) {
+  const type = (env.STORAGE || 'fs').toLowerCase();
+
+  switch (type) {
+    case 'fs':
+      return new FileSystemStorage({ dataDir });
+    case 's3':
+      return new S3Storage({
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION,
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        prefix: env.S3_PREFIX,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: env.S3_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  FileSystemStorage,
+  S3Storage
+};
@@ -0,0 +1,17 @@
+/**
+ * 包名校验
+ * 包名来自请求路径和上传参数，适配器在拼接路径或对象键之前统一校验，只允许单层文件名
+ */
+
+function assertPackageName(name) {
+  if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[/\\\0]/.test(name)) {
+    const error = new Error(`Invalid package name: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return name;
+}
+
+module.exports = {
+  assertPackageName
+};
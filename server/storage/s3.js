@@ -0,0 +1,345 @@
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { assertPackageName } = require('./names');
+
+/**
+ * S3 兼容对象存储（AWS S3 / MinIO / 阿里云 OSS 等）
+ * 使用 AWS Signature V4 签名，不依赖 SDK
+ */
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+class S3Storage {
+  constructor(options) {
+    if (!options.bucket) {
+      throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    }
+
+    this.type = 's3';
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.prefix = options.prefix ? options.prefix.replace(/\/?$/, '/') : '';
+    this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    // MinIO 等自建服务通常只支持路径风格
+    this.forcePathStyle = options.forcePathStyle !== false;
+    // 配置了公开地址（如 CDN）时直接拼接，不再签名
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/$/, '') : null;
+  }
+
+  objectKey(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  packageKey(name) {
+    return this.objectKey(`packages/${assertPackageName(name)}`);
+  }
+
+  /**
+   * 计算请求的 host 和路径
+   */
+  location(key) {
+    const base = this.endpoint.pathname.replace(/\/$/, '');
+    if (this.forcePathStyle) {
+      return {
+        host: this.endpoint.host,
+        path: `${base}/${encodeRfc3986(this.bucket)}${key ? `/${encodeKey(key)}` : '/'}`
+      };
+    }
+    return {
+      host: `${this.bucket}.${this.endpoint.host}`,
+      path: `${base}/${key ? encodeKey(key) : ''}`
+    };
+  }
+
+  credentialScope(date) {
+    return `${date.substring(0, 8)}/${this.region}/s3/aws4_request`;
+  }
+
+  signingKey(date) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, date.substring(0, 8));
+    const regionKey = hmac(dateKey, this.region);
+    const serviceKey = hmac(regionKey, 's3');
+    return hmac(serviceKey, 'aws4_request');
+  }
+
+  canonicalQuery(query) {
+    return Object.keys(query)
+      .sort()
+      .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(query[key]))}`)
+      .join('&');
+  }
+
+  signature(method, path, query, headers, payloadHash, amzDate) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      lowerHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    }
+
+    const canonicalRequest = [
+      method,
+      path,
+      this.canonicalQuery(query),
+      names.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      this.credentialScope(amzDate),
+      sha256(canonicalRequest)
+    ].join('\n');
+
+    return {
+      signedHeaders: names.join(';'),
+      signature: crypto.createHmac('sha256', this.signingKey(amzDate)).update(stringToSign).digest('hex')
+    };
+  }
+
+  /**
+   * 发送签名请求
+   * @param {string} method HTTP 方法
+   * @param {string} key 对象键
+   * @param {Object} options query, headers, body (Buffer/Stream), payloadHash
+   * @returns {Promise<http.IncomingMessage>} 响应（2xx）
+   */
+  request(method, key, options = {}) {
+    const { query = {}, body = null } = options;
+    const { host, path } = this.location(key);
+    const amzDate = (options.date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const payloadHash = options.payloadHash ||
+      (Buffer.isBuffer(body) ? sha256(body) : body ? UNSIGNED_PAYLOAD : EMPTY_HASH);
+
+    const headers = {
+      ...options.headers,
+      host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash
+    };
+    if (Buffer.isBuffer(body)) {
+      headers['content-length'] = body.length;
+    }
+
+    const { signedHeaders, signature } = this.signature(method, path, query, headers, payloadHash, amzDate);
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${this.credentialScope(amzDate)}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    const queryString = this.canonicalQuery(query);
+    const transport = this.endpoint.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: host.split(':')[0],
+        port: this.endpoint.port || undefined,
+        method,
+        path: queryString ? `${path}?${queryString}` : path,
+        headers
+      }, async (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          return resolve(res);
+        }
+
+        const text = (await readStream(res).catch(() => Buffer.alloc(0))).toString();
+        const codeMatch = text.match(/<Code>([^<]+)<\/Code>/);
+        const error = new Error(`S3 ${method} ${key} failed: ${res.statusCode}${codeMatch ? ` ${codeMatch[1]}` : ''}`);
+        error.statusCode = res.statusCode;
+        error.code = codeMatch ? codeMatch[1] : null;
+        reject(error);
+      });
+
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', reject);
+        body.pipe(req);
+      } else {
+        req.end(body || undefined);
+      }
+    });
+  }
+
+  /**
+   * 生成预签名 URL
+   * @param {string} key 对象键
+   * @param {number} expiresIn 有效期（秒）
+   */
+  presign(method, key, expiresIn, date = new Date()) {
+    const { host, path } = this.location(key);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${this.credentialScope(amzDate)}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': expiresIn,
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const { signature } = this.signature(method, path, query, { host }, UNSIGNED_PAYLOAD, amzDate);
+    return `${this.endpoint.protocol}//${host}${path}?${this.canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  async putPackage(name, filePath, options = {}) {
+    const stats = await fs.stat(filePath);
+    const headers = {
+      'content-type': 'application/zip',
+      'content-length': stats.size
+    };
+    if (options.hash) {
+      headers['x-amz-meta-sha256'] = options.hash;
+    }
+
+    const res = await this.request('PUT', this.packageKey(name), {
+      headers,
+      body: fs.createReadStream(filePath)
+    });
+    res.resume();
+  }
+
+  async getPackage(name) {
+    const res = await this.request('GET', this.packageKey(name));
+    return readStream(res);
+  }
+
+  async statPackage(name) {
+    try {
+      const res = await this.request('HEAD', this.packageKey(name));
+      res.resume();
+      return {
+        size: parseInt(res.headers['content-length']),
+        mtime: new Date(res.headers['last-modified']),
+        hash: res.headers['x-amz-meta-sha256'] || null
+      };
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async createPackageStream(name, range) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    return this.request('GET', this.packageKey(name), { headers });
+  }
+
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': 2, prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const res = await this.request('GET', '', { query });
+      const xml = (await readStream(res)).toString();
+
+      for (const match of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const item = match[1];
+        objects.push({
+          key: decodeXml(item.match(/<Key>([\s\S]*?)<\/Key>/)[1]),
+          size: parseInt((item.match(/<Size>(\d+)<\/Size>/) || [])[1] || '0'),
+          mtime: new Date((item.match(/<LastModified>([^<]+)<\/LastModified>/) || [])[1])
+        });
+      }
+
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      const tokenMatch = xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/);
+      continuationToken = truncated && tokenMatch ? decodeXml(tokenMatch[1]) : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async listPackages() {
+    const prefix = this.objectKey('packages/');
+    return (await this.listObjects(prefix))
+      .map(object => ({ name: object.key.substring(prefix.length), size: object.size, mtime: object.mtime }))
+      .filter(object => object.name && !object.name.includes('/'));
+  }
+
+  async deletePackage(name) {
+    const res = await this.request('DELETE', this.packageKey(name));
+    res.resume();
+  }
+
+  async getPackageUrl(name, options = {}) {
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${encodeKey(this.packageKey(name))}`;
+    }
+    return this.presign('GET', this.packageKey(name), options.expiresIn || 3600);
+  }
+
+  async getMetadata(name) {
+    try {
+      const res = await this.request('GET', this.objectKey(name));
+      return JSON.parse((await readStream(res)).toString('utf8'));
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async putMetadata(name, data) {
+    const res = await this.request('PUT', this.objectKey(name), {
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify(data, null, 2))
+    });
+    res.resume();
+  }
+
+  async listMetadata(dir) {
+    const prefix = this.objectKey(`${dir}/`);
+    return (await this.listObjects(prefix))
+      .map(object => object.key.substring(this.prefix.length))
+      .filter(name => name.endsWith('.json'));
+  }
+
+  async deleteMetadata(name) {
+    const res = await this.request('DELETE', this.objectKey(name));
+    res.resume();
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,103 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+
+/**
+ * 管理服务器访问密钥（需要 admin 权限）
+ * 权限: read 查看发布和统计，publish 上传和修改发布，admin 管理访问密钥
+ */
+
+async function getApi(options) {
+  const serverUrl = await resolveServerUrl(options.server);
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Use --server <url>, or run it inside an initialized project.'));
+    return null;
+  }
+  return createApiClient(serverUrl);
+}
+
+async function addAccessKeyCommand(name, options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  const spinner = ora(`Creating access key ${name}...`).start();
+
+  try {
+    const { data } = await api.post('/api/access-keys', {
+      name,
+      scopes: options.scope,
+      app: options.app
+    });
+
+    spinner.succeed(chalk.green(`Access key ${name} created`));
+    console.log(chalk.white('  Scopes: ') + chalk.yellow(data.accessKey.scopes.join(', ')));
+    console.log(chalk.white('  App:    ') + chalk.yellow(data.accessKey.app || 'all apps'));
+    console.log(chalk.white('\n  Key:    ') + chalk.cyan(data.key));
+    console.log(chalk.gray('\n  This key is shown only once, store it somewhere safe.'));
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to create access key'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function listAccessKeysCommand(options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  try {
+    const { data } = await api.get('/api/access-keys');
+
+    console.log(chalk.cyan('\n🔑 Access Keys\n'));
+    for (const key of data.accessKeys) {
+      console.log(
+        chalk.white(`  #${String(key.id).padEnd(4)}`) +
+        chalk.yellow(key.name.padEnd(20)) +
+        chalk.gray(`${key.hint}…  `) +
+        chalk.white(key.scopes.join(',').padEnd(14)) +
+        chalk.gray(key.app || 'all apps')
+      );
+      console.log(chalk.gray(`        created ${new Date(key.createdAt).toLocaleString()}` +
+        (key.lastUsedAt ? `, last used ${new Date(key.lastUsedAt).toLocaleString()}` : ', never used')));
+    }
+    console.log('');
+  } catch (error) {
+    console.log(chalk.red('✗ Failed to list access keys'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function removeAccessKeyCommand(id, options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Revoke access key #${id}? Clients using it will be rejected immediately.`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Aborted.'));
+      return;
+    }
+  }
+
+  const spinner = ora(`Revoking access key #${id}...`).start();
+
+  try {
+    await api.delete(`/api/access-keys/${encodeURIComponent(id)}`);
+    spinner.succeed(chalk.green(`Access key #${id} revoked`));
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to revoke access key'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+module.exports = {
+  add: addAccessKeyCommand,
+  list: listAccessKeysCommand,
+  remove: removeAccessKeyCommand
+};
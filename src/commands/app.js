@@ -0,0 +1,126 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+const { CONFIG_FILE, syncDeploymentKeys } = require('../utils/project');
+
+/**
+ * 管理服务器上的应用
+ * 新应用默认创建 staging 和 production 两个部署
+ */
+
+async function getApi(options) {
+  const serverUrl = await resolveServerUrl(options.server);
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Use --server <url>, or run it inside an initialized project.'));
+    return null;
+  }
+  return createApiClient(serverUrl);
+}
+
+function printDeployments(deployments) {
+  for (const deployment of deployments) {
+    console.log(chalk.white(`    ${(deployment.name || '(unnamed)').padEnd(14)}`) + chalk.gray(deployment.key));
+  }
+}
+
+async function addAppCommand(name, options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  const spinner = ora(`Creating app ${name}...`).start();
+
+  try {
+    const deployments = options.deployments
+      ? options.deployments.split(',').map(item => item.trim()).filter(Boolean)
+      : undefined;
+    const { data } = await api.post('/api/apps', { name, deployments });
+
+    spinner.succeed(chalk.green(`App ${name} created`));
+    console.log(chalk.cyan('\n  Deployment Keys:'));
+    printDeployments(data.app.deployments);
+
+    if (await syncDeploymentKeys(name, data.app.deployments)) {
+      console.log(chalk.gray(`\n  ${CONFIG_FILE} updated with the new deployment keys.`));
+    }
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to create app ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function listAppsCommand(options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  try {
+    const { data } = await api.get('/api/apps');
+
+    console.log(chalk.cyan('\n📱 Apps\n'));
+    if (data.apps.length === 0) {
+      console.log(chalk.gray('  No apps yet. Create one with "lynx-update app add <name>".\n'));
+      return;
+    }
+
+    for (const app of data.apps) {
+      console.log(chalk.yellow(`  ${app.name}`) + chalk.gray(`  (created ${new Date(app.createdAt).toLocaleString()})`));
+      printDeployments(app.deployments);
+      console.log('');
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ Failed to list apps'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function renameAppCommand(name, newName, options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  const spinner = ora(`Renaming app ${name} to ${newName}...`).start();
+
+  try {
+    await api.patch(`/api/apps/${encodeURIComponent(name)}`, { name: newName });
+    spinner.succeed(chalk.green(`App ${name} renamed to ${newName}`));
+    console.log(chalk.gray(`  Update "appKey" in ${CONFIG_FILE} of projects that use this app.`));
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to rename app ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function removeAppCommand(name, options) {
+  const api = await getApi(options);
+  if (!api) return;
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Delete app ${name} with all of its deployments, releases and statistics?`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Aborted.'));
+      return;
+    }
+  }
+
+  const spinner = ora(`Deleting app ${name}...`).start();
+
+  try {
+    await api.delete(`/api/apps/${encodeURIComponent(name)}`);
+    spinner.succeed(chalk.green(`App ${name} deleted`));
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to delete app ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+module.exports = {
+  add: addAppCommand,
+  list: listAppsCommand,
+  rename: renameAppCommand,
+  remove: removeAppCommand
+};
@@ -0,0 +1,122 @@
+const chalk = require('chalk');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+const { loadProjectConfig } = require('../utils/project');
+const { describeRules } = require('../utils/rules');
+const { describeHealthPolicy } = require('../utils/health');
+const { describeRamp } = require('../utils/ramp');
+
+/**
+ * 查看服务器上发布的审计记录：上传、修改、推送、回滚、自动暂停和删除
+ * 每条记录包含操作者（访问密钥名称）、时间、修改前后的值和原因
+ */
+
+const SINCE_PATTERN = /^(\d+)(m|h|d)$/;
+const UNIT_MS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+// 上传、推送和回滚记录新建的发布，删除记录删除前的发布，只显示当时的值
+const SNAPSHOT_ACTIONS = ['upload', 'promote', 'rollback', 'delete'];
+
+// 字段值的显示方式，未列出的字段直接显示
+const FORMATTERS = {
+  rollout: value => `${value}%`,
+  ramp: value => describeRamp(value),
+  rules: value => describeRules(value),
+  healthPolicy: value => describeHealthPolicy(value)
+};
+
+/**
+ * --since 支持相对时间（30m、12h、7d）或日期
+ * @returns {string|null} ISO 时间
+ */
+function parseSince(since) {
+  const match = SINCE_PATTERN.exec(since);
+  const date = match
+    ? new Date(Date.now() - parseInt(match[1]) * UNIT_MS[match[2]])
+    : new Date(since);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function formatValue(field, value) {
+  if (value === null || value === undefined) return '-';
+  if (FORMATTERS[field]) return FORMATTERS[field](value);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function formatChange(action, field, { from, to }) {
+  if (SNAPSHOT_ACTIONS.includes(action)) {
+    return `${field}: ${formatValue(field, to)}`;
+  }
+  return `${field}: ${formatValue(field, from)} → ${formatValue(field, to)}`;
+}
+
+async function auditCommand(options) {
+  const serverUrl = await resolveServerUrl(options.server);
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Use --server <url>, or run it inside an initialized project.'));
+    return;
+  }
+
+  let appName = options.app;
+  if (!appName) {
+    const config = await loadProjectConfig();
+    appName = config && config.appKey;
+  }
+
+  const params = {
+    app: appName,
+    deployment: options.deployment,
+    platform: options.platform,
+    release: options.release,
+    action: options.action,
+    actor: options.actor,
+    limit: parseInt(options.limit) || 20
+  };
+  if (options.since) {
+    params.since = parseSince(options.since);
+    if (!params.since) {
+      console.log(chalk.red(`✗ Invalid --since ${options.since}, expected e.g. 12h, 7d or 2024-05-01`));
+      return;
+    }
+  }
+
+  try {
+    const api = await createApiClient(serverUrl);
+    const { data } = await api.get('/api/audit', { params });
+
+    console.log(chalk.cyan(`\n📜 Audit Log${appName ? ` of ${appName}` : ''}\n`));
+    if (data.entries.length === 0) {
+      console.log(chalk.gray('  No matching entries.\n'));
+      return;
+    }
+
+    for (const entry of data.entries) {
+      const actor = entry.actorKey ? `${entry.actor} (${entry.actorKey}…)` : entry.actor;
+      console.log(
+        chalk.gray(`  ${new Date(entry.createdAt).toLocaleString()}  `) +
+        chalk.yellow(entry.action.padEnd(10)) +
+        chalk.white(`${entry.release || '-'}`.padEnd(6)) +
+        chalk.gray(`${entry.version || ''}`.padEnd(12)) +
+        chalk.white(`${entry.app || '-'}/${entry.deployment || '-'} ${entry.platform || ''}`.padEnd(36)) +
+        chalk.cyan(actor)
+      );
+
+      const changes = Object.entries(entry.changes).map(([field, change]) => formatChange(entry.action, field, change));
+      if (changes.length > 0) {
+        console.log(chalk.gray(`      ${changes.join(', ')}`));
+      }
+      if (entry.reason) {
+        console.log(chalk.white(`      Reason: ${entry.reason}`));
+      }
+    }
+
+    if (data.entries.length === params.limit) {
+      console.log(chalk.gray(`\n  Showing the latest ${params.limit} entries, use --limit or filters to see more.`));
+    }
+    console.log('');
+  } catch (error) {
+    console.log(chalk.red('✗ Failed to load the audit log'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+module.exports = auditCommand;
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { getKeyFingerprint } = require('../utils/signing');
 
 const CONFIG_FILE = 'lynx-update.json';
 
@@ -25,12 +26,20 @@ async function configCommand(options) {
     console.log(chalk.white('Platforms:    ') + chalk.yellow(config.platforms.join(', ')));
     console.log(chalk.white('Bundle Name:  ') + chalk.yellow(config.bundleName));
     console.log(chalk.white('Dist Dir:     ') + chalk.yellow(config.distDir));
+    if (config.signing && config.signing.publicKey) {
+      console.log(chalk.white('Signing:      ') + chalk.yellow(`ed25519 (${getKeyFingerprint(config.signing.publicKey)})`));
+      console.log(chalk.white('Private Key:  ') + chalk.yellow(config.signing.privateKeyPath));
+    } else {
+      console.log(chalk.white('Signing:      ') + chalk.gray('disabled'));
+    }
     
     console.log('\n' + chalk.cyan('Deployment Keys:'));
     for (const platform of config.platforms) {
       console.log(chalk.white(`  ${platform}:`));
-      console.log(chalk.gray(`    Staging:    ${config.deploymentKeys[platform].staging}`));
-      console.log(chalk.gray(`    Production: ${config.deploymentKeys[platform].production}`));
+      for (const [name, key] of Object.entries(config.deploymentKeys[platform] || {})) {
+        const label = `${name.charAt(0).toUpperCase()}${name.slice(1)}:`;
+        console.log(chalk.gray(`    ${label.padEnd(12)}${key}`));
+      }
     }
     return;
   }
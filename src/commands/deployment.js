@@ -0,0 +1,177 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+const { CONFIG_FILE, loadProjectConfig, syncDeploymentKeys } = require('../utils/project');
+
+/**
+ * 管理应用的部署（staging、production 或自定义的 qa、beta 等）
+ * 未指定 --app 时使用当前项目的 appKey
+ */
+
+async function getContext(options) {
+  const serverUrl = await resolveServerUrl(options.server);
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Use --server <url>, or run it inside an initialized project.'));
+    return null;
+  }
+
+  let appName = options.app;
+  if (!appName) {
+    const config = await loadProjectConfig();
+    appName = config && config.appKey;
+  }
+  if (!appName) {
+    console.log(chalk.red('✗ No app given.'));
+    console.log(chalk.gray('  Use --app <name>, or run it inside an initialized project.'));
+    return null;
+  }
+
+  return {
+    api: await createApiClient(serverUrl),
+    appName,
+    basePath: `/api/apps/${encodeURIComponent(appName)}/deployments`
+  };
+}
+
+/**
+ * 操作完成后重新读取部署列表，同步到项目配置
+ */
+async function syncProject(context) {
+  const { data } = await context.api.get(context.basePath);
+  if (await syncDeploymentKeys(context.appName, data.deployments)) {
+    console.log(chalk.gray(`  ${CONFIG_FILE} updated.`));
+  }
+}
+
+async function addDeploymentCommand(name, options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  const spinner = ora(`Creating deployment ${name}...`).start();
+
+  try {
+    const { data } = await context.api.post(context.basePath, { name });
+    spinner.succeed(chalk.green(`Deployment ${name} created for ${context.appName}`));
+    console.log(chalk.white('  Key: ') + chalk.yellow(data.deployment.key));
+    await syncProject(context);
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to create deployment ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function listDeploymentsCommand(options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  try {
+    const { data } = await context.api.get(context.basePath);
+
+    console.log(chalk.cyan(`\n🚀 Deployments of ${context.appName}\n`));
+    for (const deployment of data.deployments) {
+      console.log(chalk.white(`  ${(deployment.name || '(unnamed)').padEnd(14)}`) + chalk.yellow(deployment.key));
+      if (deployment.previousKey) {
+        console.log(chalk.gray(`  ${''.padEnd(14)}${deployment.previousKey} (previous key, still accepted)`));
+      }
+    }
+    console.log('');
+
+    if (await syncDeploymentKeys(context.appName, data.deployments)) {
+      console.log(chalk.gray(`  ${CONFIG_FILE} updated.`));
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ Failed to list deployments'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function renameDeploymentCommand(name, newName, options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  const spinner = ora(`Renaming deployment ${name} to ${newName}...`).start();
+
+  try {
+    await context.api.patch(`${context.basePath}/${encodeURIComponent(name)}`, { name: newName });
+    spinner.succeed(chalk.green(`Deployment ${name} renamed to ${newName}`));
+    await syncProject(context);
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to rename deployment ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function removeDeploymentCommand(name, options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Delete deployment ${name} of ${context.appName} with all of its releases? Apps using its key stop receiving updates.`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Aborted.'));
+      return;
+    }
+  }
+
+  const spinner = ora(`Deleting deployment ${name}...`).start();
+
+  try {
+    await context.api.delete(`${context.basePath}/${encodeURIComponent(name)}`);
+    spinner.succeed(chalk.green(`Deployment ${name} deleted`));
+    await syncProject(context);
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to delete deployment ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function rotateDeploymentKeyCommand(name, options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  if (options.revokeOld && !options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Revoke the current key of ${name} immediately? Installed apps using it stop receiving updates.`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Aborted.'));
+      return;
+    }
+  }
+
+  const spinner = ora(`Rotating key of deployment ${name}...`).start();
+
+  try {
+    const { data } = await context.api.post(`${context.basePath}/${encodeURIComponent(name)}/rotate-key`, {
+      revokePrevious: !!options.revokeOld
+    });
+
+    spinner.succeed(chalk.green(`Deployment ${name} has a new key`));
+    console.log(chalk.white('  Key: ') + chalk.yellow(data.deployment.key));
+    if (data.deployment.previousKey) {
+      console.log(chalk.gray(`  The old key keeps working until the next rotation.`));
+    }
+    await syncProject(context);
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to rotate key of deployment ${name}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+module.exports = {
+  add: addDeploymentCommand,
+  list: listDeploymentsCommand,
+  rename: renameDeploymentCommand,
+  remove: removeDeploymentCommand,
+  rotate: rotateDeploymentKeyCommand
+};
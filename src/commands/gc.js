@@ -0,0 +1,213 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+const { loadProjectConfig, isRemoteServer, listLocalDeployments, getReferencedPackages } = require('../utils/project');
+
+/**
+ * 清理旧发布和不再被引用的包
+ * 远程模式由服务器按保留策略执行（需要 admin 权限），self-hosted 模式清理本地 .lynx-releases 目录
+ * 总是先列出将要删除的内容，确认后才删除
+ */
+
+async function gcCommand(options) {
+  const keep = options.keep !== undefined ? parseInt(options.keep) : undefined;
+  const activeDays = options.activeDays !== undefined ? parseInt(options.activeDays) : undefined;
+  if ((keep !== undefined && !(keep >= 0)) || (activeDays !== undefined && !(activeDays >= 0))) {
+    console.log(chalk.red('✗ --keep and --active-days must be non-negative numbers'));
+    return;
+  }
+
+  const config = await loadProjectConfig();
+  const remote = options.server || (config && isRemoteServer(config));
+  if (!remote && !config) {
+    console.log(chalk.red('✗ Hot update not initialized.'));
+    console.log(chalk.gray('  Run it inside a project, or use --server <url>.'));
+    return;
+  }
+
+  const collector = remote
+    ? await createRemoteCollector(options, { keep, activeDays })
+    : createLocalCollector({ keep });
+  if (!collector) return;
+
+  let plan;
+  try {
+    plan = await collector.plan();
+  } catch (error) {
+    console.log(chalk.red('✗ Failed to list unused packages'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+    return;
+  }
+
+  printPlan(plan);
+  if (plan.releases.length === 0 && plan.packages.length === 0) {
+    return;
+  }
+  if (options.dryRun) {
+    console.log(chalk.gray('\nDry run, nothing was deleted.'));
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Delete ${plan.releases.length} release(s) and ${plan.packages.length} file(s)?`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Cancelled.'));
+      return;
+    }
+  }
+
+  const spinner = ora('Collecting garbage...').start();
+  try {
+    const result = await collector.run();
+    spinner.succeed(chalk.green(
+      `Deleted ${result.releases.length} release(s) and ${result.packages.length} file(s), ` +
+      `reclaimed ${formatSize(result.reclaimedBytes)}`
+    ));
+  } catch (error) {
+    spinner.fail(chalk.red('Garbage collection failed'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+function printPlan(plan) {
+  const policy = plan.policy.keep > 0
+    ? `keeping the latest ${plan.policy.keep} releases` +
+      (plan.policy.activeDays !== undefined ? ` and releases seen in the last ${plan.policy.activeDays} days` : '')
+    : 'keeping all releases';
+  console.log(chalk.cyan(`\n🧹 Garbage collection (${policy})\n`));
+
+  if (plan.releases.length === 0 && plan.packages.length === 0) {
+    console.log(chalk.green('  Nothing to clean up.\n'));
+    return;
+  }
+
+  if (plan.releases.length > 0) {
+    console.log(chalk.white(`  Releases to delete (${plan.releases.length}):`));
+    for (const release of plan.releases) {
+      console.log(
+        chalk.yellow(`    ${release.label.padEnd(6)}`) +
+        chalk.white(`${release.version}`.padEnd(12)) +
+        chalk.gray(`${release.deployment || '-'}${release.platform ? ` ${release.platform}` : ''}`.padEnd(24)) +
+        chalk.gray(release.app ? `${release.app}  ` : '') +
+        chalk.gray(describeLastSeen(release))
+      );
+    }
+  }
+
+  if (plan.packages.length > 0) {
+    console.log(chalk.white(`  Unused files (${plan.packages.length}, ${formatSize(plan.reclaimedBytes)}):`));
+    for (const pkg of plan.packages) {
+      console.log(chalk.gray(`    ${pkg.name.padEnd(70)} ${formatSize(pkg.size)}`));
+    }
+  }
+}
+
+// 只有服务器记录设备最后一次运行发布的时间
+function describeLastSeen(release) {
+  if (release.lastSeenAt === undefined) return '';
+  return release.lastSeenAt ? `last seen ${new Date(release.lastSeenAt).toLocaleDateString()}` : 'never seen';
+}
+
+/**
+ * 服务器清理：先 dryRun 列出，再执行同样的策略
+ */
+async function createRemoteCollector(options, policy) {
+  const serverUrl = await resolveServerUrl(options.server);
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Use --server <url>, or run it inside an initialized project.'));
+    return null;
+  }
+
+  const api = await createApiClient(serverUrl);
+  const collect = async dryRun => {
+    const { data } = await api.post('/api/gc', { ...policy, dryRun, reason: options.reason });
+    return data;
+  };
+  return {
+    plan: () => collect(true),
+    run: () => collect(false)
+  };
+}
+
+/**
+ * self-hosted 模式：每个部署目录保留最近 keep 个发布，
+ * 删除 releases.json 未引用的包和差分包，以及最新发布以外的解压目录（只有最新发布用于生成差分包）
+ */
+function createLocalCollector({ keep = 0 }) {
+  const plan = async () => {
+    const result = { policy: { keep }, releases: [], packages: [], reclaimedBytes: 0, updates: [] };
+    const deployments = await listLocalDeployments();
+
+    for (const deployment of deployments) {
+      const { dir, releasesFile, releases } = deployment;
+      deployment.remaining = keep > 0 ? releases.slice(0, keep) : releases;
+      const expired = releases.slice(deployment.remaining.length);
+      for (const release of expired) {
+        result.releases.push({ ...release, deployment: path.basename(dir) });
+      }
+      if (expired.length > 0) {
+        result.updates.push({ releasesFile, remaining: deployment.remaining });
+      }
+    }
+
+    // 推送过的发布引用源部署目录中的包，要按所有部署保留的发布判断
+    const referenced = getReferencedPackages(deployments.flatMap(deployment => deployment.remaining));
+
+    for (const { dir, remaining } of deployments) {
+      const latestExtracted = remaining.length > 0 ? `extracted-${remaining[0].label}` : null;
+
+      for (const file of await fs.readdir(dir, { withFileTypes: true })) {
+        const filePath = path.join(dir, file.name);
+        const unused = file.isDirectory()
+          ? file.name.startsWith('extracted-') && file.name !== latestExtracted
+          : file.name.endsWith('.zip') && !referenced.has(filePath);
+        if (!unused) continue;
+
+        const size = await getSize(filePath);
+        result.packages.push({ name: path.relative(process.cwd(), filePath), path: filePath, size });
+        result.reclaimedBytes += size;
+      }
+    }
+    return result;
+  };
+
+  const run = async () => {
+    const result = await plan();
+    for (const { releasesFile, remaining } of result.updates) {
+      await fs.writeJson(releasesFile, remaining, { spaces: 2 });
+    }
+    for (const pkg of result.packages) {
+      await fs.remove(pkg.path);
+    }
+    return result;
+  };
+
+  return { plan, run };
+}
+
+async function getSize(filePath) {
+  const stats = await fs.stat(filePath);
+  if (!stats.isDirectory()) return stats.size;
+
+  let size = 0;
+  for (const name of await fs.readdir(filePath)) {
+    size += await getSize(path.join(filePath, name));
+  }
+  return size;
+}
+
+function formatSize(bytes) {
+  const mb = (bytes || 0) / 1024 / 1024;
+  return `${mb.toFixed(2)} MB`;
+}
+
+module.exports = gcCommand;
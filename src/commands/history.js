@@ -1,10 +1,15 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { isRemoteServer, getDeploymentKey, resolveDeployment, loadReleases } = require('../utils/project');
+const { describeRules } = require('../utils/rules');
+const { describeHealth } = require('../utils/health');
+const { getRampState, describeRamp } = require('../utils/ramp');
 
 const CONFIG_FILE = 'lynx-update.json';
 
-async function historyCommand(options) {
+async function historyCommand(releaseArg, options) {
   const configPath = path.join(process.cwd(), CONFIG_FILE);
   
   if (!fs.existsSync(configPath)) {
@@ -18,6 +23,9 @@ async function historyCommand(options) {
     ? config.platforms 
     : [options.platform];
 
+  // 未指定时与 publish 使用同一个默认部署
+  options = { ...options, deployment: resolveDeployment(config, options.deployment, platforms) };
+
   const limit = options.limit || 10;
 
   for (const platform of platforms) {
@@ -25,23 +33,33 @@ async function historyCommand(options) {
       continue;
     }
 
-    console.log(chalk.cyan(`\n━━━ ${platform.toUpperCase()} Release History ━━━\n`));
-
-    const releasesDir = path.join(process.cwd(), '.lynx-releases', platform);
-    const releasesFile = path.join(releasesDir, 'releases.json');
+    console.log(chalk.cyan(`\n━━━ ${platform.toUpperCase()} Release History (${options.deployment}) ━━━\n`));
 
-    if (!fs.existsSync(releasesFile)) {
-      console.log(chalk.gray('  No releases yet.\n'));
+    let releases;
+    try {
+      releases = await loadReleases(config, platform, options.deployment);
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Failed to load releases: ${describeApiError(error)}\n`));
       continue;
     }
-
-    const releases = await fs.readJson(releasesFile);
     
     if (releases.length === 0) {
       console.log(chalk.gray('  No releases yet.\n'));
       continue;
     }
 
+    const latest = releases[0];
+
+    // 只显示指定的发布：标签精确匹配，否则显示该版本号的所有发布
+    if (releaseArg) {
+      const byLabel = releases.filter(r => r.label === releaseArg);
+      releases = byLabel.length > 0 ? byLabel : releases.filter(r => r.version === releaseArg);
+      if (releases.length === 0) {
+        console.log(chalk.yellow(`  ⚠ No release matches ${releaseArg}\n`));
+        continue;
+      }
+    }
+
     // 表头
     console.log(
       chalk.white.bold('  Label'.padEnd(10)) +
@@ -49,19 +67,21 @@ async function historyCommand(options) {
       chalk.white.bold('Rollout'.padEnd(10)) +
       chalk.white.bold('Mandatory'.padEnd(12)) +
       chalk.white.bold('Disabled'.padEnd(10)) +
+      STAT_COLUMNS.map(column => chalk.white.bold(column.title.padEnd(column.width))).join('') +
       chalk.white.bold('Released')
     );
-    console.log(chalk.gray('  ' + '─'.repeat(70)));
+    console.log(chalk.gray('  ' + '─'.repeat(120)));
 
-    releases.slice(0, limit).forEach((release, index) => {
-      const label = `v${index + 1}`;
+    releases.slice(0, limit).forEach(release => {
+      const label = release.label;
       const version = release.version;
-      const rollout = `${release.rollout}%`;
+      const ramp = getRampState(release);
+      const rollout = `${ramp ? ramp.step.rollout : release.rollout}%${ramp && ramp.next ? '↑' : ''}`;
       const mandatory = release.mandatory ? 'Yes' : 'No';
       const disabled = release.disabled ? chalk.red('Yes') : chalk.green('No');
       const date = formatDate(release.createdAt);
 
-      const labelColor = index === 0 ? chalk.green : chalk.gray;
+      const labelColor = release === latest ? chalk.green : chalk.gray;
       
       console.log(
         '  ' +
@@ -70,13 +90,29 @@ async function historyCommand(options) {
         chalk.cyan(rollout.padEnd(10)) +
         (release.mandatory ? chalk.yellow(mandatory.padEnd(12)) : chalk.gray(mandatory.padEnd(12))) +
         disabled.padEnd(10) +
-        chalk.gray(date)
+        formatStats(release.stats) +
+        chalk.gray(date) +
+        (release.releaseMethod === 'rollback' ? chalk.magenta('  rollback') : '')
       );
 
       // 显示描述
       if (release.description && options.verbose) {
         console.log(chalk.gray(`           ${release.description}`));
       }
+      // 定向规则
+      if (release.rules) {
+        console.log(chalk.magenta(`           rules: ${describeRules(release.rules)}`));
+      }
+      // 灰度计划
+      if (ramp && ramp.next) {
+        console.log(chalk.cyan(`           ramp: ${describeRamp(release.ramp)}, next ${ramp.next.rollout}% ${formatDate(ramp.nextAt)}`));
+      }
+      // 健康策略，自动暂停时显示原因
+      if (release.haltedAt) {
+        console.log(chalk.red(`           halted ${formatDate(release.haltedAt)}: ${release.haltReason}`));
+      } else if (release.healthPolicy) {
+        console.log(chalk.gray(`           health: ${describeHealth(release)}`));
+      }
     });
 
     if (releases.length > limit) {
@@ -92,15 +128,88 @@ async function historyCommand(options) {
     
     const mandatoryReleases = releases.filter(r => r.mandatory).length;
     console.log(chalk.gray(`    Mandatory releases: ${mandatoryReleases}`));
+
+    // 指定了一个发布时显示按天的统计
+    if (releaseArg && isRemoteServer(config)) {
+      await printDailyStats(config, platform, options, releases[0], parseInt(options.days) || 14);
+    }
   }
 
   console.log('');
 }
 
+// 发布统计列，Downloads 为完成的下载次数
+const STAT_COLUMNS = [
+  { title: 'Offered', field: 'offered', width: 9 },
+  { title: 'Downloads', field: 'downloadsCompleted', width: 11 },
+  { title: 'Installs', field: 'installs', width: 10 },
+  { title: 'Failures', field: 'failures', width: 10 },
+  { title: 'Rollbacks', field: 'rollbacks', width: 11 }
+];
+
+// 按天统计时另外显示开始的下载次数
+const DAILY_COLUMNS = [
+  STAT_COLUMNS[0],
+  { title: 'Started', field: 'downloadsStarted', width: 9 },
+  ...STAT_COLUMNS.slice(1)
+];
+
+function formatStats(stats, columns = STAT_COLUMNS) {
+  return columns.map(column => {
+    const value = stats && stats[column.field] !== undefined ? String(stats[column.field]) : '-';
+    const color = column.field === 'failures' && stats && stats.failures > 0 ? chalk.red : chalk.white;
+    return color(value.padEnd(column.width));
+  }).join('');
+}
+
+/**
+ * 发布最近几天的统计，按天列出
+ */
+async function printDailyStats(config, platform, options, release, days) {
+  try {
+    const deploymentKey = getDeploymentKey(config, platform, options.deployment);
+    const api = await createApiClient(config.serverUrl);
+    const { data } = await api.get(`/api/stats/${deploymentKey}/${platform}/${encodeURIComponent(release.label)}`, {
+      params: { days }
+    });
+
+    console.log('\n' + chalk.white(`  Daily statistics of ${release.label} (last ${days} days, UTC):`));
+    if (data.daily.length === 0) {
+      console.log(chalk.gray('    No activity.'));
+      return;
+    }
+    console.log(
+      chalk.white.bold('    Date'.padEnd(16)) +
+      DAILY_COLUMNS.map(column => chalk.white.bold(column.title.padEnd(column.width))).join('')
+    );
+    for (const day of data.daily) {
+      console.log('    ' + chalk.gray(day.date.padEnd(12)) + formatStats(day, DAILY_COLUMNS));
+    }
+
+    // 差分包相比完整包节省的流量
+    const { totals } = data;
+    console.log(
+      chalk.white('\n  Traffic: ') +
+      chalk.gray(`${formatSize(totals.bytesServed)} served, `) +
+      chalk.gray(`${totals.diffDownloadsCompleted}/${totals.downloadsCompleted} downloads were diffs, `) +
+      chalk.green(`${formatSize(totals.bytesSaved)} saved`)
+    );
+  } catch (error) {
+    console.log(chalk.red(`  ✗ Failed to load statistics: ${describeApiError(error)}`));
+  }
+}
+
+function formatSize(bytes) {
+  const mb = (bytes || 0) / 1024 / 1024;
+  return `${mb.toFixed(2)} MB`;
+}
+
 function formatDate(dateStr) {
   const date = new Date(dateStr);
   const now = new Date();
   const diffMs = now - date;
+  // 灰度计划的下一步在将来
+  if (diffMs < 0) return `in ${formatDuration(-diffMs)}`;
   const diffMins = Math.floor(diffMs / 60000);
   const diffHours = Math.floor(diffMs / 3600000);
   const diffDays = Math.floor(diffMs / 86400000);
@@ -113,4 +222,11 @@ function formatDate(dateStr) {
   return date.toLocaleDateString();
 }
 
+function formatDuration(ms) {
+  const mins = Math.ceil(ms / 60000);
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.round(mins / 60);
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+}
+
 module.exports = historyCommand;
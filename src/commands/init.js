@@ -3,6 +3,9 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const ora = require('ora');
+const crypto = require('crypto');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { toDeploymentKeys } = require('../utils/project');
 
 const CONFIG_FILE = 'lynx-update.json';
 const LYNX_CONFIG_FILE = 'lynx.config.json';
@@ -69,6 +72,12 @@ async function initCommand(options) {
     }
   ]);
 
+  // 远程服务器上的应用和部署是密钥的唯一来源
+  let deploymentKeys = null;
+  if (answers.serverType === 'custom') {
+    deploymentKeys = await registerApp(answers.serverUrl, answers.appKey);
+  }
+
   const config = {
     appKey: answers.appKey,
     appName: lynxConfig.appName,
@@ -77,7 +86,7 @@ async function initCommand(options) {
     platforms: answers.platforms,
     bundleName: lynxConfig.bundleName || 'main.lynx.bundle',
     distDir: lynxConfig.distDir || 'dist',
-    deploymentKeys: {
+    deploymentKeys: deploymentKeys || {
       android: {
         staging: generateKey(),
         production: generateKey()
@@ -132,11 +141,41 @@ function generateKey() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let key = '';
   for (let i = 0; i < 32; i++) {
-    key += chars.charAt(Math.floor(Math.random() * chars.length));
+    key += chars.charAt(crypto.randomInt(chars.length));
   }
   return key;
 }
 
+/**
+ * 在服务器上创建应用（已存在时读取其部署），返回部署密钥
+ * 未登录或服务器不可用时返回 null，改为本地生成密钥
+ */
+async function registerApp(serverUrl, appName) {
+  const spinner = ora(`Registering ${appName} on ${serverUrl}...`).start();
+
+  try {
+    const api = await createApiClient(serverUrl);
+    let deployments;
+
+    try {
+      const { data } = await api.post('/api/apps', { name: appName });
+      deployments = data.app.deployments;
+      spinner.succeed(chalk.green(`App ${appName} created on the server`));
+    } catch (error) {
+      if (!error.response || error.response.status !== 409) throw error;
+      const { data } = await api.get(`/api/apps/${encodeURIComponent(appName)}/deployments`);
+      deployments = data.deployments;
+      spinner.succeed(chalk.green(`Using existing app ${appName} on the server`));
+    }
+
+    return toDeploymentKeys(deployments);
+  } catch (error) {
+    spinner.warn(chalk.yellow(`Could not register the app on the server: ${describeApiError(error)}`));
+    console.log(chalk.gray(`  Generated local keys instead. Later run "lynx-update login" and "lynx-update app add ${appName}".`));
+    return null;
+  }
+}
+
 async function copySDKFiles(platforms) {
   // SDK files will be copied to the native projects
   // This is a placeholder - actual SDK integration will be more complex
@@ -0,0 +1,67 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { generateKeyPair, getKeyFingerprint } = require('../utils/signing');
+
+const CONFIG_FILE = 'lynx-update.json';
+const PRIVATE_KEY_FILE = 'lynx-update-private.pem';
+const PUBLIC_KEY_FILE = 'lynx-update-public.pem';
+
+/**
+ * 生成更新包签名密钥对
+ * 私钥用于 publish 时签名，公钥需要内置到 App 中用于验证
+ */
+async function keygenCommand(options) {
+  const configPath = path.join(process.cwd(), CONFIG_FILE);
+  const outDir = path.resolve(process.cwd(), options.out || '.lynx-keys');
+  const privateKeyPath = path.join(outDir, PRIVATE_KEY_FILE);
+  const publicKeyPath = path.join(outDir, PUBLIC_KEY_FILE);
+
+  if (fs.existsSync(privateKeyPath) && !options.force) {
+    console.log(chalk.yellow(`⚠ ${privateKeyPath} already exists.`));
+    const { overwrite } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'overwrite',
+      message: 'Overwrite it? Apps shipped with the old public key will reject new updates.',
+      default: false
+    }]);
+    if (!overwrite) {
+      console.log(chalk.gray('Aborted.'));
+      return;
+    }
+  }
+
+  const { publicKey, privateKey } = generateKeyPair();
+
+  await fs.ensureDir(outDir);
+  await fs.writeFile(privateKeyPath, privateKey, { mode: 0o600 });
+  await fs.writeFile(publicKeyPath, publicKey);
+
+  console.log(chalk.green('✓ Signing keypair generated'));
+  console.log(chalk.white('  Private key: ') + chalk.yellow(privateKeyPath));
+  console.log(chalk.white('  Public key:  ') + chalk.yellow(publicKeyPath));
+  console.log(chalk.white('  Fingerprint: ') + chalk.gray(getKeyFingerprint(publicKey)));
+
+  // 写入项目配置，publish 时自动签名
+  if (fs.existsSync(configPath)) {
+    const config = await fs.readJson(configPath);
+    config.signing = {
+      algorithm: 'ed25519',
+      privateKeyPath: path.relative(process.cwd(), privateKeyPath),
+      publicKey
+    };
+    config.updatedAt = new Date().toISOString();
+    await fs.writeJson(configPath, config, { spaces: 2 });
+    console.log(chalk.gray(`\n  ${CONFIG_FILE} updated, "lynx-update publish" will sign packages.`));
+  } else {
+    console.log(chalk.gray(`\n  ${CONFIG_FILE} not found, run "lynx-update init" and then keygen again to enable signing.`));
+  }
+
+  console.log('\n' + chalk.cyan('Next steps:'));
+  console.log(chalk.white('  1. Keep the private key out of version control (add it to .gitignore)'));
+  console.log(chalk.white('  2. Embed the public key in your app to verify update signatures:'));
+  console.log(chalk.gray(publicKey.trim().split('\n').map(line => `     ${line}`).join('\n')));
+}
+
+module.exports = keygenCommand;
@@ -0,0 +1,58 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+const { CREDENTIALS_FILE, saveAccessKey } = require('../utils/credentials');
+
+/**
+ * 登录更新服务器
+ * 校验访问密钥后保存到用户目录，之后的管理命令自动使用
+ */
+async function loginCommand(serverUrlArg, options) {
+  const serverUrl = await resolveServerUrl(serverUrlArg);
+
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Usage: lynx-update login <server-url>, or run it inside an initialized project.'));
+    return;
+  }
+
+  let accessKey = options.accessKey;
+  if (!accessKey) {
+    const answer = await inquirer.prompt([{
+      type: 'password',
+      name: 'accessKey',
+      message: `Access key for ${serverUrl}:`,
+      mask: '*',
+      validate: (input) => input.trim() ? true : 'Access key is required'
+    }]);
+    accessKey = answer.accessKey.trim();
+  }
+
+  const spinner = ora(`Verifying access key with ${serverUrl}...`).start();
+
+  try {
+    const api = await createApiClient(serverUrl, { accessKey });
+    const { data } = await api.get('/api/auth/me');
+    const info = data.accessKey;
+
+    await saveAccessKey(serverUrl, {
+      accessKey,
+      name: info.name,
+      scopes: info.scopes,
+      app: info.app
+    });
+
+    spinner.succeed(chalk.green(`Logged in to ${serverUrl}`));
+    console.log(chalk.white('  Key:    ') + chalk.yellow(`${info.name} (${info.hint}…)`));
+    console.log(chalk.white('  Scopes: ') + chalk.yellow(info.scopes.join(', ')));
+    console.log(chalk.white('  App:    ') + chalk.yellow(info.app || 'all apps'));
+    console.log(chalk.gray(`\n  Saved to ${CREDENTIALS_FILE}`));
+  } catch (error) {
+    spinner.fail(chalk.red('Login failed'));
+    const invalid = error.response && error.response.status === 401;
+    console.error(chalk.gray(`  ${invalid ? 'The server rejected this access key' : describeApiError(error)}`));
+  }
+}
+
+module.exports = loginCommand;
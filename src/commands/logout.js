@@ -0,0 +1,25 @@
+const chalk = require('chalk');
+const { resolveServerUrl } = require('../utils/api');
+const { removeAccessKey } = require('../utils/credentials');
+
+/**
+ * 删除本机保存的访问密钥
+ * 密钥在服务器上仍然有效，需要时用 access-key remove 吊销
+ */
+async function logoutCommand(serverUrlArg) {
+  const serverUrl = await resolveServerUrl(serverUrlArg);
+
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Usage: lynx-update logout <server-url>, or run it inside an initialized project.'));
+    return;
+  }
+
+  if (await removeAccessKey(serverUrl)) {
+    console.log(chalk.green(`✓ Logged out of ${serverUrl}`));
+  } else {
+    console.log(chalk.yellow(`⚠ Not logged in to ${serverUrl}`));
+  }
+}
+
+module.exports = logoutCommand;
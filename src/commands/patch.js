@@ -2,15 +2,21 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
-const axios = require('axios');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { isRemoteServer, getLocalReleasesDir, getDeploymentKey, resolveDeployment } = require('../utils/project');
+const { withLabels, findRelease, describeRelease } = require('../utils/releases');
+const { loadRulesFile, describeRules } = require('../utils/rules');
+const { healthPolicyFromOptions, describeHealthPolicy } = require('../utils/health');
+const { normalizeRollout, normalizeRamp, getRolloutChanges, getRampState, describeRamp } = require('../utils/ramp');
 
 const CONFIG_FILE = 'lynx-update.json';
 
 /**
  * 修改已发布版本的元数据
  * 支持: 禁用/启用、修改灰度比例、修改强制更新标记
+ * 发布可以用标签（v3）或版本号指定，版本号发布过多次时修改最新的一次
  */
-async function patchCommand(version, options) {
+async function patchCommand(labelOrVersion, options) {
   const configPath = path.join(process.cwd(), CONFIG_FILE);
   
   if (!fs.existsSync(configPath)) {
@@ -24,32 +30,59 @@ async function patchCommand(version, options) {
     ? config.platforms 
     : [options.platform];
 
+  // 未指定时与 publish 使用同一个默认部署
+  options = { ...options, deployment: resolveDeployment(config, options.deployment, platforms) };
+
   // 构建更新数据
   const patchData = {};
   
   if (options.disabled !== undefined) {
     patchData.disabled = options.disabled === 'true' || options.disabled === true;
   }
-  if (options.rollout !== undefined) {
-    patchData.rollout = parseInt(options.rollout);
-  }
   if (options.mandatory !== undefined) {
     patchData.mandatory = options.mandatory === 'true' || options.mandatory === true;
   }
+  if (options.testersOnly !== undefined) {
+    patchData.testersOnly = options.testersOnly === 'true' || options.testersOnly === true;
+  }
   if (options.description !== undefined) {
     patchData.description = options.description;
   }
   if (options.targetBinaryVersion !== undefined) {
     patchData.targetBinaryVersion = options.targetBinaryVersion;
   }
+  try {
+    if (options.rollout !== undefined) {
+      patchData.rollout = normalizeRollout(options.rollout);
+    }
+    if (options.clearRules) {
+      patchData.rules = null;
+    } else if (options.rules !== undefined) {
+      patchData.rules = await loadRulesFile(path.resolve(process.cwd(), options.rules));
+    }
+    if (options.ramp !== undefined) {
+      patchData.ramp = options.ramp === 'off' ? null : normalizeRamp(options.ramp);
+    }
+    const healthPolicy = healthPolicyFromOptions(options);
+    if (healthPolicy !== undefined) {
+      patchData.healthPolicy = healthPolicy;
+    }
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    return;
+  }
+  if (options.resume) {
+    patchData.resume = true;
+  }
 
   if (Object.keys(patchData).length === 0) {
     console.log(chalk.yellow('⚠ No changes specified.'));
-    console.log(chalk.gray('  Use --disabled, --rollout, --mandatory, --description, or --target-binary-version'));
+    console.log(chalk.gray('  Use --disabled, --rollout, --mandatory, --description, --target-binary-version, --testers-only,'));
+    console.log(chalk.gray('  --ramp, --rules, --max-failure-rate or --resume'));
     return;
   }
 
-  console.log(chalk.cyan(`\nPatching version ${version}...`));
+  console.log(chalk.cyan(`\nPatching release ${labelOrVersion}...`));
   console.log(chalk.gray(`Changes: ${JSON.stringify(patchData)}`));
 
   for (const platform of platforms) {
@@ -60,9 +93,32 @@ async function patchCommand(version, options) {
 
     const spinner = ora(`Patching ${platform}...`).start();
 
+    // 远程模式只修改服务器上的发布
+    if (isRemoteServer(config)) {
+      try {
+        const deploymentKey = getDeploymentKey(config, platform, options.deployment);
+        if (!deploymentKey) {
+          throw new Error(`Deployment ${options.deployment} not configured`);
+        }
+        const api = await createApiClient(config.serverUrl);
+        const { data } = await api.patch(
+          `/api/releases/${deploymentKey}/${platform}/${encodeURIComponent(labelOrVersion)}`,
+          { ...patchData, reason: options.reason },
+          { headers: { 'X-Deployment-Key': deploymentKey } }
+        );
+
+        spinner.succeed(chalk.green(`Patched ${platform} ${describeRelease(data.release)}`));
+        printRelease(data.release);
+      } catch (error) {
+        spinner.fail(chalk.red(`Failed to patch ${platform}`));
+        console.error(chalk.gray(`  ${describeApiError(error)}`));
+      }
+      continue;
+    }
+
     try {
       // 本地模式
-      const releasesDir = path.join(process.cwd(), '.lynx-releases', platform);
+      const releasesDir = getLocalReleasesDir(platform, options.deployment);
       const releasesFile = path.join(releasesDir, 'releases.json');
 
       if (!fs.existsSync(releasesFile)) {
@@ -70,42 +126,28 @@ async function patchCommand(version, options) {
         continue;
       }
 
-      const releases = await fs.readJson(releasesFile);
-      const releaseIndex = releases.findIndex(r => r.version === version);
+      // 早期的发布没有标签，写回时一并补上
+      const releases = withLabels(await fs.readJson(releasesFile));
+      const release = findRelease(releases, labelOrVersion);
 
-      if (releaseIndex === -1) {
-        spinner.warn(chalk.yellow(`Version ${version} not found for ${platform}`));
+      if (!release) {
+        spinner.warn(chalk.yellow(`Release ${labelOrVersion} not found for ${platform}`));
         continue;
       }
 
-      // 应用更新
-      const release = releases[releaseIndex];
-      Object.assign(release, patchData);
+      // 应用更新（本地模式没有安装上报，不会自动暂停）
+      const { resume, rollout, ramp, ...changes } = patchData;
+      Object.assign(release, changes, getRolloutChanges(release, { rollout, ramp }));
+      if (resume) {
+        Object.assign(release, { disabled: false, haltedAt: null, haltReason: null });
+      }
       release.patchedAt = new Date().toISOString();
 
       await fs.writeJson(releasesFile, releases, { spaces: 2 });
 
-      spinner.succeed(chalk.green(`Patched ${platform} v${version}`));
-
-      // 显示更新后的状态
-      console.log(chalk.gray(`  Disabled: ${release.disabled ? 'Yes' : 'No'}`));
-      console.log(chalk.gray(`  Rollout: ${release.rollout}%`));
-      console.log(chalk.gray(`  Mandatory: ${release.mandatory ? 'Yes' : 'No'}`));
-
-      // 如果配置了远程服务器，也更新远程
-      if (config.serverType !== 'self-hosted' && config.serverUrl) {
-        try {
-          const deploymentKey = config.deploymentKeys[platform].production;
-          await axios.patch(
-            `${config.serverUrl}/api/releases/${deploymentKey}/${platform}/${version}`,
-            patchData,
-            { headers: { 'X-Deployment-Key': deploymentKey } }
-          );
-          console.log(chalk.gray(`  Remote server updated`));
-        } catch (e) {
-          console.log(chalk.yellow(`  Warning: Failed to update remote server`));
-        }
-      }
+      spinner.succeed(chalk.green(`Patched ${platform} ${describeRelease(release)}`));
+
+      printRelease(release);
 
     } catch (error) {
       spinner.fail(chalk.red(`Failed to patch ${platform}`));
@@ -116,4 +158,20 @@ async function patchCommand(version, options) {
   console.log('\n' + chalk.green('✓ Patch complete!'));
 }
 
+// 显示更新后的状态
+function printRelease(release) {
+  console.log(chalk.gray(`  Disabled: ${release.disabled ? 'Yes' : 'No'}`));
+  const ramp = getRampState(release);
+  console.log(chalk.gray(`  Rollout: ${ramp ? `${ramp.step.rollout}% (${describeRamp(release.ramp)})` : `${release.rollout}%`}`));
+  console.log(chalk.gray(`  Mandatory: ${release.mandatory ? 'Yes' : 'No'}`));
+  console.log(chalk.gray(`  Rules: ${describeRules(release.rules)}`));
+  if (release.testersOnly) {
+    console.log(chalk.gray('  Testers only: Yes'));
+  }
+  console.log(chalk.gray(`  Health: ${describeHealthPolicy(release.healthPolicy)}`));
+  if (release.haltedAt) {
+    console.log(chalk.red(`  Halted: ${release.haltReason}`));
+  }
+}
+
 module.exports = patchCommand;
@@ -3,6 +3,10 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const ora = require('ora');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { isRemoteServer, getLocalReleasesDir } = require('../utils/project');
+const { withLabels, nextLabel } = require('../utils/releases');
+const { normalizeRollout, getRolloutChanges } = require('../utils/ramp');
 
 const CONFIG_FILE = 'lynx-update.json';
 
@@ -17,6 +21,15 @@ async function promoteCommand(options) {
 
   const config = await fs.readJson(configPath);
   
+  // 指定 --rollout 时推送后使用固定比例，不沿用灰度计划
+  let rollout;
+  try {
+    rollout = options.rollout === undefined ? undefined : normalizeRollout(options.rollout);
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    return;
+  }
+
   const sourceEnv = options.source || 'staging';
   const targetEnv = options.target || 'production';
   
@@ -40,8 +53,13 @@ async function promoteCommand(options) {
       continue;
     }
 
+    if (isRemoteServer(config)) {
+      await promoteRemote(config, platform, sourceKey, targetKey, sourceEnv, targetEnv, { ...options, rollout });
+      continue;
+    }
+
     // 获取 staging 的最新发布
-    const sourceReleasesDir = path.join(process.cwd(), '.lynx-releases', `${sourceEnv}-${platform}`);
+    const sourceReleasesDir = getLocalReleasesDir(platform, sourceEnv);
     const sourceReleasesFile = path.join(sourceReleasesDir, 'releases.json');
 
     if (!fs.existsSync(sourceReleasesFile)) {
@@ -49,7 +67,7 @@ async function promoteCommand(options) {
       continue;
     }
 
-    const sourceReleases = await fs.readJson(sourceReleasesFile);
+    const sourceReleases = withLabels(await fs.readJson(sourceReleasesFile));
     
     if (sourceReleases.length === 0) {
       console.log(chalk.yellow(`⚠ No releases in ${sourceEnv} for ${platform}. Skipping...`));
@@ -77,7 +95,7 @@ async function promoteCommand(options) {
 
     try {
       // 复制发布到目标环境
-      const targetReleasesDir = path.join(process.cwd(), '.lynx-releases', `${targetEnv}-${platform}`);
+      const targetReleasesDir = getLocalReleasesDir(platform, targetEnv);
       await fs.ensureDir(targetReleasesDir);
 
       const targetReleasesFile = path.join(targetReleasesDir, 'releases.json');
@@ -86,12 +104,15 @@ async function promoteCommand(options) {
         targetReleases = await fs.readJson(targetReleasesFile);
       }
 
-      // 创建新的发布记录
+      // 创建新的发布记录，灰度计划在目标环境重新计时，指定 --rollout 时取消计划
       const promotedRelease = {
         ...latestRelease,
+        label: nextLabel(targetReleases),
         promotedFrom: sourceEnv,
         promotedAt: new Date().toISOString(),
-        rollout: options.rollout ? parseInt(options.rollout) : latestRelease.rollout
+        ...(rollout !== undefined
+          ? getRolloutChanges(latestRelease, { rollout })
+          : getRolloutChanges(latestRelease, { ramp: latestRelease.ramp || undefined }))
       };
 
       targetReleases.unshift(promotedRelease);
@@ -108,4 +129,64 @@ async function promoteCommand(options) {
   console.log('\n' + chalk.green('✓ Promotion complete!'));
 }
 
+/**
+ * 在服务器上推送，目标部署直接复用源部署的包
+ */
+async function promoteRemote(config, platform, sourceKey, targetKey, sourceEnv, targetEnv, options) {
+  const api = await createApiClient(config.serverUrl);
+
+  let latestRelease;
+  try {
+    const { data } = await api.get(`/api/releases/${sourceKey}/${platform}`);
+    latestRelease = data.releases[0];
+  } catch (error) {
+    console.log(chalk.red(`✗ Failed to load ${sourceEnv} releases for ${platform}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+    return;
+  }
+
+  if (!latestRelease) {
+    console.log(chalk.yellow(`⚠ No releases in ${sourceEnv} for ${platform}. Skipping...`));
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Promote ${platform} v${latestRelease.version} from ${sourceEnv} to ${targetEnv}?`,
+      default: true
+    }]);
+
+    if (!confirm) {
+      console.log(chalk.gray(`Skipped ${platform}.`));
+      return;
+    }
+  }
+
+  const spinner = ora(`Promoting ${platform} v${latestRelease.version}...`).start();
+
+  try {
+    // 用标签指定，同一版本号可能发布过多次
+    const payload = { targetDeploymentKey: targetKey, version: latestRelease.label, reason: options.reason };
+    if (options.rollout !== undefined) {
+      payload.rollout = options.rollout;
+    }
+
+    const { data } = await api.post(`/api/releases/${sourceKey}/${platform}/promote`, payload);
+
+    spinner.succeed(chalk.green(`Promoted ${platform} v${latestRelease.version} to ${targetEnv} as ${data.release.label}`));
+    console.log(chalk.gray(`  Rollout: ${data.release.rollout}%`));
+    if (data.diffs && data.diffs.length > 0) {
+      console.log(chalk.gray('  Server diffs:'));
+      for (const diff of data.diffs) {
+        console.log(chalk.gray(`    ${diff.fromVersion} → ${diff.toVersion}: ${(diff.size / 1024).toFixed(1)} KB (${diff.savedPercent}% smaller)`));
+      }
+    }
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to promote ${platform}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
 module.exports = promoteCommand;
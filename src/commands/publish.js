@@ -2,10 +2,23 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
+const inquirer = require('inquirer');
 const archiver = require('archiver');
 const crypto = require('crypto');
-const axios = require('axios');
 const { createDiffPackage, scanDirectory } = require('../utils/diff');
+const {
+  SIGNATURE_ALGORITHM,
+  createSignedManifest,
+  signManifest,
+  verifyManifest,
+  loadPrivateKey
+} = require('../utils/signing');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { getLocalReleasesDir, getDeploymentKey, resolveDeployment } = require('../utils/project');
+const { withLabels, nextLabel } = require('../utils/releases');
+const { loadRulesFile, describeRules } = require('../utils/rules');
+const { healthPolicyFromOptions, describeHealthPolicy } = require('../utils/health');
+const { normalizeRollout, normalizeRamp, getRolloutChanges, describeRamp } = require('../utils/ramp');
 
 const CONFIG_FILE = 'lynx-update.json';
 
@@ -45,19 +58,87 @@ async function publishCommand(options) {
     ? config.platforms 
     : [options.platform];
 
+  // 目标部署：默认 staging（已配置时），再通过 promote 推送到 production
+  const configuredPlatforms = platforms.filter(platform => config.platforms.includes(platform));
+  const deployment = resolveDeployment(config, options.deployment, platforms);
+
+  const missing = configuredPlatforms.filter(platform => !getDeploymentKey(config, platform, deployment));
+  if (missing.length > 0) {
+    console.log(chalk.red(`✗ Deployment "${deployment}" is not configured for ${missing.join(', ')}.`));
+    console.log(chalk.gray('  Run "lynx-update deployment list" to sync deployment keys from the server.'));
+    return;
+  }
+
   // 版本定向
   const targetBinaryVersion = options.targetBinaryVersion || '*';
 
+  // 定向规则（系统版本、机型、语言区域、自定义属性）
+  let rules = null;
+  // 健康策略：失败率超过阈值时服务器自动暂停发布
+  let healthPolicy = null;
+  // 灰度计划，指定后 --rollout 不再生效
+  let ramp = null;
+  let rollout;
+  try {
+    rollout = normalizeRollout(options.rollout);
+    ramp = normalizeRamp(options.ramp);
+    if (options.rules) {
+      rules = await loadRulesFile(path.resolve(process.cwd(), options.rules));
+    }
+    healthPolicy = healthPolicyFromOptions(options) || null;
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    return;
+  }
+
   console.log(chalk.cyan('\nPublishing update...'));
   console.log(chalk.gray(`Version: ${version}`));
+  console.log(chalk.gray(`Deployment: ${deployment}`));
   console.log(chalk.gray(`Platforms: ${platforms.join(', ')}`));
-  console.log(chalk.gray(`Rollout: ${options.rollout}%`));
+  console.log(chalk.gray(`Rollout: ${ramp ? describeRamp(ramp) : `${rollout}%`}`));
   console.log(chalk.gray(`Target Binary: ${targetBinaryVersion}`));
+  if (rules) {
+    console.log(chalk.gray(`Rules: ${describeRules(rules)}`));
+  }
+  if (healthPolicy) {
+    console.log(chalk.gray(`Health: ${describeHealthPolicy(healthPolicy)}`));
+  }
+  if (options.testersOnly) {
+    console.log(chalk.yellow('⚠ Only devices on the tester allowlist receive this release'));
+  }
   if (options.mandatory) {
     console.log(chalk.yellow('⚠ This is a mandatory update'));
   }
-  if (options.diff) {
-    console.log(chalk.cyan('📦 Differential update enabled'));
+  if (options.diff || options.binaryDiff) {
+    console.log(chalk.cyan(`📦 Differential update enabled${options.binaryDiff ? ' (binary patches)' : ''}`));
+  }
+
+  // 直接发布到 production 会立即推送给用户，需要确认
+  if (deployment === 'production' && !options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Publish directly to production? Users will receive this update immediately.',
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Aborted. Publish to staging first, or pass --yes to skip this prompt.'));
+      return;
+    }
+  }
+
+  // 签名私钥
+  let privateKey = null;
+  const privateKeyPath = options.privateKey || (config.signing && config.signing.privateKeyPath);
+  if (privateKeyPath) {
+    try {
+      privateKey = await loadPrivateKey(path.resolve(process.cwd(), privateKeyPath));
+      console.log(chalk.cyan('🔏 Packages will be signed (ed25519)'));
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      console.log(chalk.gray('  Run "lynx-update keygen" to create a signing key.'));
+      return;
+    }
   }
 
   for (const platform of platforms) {
@@ -79,39 +160,74 @@ async function publishCommand(options) {
       const stats = await fs.stat(packagePath);
       const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
 
+      // Sign package manifest
+      let signature = null;
+      let signedManifest = null;
+      if (privateKey) {
+        signedManifest = createSignedManifest({ version, platform, hash, size: stats.size });
+        signature = signManifest(signedManifest, privateKey);
+        // 私钥与 App 内置的公钥不匹配时，设备会拒绝所有更新
+        if (config.signing && config.signing.publicKey && !verifyManifest(signedManifest, signature, config.signing.publicKey)) {
+          throw new Error('The private key does not match signing.publicKey in lynx-update.json');
+        }
+      }
+
       // 生成差分包（如果启用且有上一版本）
       let diffInfo = null;
-      if (options.diff) {
-        diffInfo = await generateDiffPackageIfPossible(config, platform, distDir, version);
+      if (options.diff || options.binaryDiff) {
+        diffInfo = await generateDiffPackageIfPossible(config, platform, deployment, distDir, version, {
+          binary: options.binaryDiff
+        });
         if (diffInfo) {
           console.log(chalk.green(`  📦 Diff package created: ${diffInfo.savedPercent}% smaller`));
         }
       }
 
       // Upload to server
-      const uploadResult = await uploadPackage(config, platform, {
+      const uploadResult = await uploadPackage(config, platform, deployment, {
         version,
         packagePath,
         hash,
         size: stats.size,
         description: options.description || `Update to version ${version}`,
         mandatory: options.mandatory || false,
-        rollout: parseInt(options.rollout) || 100,
+        rollout,
+        ramp,
         targetBinaryVersion,
-        diffInfo
+        rules,
+        testersOnly: options.testersOnly || false,
+        healthPolicy,
+        diffInfo,
+        binaryDiff: options.binaryDiff || false,
+        signature,
+        signedManifest,
+        reason: options.reason
       });
 
-      spinner.succeed(chalk.green(`Published to ${platform}`));
+      spinner.succeed(chalk.green(`Published to ${platform} (${deployment})`));
+      if (uploadResult.release && uploadResult.release.label) {
+        console.log(chalk.gray(`  Label: ${uploadResult.release.label}`));
+      }
       console.log(chalk.gray(`  Version: ${version}`));
       console.log(chalk.gray(`  Size: ${sizeMB} MB`));
       console.log(chalk.gray(`  Hash: ${hash.substring(0, 16)}...`));
+      if (signature) {
+        console.log(chalk.gray(`  Signature: ${signature.substring(0, 16)}...`));
+      }
+      if (uploadResult.diffs && uploadResult.diffs.length > 0) {
+        console.log(chalk.gray('  Server diffs:'));
+        for (const diff of uploadResult.diffs) {
+          const format = diff.format === 'patch' ? ', binary patches' : '';
+          console.log(chalk.gray(`    ${diff.fromVersion} → ${diff.toVersion}: ${(diff.size / 1024).toFixed(1)} KB (${diff.savedPercent}% smaller${format})`));
+        }
+      }
 
       // Clean up temp file
       await fs.remove(packagePath);
 
     } catch (error) {
       spinner.fail(chalk.red(`Failed to publish to ${platform}`));
-      console.error(chalk.gray(`  ${error.message}`));
+      console.error(chalk.gray(`  ${describeApiError(error)}`));
     }
   }
 
@@ -168,10 +284,10 @@ async function calculateFileHash(filePath) {
   });
 }
 
-async function generateDiffPackageIfPossible(config, platform, distDir, newVersion) {
+async function generateDiffPackageIfPossible(config, platform, deployment, distDir, newVersion, diffOptions = {}) {
   try {
     // 查找上一版本
-    const releasesDir = path.join(process.cwd(), '.lynx-releases', platform);
+    const releasesDir = getLocalReleasesDir(platform, deployment);
     const releasesFile = path.join(releasesDir, 'releases.json');
     
     if (!await fs.pathExists(releasesFile)) {
@@ -183,11 +299,11 @@ async function generateDiffPackageIfPossible(config, platform, distDir, newVersi
       return null;
     }
 
-    const prevRelease = releases[0];
+    const prevRelease = withLabels(releases)[0];
     const prevVersion = prevRelease.version;
 
-    // 检查是否有上一版本的解压目录
-    const prevDir = path.join(process.cwd(), '.lynx-releases', platform, `v${prevVersion}`);
+    // 检查是否有上一版本的解压目录（同一版本号可能发布多次，按标签区分）
+    const prevDir = path.join(releasesDir, `extracted-${prevRelease.label}`);
     if (!await fs.pathExists(prevDir)) {
       // 尝试解压上一版本
       const prevPackagePath = prevRelease.packageUrl;
@@ -202,14 +318,9 @@ async function generateDiffPackageIfPossible(config, platform, distDir, newVersi
     }
 
     // 生成差分包
-    const diffOutputPath = path.join(
-      process.cwd(), 
-      '.lynx-releases', 
-      platform, 
-      `diff-${prevVersion}-to-${newVersion}.zip`
-    );
-
-    const diffResult = await createDiffPackage(prevDir, distDir, diffOutputPath);
+    const diffOutputPath = path.join(releasesDir, `diff-${prevVersion}-to-${newVersion}.zip`);
+
+    const diffResult = await createDiffPackage(prevDir, distDir, diffOutputPath, diffOptions);
     
     return {
       fromVersion: prevVersion,
@@ -223,68 +334,115 @@ async function generateDiffPackageIfPossible(config, platform, distDir, newVersi
   }
 }
 
-async function uploadPackage(config, platform, updateInfo) {
-  const { version, packagePath, hash, size, description, mandatory, rollout, targetBinaryVersion, diffInfo } = updateInfo;
+async function uploadPackage(config, platform, deployment, updateInfo) {
+  const {
+    version, packagePath, hash, size, description, mandatory, rollout, targetBinaryVersion, rules, testersOnly,
+    healthPolicy, ramp, diffInfo, binaryDiff, signature, signedManifest, reason
+  } = updateInfo;
   
   // For self-hosted, save to local releases directory
   if (config.serverType === 'self-hosted') {
-    const releasesDir = path.join(process.cwd(), '.lynx-releases', platform);
+    const releasesDir = getLocalReleasesDir(platform, deployment);
     await fs.ensureDir(releasesDir);
+
+    const releasesFile = path.join(releasesDir, 'releases.json');
+    let releases = [];
+    if (fs.existsSync(releasesFile)) {
+      releases = await fs.readJson(releasesFile);
+    }
+    const label = nextLabel(releases);
     
-    // Copy package
-    const targetPath = path.join(releasesDir, path.basename(packagePath));
+    // Copy package, the label keeps re-published versions apart
+    const targetPath = path.join(releasesDir, path.basename(packagePath, '.zip') + `-${label}.zip`);
     await fs.copy(packagePath, targetPath);
     
     // Save release info
     const releaseInfo = {
+      label,
       version,
       hash,
       size,
       description,
       mandatory,
       rollout,
+      ...(ramp ? getRolloutChanges({}, { ramp }) : {}),
       targetBinaryVersion: targetBinaryVersion || '*',
+      rules,
+      testersOnly,
+      healthPolicy,
       packageUrl: targetPath,
       diffPackage: diffInfo ? diffInfo.path : null,
+      signature,
+      signatureAlgorithm: signature ? SIGNATURE_ALGORITHM : null,
+      signedManifest,
       createdAt: new Date().toISOString(),
-      // 统计数据
+      // 统计数据，与服务器返回的发布统计字段相同
       stats: {
-        downloads: 0,
+        offered: 0,
+        downloadsStarted: 0,
+        downloadsCompleted: 0,
         installs: 0,
         failures: 0,
-        active: 0
+        rollbacks: 0
       }
     };
     
-    const releasesFile = path.join(releasesDir, 'releases.json');
-    let releases = [];
-    if (fs.existsSync(releasesFile)) {
-      releases = await fs.readJson(releasesFile);
-    }
     releases.unshift(releaseInfo);
     await fs.writeJson(releasesFile, releases, { spaces: 2 });
     
-    return { success: true, local: true };
+    return { success: true, local: true, release: releaseInfo };
   }
   
   // For remote server, upload via API
+  // Metadata goes first so the server sees it before the file stream
   const formData = new FormData();
-  formData.append('file', fs.createReadStream(packagePath));
   formData.append('version', version);
   formData.append('platform', platform);
   formData.append('hash', hash);
   formData.append('description', description);
   formData.append('mandatory', mandatory.toString());
   formData.append('rollout', rollout.toString());
+  if (ramp) {
+    formData.append('ramp', JSON.stringify(ramp));
+  }
+  formData.append('binaryDiff', binaryDiff.toString());
+  if (rules) {
+    formData.append('rules', JSON.stringify(rules));
+  }
+  if (testersOnly) {
+    formData.append('testersOnly', 'true');
+  }
+  if (healthPolicy) {
+    formData.append('healthPolicy', JSON.stringify(healthPolicy));
+  }
+  if (reason) {
+    formData.append('reason', reason);
+  }
+  if (signature) {
+    formData.append('signature', signature);
+    formData.append('signatureAlgorithm', SIGNATURE_ALGORITHM);
+    formData.append('signedManifest', signedManifest);
+  }
+  formData.append('file', await openPackageBlob(packagePath), path.basename(packagePath));
 
-  const response = await axios.post(`${config.serverUrl}/api/releases`, formData, {
+  const api = await createApiClient(config.serverUrl);
+  const response = await api.post('/api/releases', formData, {
     headers: {
       'X-App-Key': config.appKey,
-      'X-Deployment-Key': config.deploymentKeys[platform].production
+      'X-Deployment-Key': getDeploymentKey(config, platform, deployment)
     }
   });
 
   return response.data;
 }
 
+async function openPackageBlob(packagePath) {
+  // fs.openAsBlob streams from disk (Node 19.8+), older versions read into memory
+  const { openAsBlob } = require('fs');
+  if (typeof openAsBlob === 'function') {
+    return openAsBlob(packagePath, { type: 'application/zip' });
+  }
+  return new Blob([await fs.readFile(packagePath)], { type: 'application/zip' });
+}
+
 module.exports = publishCommand;
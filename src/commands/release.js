@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { loadProjectConfig, isRemoteServer, getLocalReleasesDir, listLocalDeployments, getReferencedPackages, getDeploymentKey, resolveDeployment } = require('../utils/project');
+const { withLabels, findRelease, describeRelease } = require('../utils/releases');
+
+/**
+ * 管理单个发布
+ * 删除后标签不会被重新使用；服务器上的删除会写入审计记录，不再被引用的包和差分包一并删除
+ */
+
+async function removeReleaseCommand(labelOrVersion, options) {
+  const config = await loadProjectConfig();
+  if (!config) {
+    console.log(chalk.red('✗ Hot update not initialized.'));
+    console.log(chalk.gray('  Run "lynx-update init" first.'));
+    return;
+  }
+
+  const platforms = options.platform === 'all' ? config.platforms : [options.platform];
+
+  // 未指定时与 publish 使用同一个默认部署
+  options = { ...options, deployment: resolveDeployment(config, options.deployment, platforms) };
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Delete ${labelOrVersion} from ${options.deployment} (${platforms.join(', ')})? This cannot be undone.`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Cancelled.'));
+      return;
+    }
+  }
+
+  for (const platform of platforms) {
+    if (!config.platforms.includes(platform)) {
+      console.log(chalk.yellow(`⚠ Platform ${platform} not configured. Skipping...`));
+      continue;
+    }
+
+    const spinner = ora(`Deleting ${platform} ${labelOrVersion}...`).start();
+
+    try {
+      const release = isRemoteServer(config)
+        ? await removeRemoteRelease(config, platform, labelOrVersion, options)
+        : await removeLocalRelease(platform, labelOrVersion, options);
+
+      if (release) {
+        spinner.succeed(chalk.green(`Deleted ${platform} ${describeRelease(release)}`));
+      } else {
+        spinner.warn(chalk.yellow(`Release ${labelOrVersion} not found for ${platform}`));
+      }
+    } catch (error) {
+      spinner.fail(chalk.red(`Failed to delete ${platform} ${labelOrVersion}`));
+      console.error(chalk.gray(`  ${describeApiError(error)}`));
+      if (error.response && error.response.status === 409) {
+        console.error(chalk.gray('  Use --force to delete it anyway.'));
+      }
+    }
+  }
+}
+
+async function removeRemoteRelease(config, platform, labelOrVersion, options) {
+  const deploymentKey = getDeploymentKey(config, platform, options.deployment);
+  if (!deploymentKey) {
+    throw new Error(`Deployment ${options.deployment} not configured`);
+  }
+
+  const api = await createApiClient(config.serverUrl);
+  try {
+    const { data } = await api.delete(`/api/releases/${deploymentKey}/${platform}/${encodeURIComponent(labelOrVersion)}`, {
+      data: { reason: options.reason, force: !!options.force }
+    });
+    return data.release;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * self-hosted 模式：从 releases.json 中删除，并删除不再被引用的包、差分包和解压目录
+ */
+async function removeLocalRelease(platform, labelOrVersion, options) {
+  const releasesDir = getLocalReleasesDir(platform, options.deployment);
+  const releasesFile = path.join(releasesDir, 'releases.json');
+  if (!await fs.pathExists(releasesFile)) {
+    return null;
+  }
+
+  const releases = withLabels(await fs.readJson(releasesFile));
+  const release = findRelease(releases, labelOrVersion);
+  if (!release) {
+    return null;
+  }
+  if (release === releases[0] && !options.force) {
+    throw new Error(`${release.label} is the latest release, publish or roll back first, or use --force`);
+  }
+
+  const remaining = releases.filter(other => other !== release);
+  await fs.writeJson(releasesFile, remaining, { spaces: 2 });
+
+  // 推送到其他部署的发布仍引用这里的包
+  const deployments = await listLocalDeployments();
+  const referenced = getReferencedPackages(deployments.flatMap(deployment => deployment.releases));
+  for (const file of [release.packageUrl, release.diffPackage]) {
+    if (file && !referenced.has(path.resolve(file))) {
+      await fs.remove(file);
+    }
+  }
+  await fs.remove(path.join(releasesDir, `extracted-${release.label}`));
+
+  return release;
+}
+
+module.exports = {
+  rm: removeReleaseCommand
+};
@@ -3,6 +3,9 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const ora = require('ora');
+const { createApiClient, describeApiError } = require('../utils/api');
+const { isRemoteServer, getLocalReleasesDir, getDeploymentKey, resolveDeployment } = require('../utils/project');
+const { withLabels, nextLabel, findRelease, describeRelease } = require('../utils/releases');
 
 const CONFIG_FILE = 'lynx-update.json';
 
@@ -20,13 +23,21 @@ async function rollbackCommand(options) {
     ? config.platforms 
     : [options.platform];
 
+  // 未指定时与 publish 使用同一个默认部署
+  options = { ...options, deployment: resolveDeployment(config, options.deployment, platforms) };
+
   for (const platform of platforms) {
     if (!config.platforms.includes(platform)) {
       console.log(chalk.yellow(`⚠ Platform ${platform} not configured. Skipping...`));
       continue;
     }
 
-    const releasesDir = path.join(process.cwd(), '.lynx-releases', platform);
+    if (isRemoteServer(config)) {
+      await rollbackRemote(config, platform, options);
+      continue;
+    }
+
+    const releasesDir = getLocalReleasesDir(platform, options.deployment);
     const releasesFile = path.join(releasesDir, 'releases.json');
 
     if (!fs.existsSync(releasesFile)) {
@@ -34,51 +45,42 @@ async function rollbackCommand(options) {
       continue;
     }
 
-    const releases = await fs.readJson(releasesFile);
+    const releases = withLabels(await fs.readJson(releasesFile));
+    const candidates = getRollbackCandidates(releases);
     
-    if (releases.length < 2) {
+    if (candidates.length === 0) {
       console.log(chalk.yellow(`⚠ No previous version to rollback to for ${platform}.`));
       continue;
     }
 
-    let targetVersion = options.version;
-    
-    if (!targetVersion) {
-      // Show available versions
-      const choices = releases.slice(1).map((r, i) => ({
-        name: `${r.version} (${new Date(r.createdAt).toLocaleString()})`,
-        value: r.version
-      }));
-
-      const answer = await inquirer.prompt([{
-        type: 'list',
-        name: 'version',
-        message: `Select version to rollback to (${platform}):`,
-        choices
-      }]);
-      
-      targetVersion = answer.version;
-    }
+    const target = options.version || await promptRollbackTarget(platform, candidates);
 
-    const spinner = ora(`Rolling back ${platform} to ${targetVersion}...`).start();
+    const spinner = ora(`Rolling back ${platform} to ${target}...`).start();
 
     try {
-      const targetRelease = releases.find(r => r.version === targetVersion);
+      const targetRelease = findRelease(candidates, target);
       
       if (!targetRelease) {
-        spinner.fail(chalk.red(`Version ${targetVersion} not found for ${platform}`));
+        spinner.fail(chalk.red(`Release ${target} not found for ${platform}`));
         continue;
       }
 
-      // Move target release to top (make it current)
-      const newReleases = [
-        { ...targetRelease, rolledBackAt: new Date().toISOString() },
-        ...releases.filter(r => r.version !== targetVersion)
-      ];
+      // Publish the old package as a new release, history stays untouched
+      const rollbackRelease = {
+        ...targetRelease,
+        label: nextLabel(releases),
+        releaseMethod: 'rollback',
+        rolledBackFrom: releases[0].label,
+        rollout: 100,
+        ramp: null,
+        rampStartedAt: null,
+        disabled: false,
+        createdAt: new Date().toISOString()
+      };
       
-      await fs.writeJson(releasesFile, newReleases, { spaces: 2 });
+      await fs.writeJson(releasesFile, [rollbackRelease, ...releases], { spaces: 2 });
 
-      spinner.succeed(chalk.green(`Rolled back ${platform} to ${targetVersion}`));
+      spinner.succeed(chalk.green(`Rolled back ${platform} to ${describeRelease(targetRelease)} as ${rollbackRelease.label}`));
 
     } catch (error) {
       spinner.fail(chalk.red(`Failed to rollback ${platform}`));
@@ -90,4 +92,72 @@ async function rollbackCommand(options) {
   console.log(chalk.gray('  Users will receive the previous version on next app launch.'));
 }
 
+/**
+ * 在服务器上回滚：用旧版本的包创建新发布，历史记录保持不变
+ */
+async function rollbackRemote(config, platform, options) {
+  const api = await createApiClient(config.serverUrl);
+  const deploymentKey = getDeploymentKey(config, platform, options.deployment);
+  if (!deploymentKey) {
+    console.log(chalk.yellow(`⚠ Deployment ${options.deployment} not configured for ${platform}. Skipping...`));
+    return;
+  }
+
+  let releases;
+  try {
+    const { data } = await api.get(`/api/releases/${deploymentKey}/${platform}`);
+    releases = data.releases;
+  } catch (error) {
+    console.log(chalk.red(`✗ Failed to load releases for ${platform}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+    return;
+  }
+
+  const candidates = getRollbackCandidates(releases);
+  if (candidates.length === 0) {
+    console.log(chalk.yellow(`⚠ No previous version to rollback to for ${platform}.`));
+    return;
+  }
+
+  const target = options.version || await promptRollbackTarget(platform, candidates);
+
+  const spinner = ora(`Rolling back ${platform} to ${target}...`).start();
+
+  try {
+    const { data } = await api.post(`/api/releases/${deploymentKey}/${platform}/rollback`, {
+      version: target,
+      reason: options.reason
+    });
+    spinner.succeed(chalk.green(
+      `Rolled back ${platform} from ${data.rolledBackFromLabel} to ${data.release.version} as ${data.release.label}`
+    ));
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to rollback ${platform}`));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+/**
+ * 可以回滚到的发布：内容与当前发布不同的旧发布
+ */
+function getRollbackCandidates(releases) {
+  return releases.filter(r => r.hash !== releases[0].hash);
+}
+
+async function promptRollbackTarget(platform, candidates) {
+  const choices = candidates.map(release => ({
+    name: `${describeRelease(release)} (${new Date(release.createdAt).toLocaleString()})`,
+    value: release.label
+  }));
+
+  const answer = await inquirer.prompt([{
+    type: 'list',
+    name: 'release',
+    message: `Select release to rollback to (${platform}):`,
+    choices
+  }]);
+
+  return answer.release;
+}
+
 module.exports = rollbackCommand;
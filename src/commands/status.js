@@ -1,6 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { describeApiError } = require('../utils/api');
+const { loadReleases, resolveDeployment } = require('../utils/project');
+const { describeHealth } = require('../utils/health');
+const { getRampState, describeRamp } = require('../utils/ramp');
 
 const CONFIG_FILE = 'lynx-update.json';
 
@@ -18,6 +22,9 @@ async function statusCommand(options) {
     ? config.platforms 
     : [options.platform];
 
+  // 未指定时与 publish 使用同一个默认部署
+  options = { ...options, deployment: resolveDeployment(config, options.deployment, platforms) };
+
   console.log(chalk.cyan('\n📊 Deployment Status\n'));
   console.log(chalk.white('App:     ') + chalk.yellow(config.appName || config.appKey));
   console.log(chalk.white('Server:  ') + chalk.yellow(config.serverUrl));
@@ -28,17 +35,15 @@ async function statusCommand(options) {
       continue;
     }
 
-    console.log(chalk.cyan(`━━━ ${platform.toUpperCase()} ━━━`));
-
-    const releasesDir = path.join(process.cwd(), '.lynx-releases', platform);
-    const releasesFile = path.join(releasesDir, 'releases.json');
+    console.log(chalk.cyan(`━━━ ${platform.toUpperCase()} (${options.deployment}) ━━━`));
 
-    if (!fs.existsSync(releasesFile)) {
-      console.log(chalk.gray('  No releases yet.\n'));
+    let releases;
+    try {
+      releases = await loadReleases(config, platform, options.deployment);
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Failed to load releases: ${describeApiError(error)}\n`));
       continue;
     }
-
-    const releases = await fs.readJson(releasesFile);
     
     if (releases.length === 0) {
       console.log(chalk.gray('  No releases yet.\n'));
@@ -47,11 +52,25 @@ async function statusCommand(options) {
 
     // Current version
     const current = releases[0];
-    console.log(chalk.white('  Current Version: ') + chalk.green(current.version));
+    console.log(chalk.white('  Current Version: ') + chalk.green(`${current.version} (${current.label})`));
     console.log(chalk.white('  Released:        ') + chalk.gray(formatDate(current.createdAt)));
-    console.log(chalk.white('  Rollout:         ') + chalk.gray(`${current.rollout}%`));
+    const ramp = getRampState(current);
+    console.log(chalk.white('  Rollout:         ') + chalk.gray(`${ramp ? ramp.step.rollout : current.rollout}%`));
+    if (ramp) {
+      console.log(chalk.white('  Ramp:            ') + chalk.gray(describeRamp(current.ramp)));
+      console.log(chalk.white('  Ramp Step:       ') + chalk.gray(`${ramp.index + 1}/${current.ramp.length}`) + describeNextStep(current, ramp));
+    }
     console.log(chalk.white('  Mandatory:       ') + chalk.gray(current.mandatory ? 'Yes' : 'No'));
+    if (current.disabled) {
+      console.log(chalk.white('  Disabled:        ') + chalk.red('Yes'));
+    }
     console.log(chalk.white('  Size:            ') + chalk.gray(formatSize(current.size)));
+    if (current.haltedAt) {
+      console.log(chalk.white('  Halted:          ') + chalk.red(`${formatDate(current.haltedAt)} - ${current.haltReason}`));
+      console.log(chalk.gray(`                   Run "lynx-update patch ${current.label} --resume" once fixed.`));
+    } else if (current.healthPolicy) {
+      console.log(chalk.white('  Health:          ') + chalk.gray(describeHealth(current)));
+    }
 
     // Recent releases
     if (releases.length > 1) {
@@ -59,7 +78,8 @@ async function statusCommand(options) {
       releases.slice(0, 5).forEach((release, index) => {
         const marker = index === 0 ? chalk.green('●') : chalk.gray('○');
         const date = formatDate(release.createdAt);
-        console.log(`    ${marker} ${release.version} - ${date}`);
+        const halted = release.haltedAt ? chalk.red(' (halted)') : '';
+        console.log(`    ${marker} ${release.label} ${release.version} - ${date}${halted}`);
       });
     }
 
@@ -67,6 +87,12 @@ async function statusCommand(options) {
   }
 }
 
+function describeNextStep(release, ramp) {
+  if (!ramp.next) return chalk.green(' (complete)');
+  if (release.haltedAt) return chalk.red(' (stopped, release halted)');
+  return chalk.gray(`, next ${ramp.next.rollout}% at ${formatDate(ramp.nextAt)}`);
+}
+
 function formatDate(dateStr) {
   const date = new Date(dateStr);
   return date.toLocaleString();
@@ -0,0 +1,123 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { resolveServerUrl, createApiClient, describeApiError } = require('../utils/api');
+const { loadProjectConfig, resolveDeployment } = require('../utils/project');
+
+/**
+ * 管理部署的测试名单（设备 ID 或用户 ID）
+ * 允许名单中的设备不受定向规则和灰度比例限制，也能收到 --testers-only 的发布；拒绝名单中的设备收不到更新
+ * 指定 --release 时只对该发布有效
+ */
+
+async function getContext(options) {
+  const serverUrl = await resolveServerUrl(options.server);
+  if (!serverUrl) {
+    console.log(chalk.red('✗ No server URL given.'));
+    console.log(chalk.gray('  Use --server <url>, or run it inside an initialized project.'));
+    return null;
+  }
+
+  const config = await loadProjectConfig();
+  const appName = options.app || (config && config.appKey);
+  if (!appName) {
+    console.log(chalk.red('✗ No app given.'));
+    console.log(chalk.gray('  Use --app <name>, or run it inside an initialized project.'));
+    return null;
+  }
+
+  // 当前项目的应用与 publish 使用同一个默认部署，其他应用默认 production
+  const deployment = config && appName === config.appKey
+    ? resolveDeployment(config, options.deployment)
+    : options.deployment || 'production';
+
+  return {
+    api: await createApiClient(serverUrl),
+    appName,
+    deployment,
+    path: `/api/apps/${encodeURIComponent(appName)}/deployments/${encodeURIComponent(deployment)}/testers`
+  };
+}
+
+function toRequest(ids, options) {
+  return {
+    ids,
+    type: options.user ? 'user' : 'device',
+    list: options.deny ? 'deny' : 'allow',
+    release: options.release,
+    name: options.name
+  };
+}
+
+function describeTarget(options) {
+  const list = options.deny ? 'denylist' : 'allowlist';
+  return options.release ? `${list} of ${options.release}` : list;
+}
+
+async function addTestersCommand(ids, options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  const spinner = ora(`Adding ${ids.length} ${options.user ? 'user' : 'device'}(s) to ${context.deployment}...`).start();
+
+  try {
+    const { data } = await context.api.post(context.path, toRequest(ids, options));
+    spinner.succeed(chalk.green(`Added ${data.added} to the ${describeTarget(options)} of ${context.deployment}`));
+    if (data.added < ids.length) {
+      console.log(chalk.gray(`  ${ids.length - data.added} already listed.`));
+    }
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to add testers'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function removeTestersCommand(ids, options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  const spinner = ora(`Removing ${ids.length} ${options.user ? 'user' : 'device'}(s) from ${context.deployment}...`).start();
+
+  try {
+    const { data } = await context.api.delete(context.path, { data: toRequest(ids, options) });
+    spinner.succeed(chalk.green(`Removed ${data.removed} from the ${describeTarget(options)} of ${context.deployment}`));
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to remove testers'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+async function listTestersCommand(options) {
+  const context = await getContext(options);
+  if (!context) return;
+
+  try {
+    const { data } = await context.api.get(context.path);
+
+    console.log(chalk.cyan(`\n🧪 Testers of ${context.appName} (${context.deployment})\n`));
+    if (data.testers.length === 0) {
+      console.log(chalk.gray('  Nobody listed yet. Add devices with "lynx-update testers add <device-id>".\n'));
+      return;
+    }
+
+    for (const tester of data.testers) {
+      const list = tester.list === 'deny' ? chalk.red('deny ') : chalk.green('allow');
+      console.log(
+        `  ${list}  ` +
+        chalk.white(tester.type.padEnd(8)) +
+        chalk.yellow(tester.value.padEnd(40)) +
+        chalk.gray(tester.release ? `only ${tester.release}` : 'all releases') +
+        (tester.name ? chalk.gray(`  ${tester.name}`) : '')
+      );
+    }
+    console.log('');
+  } catch (error) {
+    console.log(chalk.red('✗ Failed to list testers'));
+    console.error(chalk.gray(`  ${describeApiError(error)}`));
+  }
+}
+
+module.exports = {
+  add: addTestersCommand,
+  list: listTestersCommand,
+  remove: removeTestersCommand
+};
@@ -8,5 +8,6 @@ module.exports = {
   server: require('./commands/server'),
   promote: require('./commands/promote'),
   patch: require('./commands/patch'),
-  history: require('./commands/history')
+  history: require('./commands/history'),
+  keygen: require('./commands/keygen')
 };
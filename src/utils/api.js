@@ -0,0 +1,77 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const { getAccessKey, normalizeServerUrl } = require('./credentials');
+
+/**
+ * 管理接口客户端
+ * 自动带上已登录的访问密钥
+ */
+
+const CONFIG_FILE = 'lynx-update.json';
+
+/**
+ * 确定服务器地址：命令行参数优先，否则使用项目配置
+ * @param {string} serverUrl 命令行传入的地址
+ * @returns {Promise<string|null>} 服务器地址
+ */
+async function resolveServerUrl(serverUrl) {
+  if (serverUrl) {
+    return normalizeServerUrl(serverUrl);
+  }
+
+  const configPath = path.join(process.cwd(), CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  const config = await fs.readJson(configPath);
+  return config.serverUrl ? normalizeServerUrl(config.serverUrl) : null;
+}
+
+/**
+ * 创建服务器 API 客户端
+ * @param {string} serverUrl 服务器地址
+ * @param {Object} options accessKey 覆盖已保存的密钥
+ * @returns {Promise<import('axios').AxiosInstance>}
+ */
+async function createApiClient(serverUrl, options = {}) {
+  const accessKey = options.accessKey || await getAccessKey(serverUrl);
+  const headers = {};
+  if (accessKey) {
+    headers.Authorization = `Bearer ${accessKey}`;
+  }
+
+  return axios.create({
+    baseURL: normalizeServerUrl(serverUrl),
+    headers
+  });
+}
+
+/**
+ * 把请求错误转换为可读的提示
+ * @param {Error} error axios 错误
+ * @returns {string} 错误信息
+ */
+function describeApiError(error) {
+  const response = error.response;
+  if (!response) {
+    return error.message;
+  }
+
+  const message = (response.data && response.data.error) || `HTTP ${response.status}`;
+  if (response.status === 401) {
+    return `${message} (run "lynx-update login" first)`;
+  }
+  // 服务器错误附上请求 ID，便于在服务器日志中查找
+  const requestId = response.headers && response.headers['x-request-id'];
+  if (response.status >= 500 && requestId) {
+    return `${message} (request ID ${requestId})`;
+  }
+  return message;
+}
+
+module.exports = {
+  resolveServerUrl,
+  createApiClient,
+  describeApiError
+};
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 服务器访问密钥
+ * 按服务器地址保存在用户目录下，不写入项目的 lynx-update.json，避免被提交到仓库
+ */
+
+const CREDENTIALS_FILE = path.join(os.homedir(), '.lynx-update', 'credentials.json');
+
+function normalizeServerUrl(serverUrl) {
+  return String(serverUrl).replace(/\/+$/, '');
+}
+
+async function readCredentials() {
+  if (!await fs.pathExists(CREDENTIALS_FILE)) {
+    return { servers: {} };
+  }
+  const credentials = await fs.readJson(CREDENTIALS_FILE);
+  return { servers: {}, ...credentials };
+}
+
+async function writeCredentials(credentials) {
+  await fs.ensureDir(path.dirname(CREDENTIALS_FILE));
+  await fs.writeJson(CREDENTIALS_FILE, credentials, { spaces: 2, mode: 0o600 });
+}
+
+/**
+ * 获取服务器的访问密钥
+ * 环境变量 LYNX_ACCESS_KEY 优先，方便在 CI 中使用
+ * @param {string} serverUrl 服务器地址
+ * @returns {Promise<string|null>} 访问密钥
+ */
+async function getAccessKey(serverUrl) {
+  if (process.env.LYNX_ACCESS_KEY) {
+    return process.env.LYNX_ACCESS_KEY;
+  }
+  const credentials = await readCredentials();
+  const entry = credentials.servers[normalizeServerUrl(serverUrl)];
+  return entry ? entry.accessKey : null;
+}
+
+/**
+ * 保存登录信息
+ * @param {string} serverUrl 服务器地址
+ * @param {Object} entry { accessKey, name, scopes, app }
+ */
+async function saveAccessKey(serverUrl, entry) {
+  const credentials = await readCredentials();
+  credentials.servers[normalizeServerUrl(serverUrl)] = {
+    ...entry,
+    savedAt: new Date().toISOString()
+  };
+  await writeCredentials(credentials);
+}
+
+/**
+ * 删除登录信息
+ * @returns {Promise<boolean>} 是否存在并已删除
+ */
+async function removeAccessKey(serverUrl) {
+  const credentials = await readCredentials();
+  const key = normalizeServerUrl(serverUrl);
+  if (!credentials.servers[key]) {
+    return false;
+  }
+  delete credentials.servers[key];
+  await writeCredentials(credentials);
+  return true;
+}
+
+module.exports = {
+  CREDENTIALS_FILE,
+  normalizeServerUrl,
+  getAccessKey,
+  saveAccessKey,
+  removeAccessKey
+};
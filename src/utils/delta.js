@@ -0,0 +1,224 @@
+/**
+ * 二进制差分工具
+ * 对旧文件按块建立滚动哈希索引，在新文件中查找相同的字节块，
+ * 生成 COPY（引用旧文件片段）/ INSERT（新增字节）指令组成的补丁
+ *
+ * 补丁格式:
+ *   MAGIC(8) VERSION(1) OLD_SIZE(6) NEW_SIZE(6)
+ *   { OP_COPY(1) OFFSET(6) LENGTH(6) | OP_INSERT(1) LENGTH(6) DATA(LENGTH) }*
+ *   OP_END(1)
+ */
+
+const MAGIC = Buffer.from('LYNXDIFF');
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = MAGIC.length + 1 + 6 + 6;
+
+const OP_END = 0x00;
+const OP_COPY = 0x01;
+const OP_INSERT = 0x02;
+
+const MIN_BLOCK_SIZE = 32;
+const MAX_INDEX_ENTRIES = 1 << 20;
+const HASH_BASE = 257;
+
+/**
+ * 根据旧文件大小选择块大小，控制索引条目数量
+ * @param {number} size 旧文件大小
+ * @returns {number} 块大小
+ */
+function chooseBlockSize(size) {
+  return Math.max(MIN_BLOCK_SIZE, Math.ceil(size / MAX_INDEX_ENTRIES));
+}
+
+function hashWindow(buffer, start, length) {
+  let hash = 0;
+  for (let i = 0; i < length; i++) {
+    hash = (Math.imul(hash, HASH_BASE) + buffer[start + i]) | 0;
+  }
+  return hash;
+}
+
+function powBase(length) {
+  let pow = 1;
+  for (let i = 0; i < length - 1; i++) {
+    pow = Math.imul(pow, HASH_BASE);
+  }
+  return pow;
+}
+
+/**
+ * 生成补丁
+ * @param {Buffer} oldBuffer 旧文件内容
+ * @param {Buffer} newBuffer 新文件内容
+ * @returns {Buffer} 补丁内容
+ */
+function createPatch(oldBuffer, newBuffer) {
+  const blockSize = chooseBlockSize(oldBuffer.length);
+  const ops = [];
+
+  // 旧文件按块建立索引（同一哈希保留第一次出现的位置）
+  const index = new Map();
+  for (let offset = 0; offset + blockSize <= oldBuffer.length; offset += blockSize) {
+    const hash = hashWindow(oldBuffer, offset, blockSize);
+    if (!index.has(hash)) {
+      index.set(hash, offset);
+    }
+  }
+
+  const pow = powBase(blockSize);
+  let literalStart = 0;
+  let position = 0;
+  let hash = newBuffer.length >= blockSize ? hashWindow(newBuffer, 0, blockSize) : 0;
+
+  while (position + blockSize <= newBuffer.length) {
+    const candidate = index.get(hash);
+
+    if (candidate !== undefined &&
+        oldBuffer.compare(newBuffer, position, position + blockSize, candidate, candidate + blockSize) === 0) {
+      // 向前扩展，吃掉尚未输出的字面量
+      let oldStart = candidate;
+      let newStart = position;
+      while (oldStart > 0 && newStart > literalStart && oldBuffer[oldStart - 1] === newBuffer[newStart - 1]) {
+        oldStart--;
+        newStart--;
+      }
+
+      // 向后扩展
+      let oldEnd = candidate + blockSize;
+      let newEnd = position + blockSize;
+      while (oldEnd < oldBuffer.length && newEnd < newBuffer.length && oldBuffer[oldEnd] === newBuffer[newEnd]) {
+        oldEnd++;
+        newEnd++;
+      }
+
+      if (newStart > literalStart) {
+        ops.push({ type: OP_INSERT, start: literalStart, length: newStart - literalStart });
+      }
+      pushCopy(ops, oldStart, newEnd - newStart);
+
+      position = newEnd;
+      literalStart = newEnd;
+      if (position + blockSize <= newBuffer.length) {
+        hash = hashWindow(newBuffer, position, blockSize);
+      }
+      continue;
+    }
+
+    // 滚动一个字节
+    if (position + blockSize < newBuffer.length) {
+      hash = (Math.imul(hash - Math.imul(newBuffer[position], pow), HASH_BASE) + newBuffer[position + blockSize]) | 0;
+    }
+    position++;
+  }
+
+  if (literalStart < newBuffer.length) {
+    ops.push({ type: OP_INSERT, start: literalStart, length: newBuffer.length - literalStart });
+  }
+
+  return encodePatch(ops, oldBuffer.length, newBuffer);
+}
+
+function pushCopy(ops, offset, length) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === OP_COPY && last.offset + last.length === offset) {
+    last.length += length;
+    return;
+  }
+  ops.push({ type: OP_COPY, offset, length });
+}
+
+function encodePatch(ops, oldSize, newBuffer) {
+  const chunks = [];
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header.writeUInt8(FORMAT_VERSION, MAGIC.length);
+  header.writeUIntBE(oldSize, MAGIC.length + 1, 6);
+  header.writeUIntBE(newBuffer.length, MAGIC.length + 7, 6);
+  chunks.push(header);
+
+  for (const op of ops) {
+    if (op.type === OP_COPY) {
+      const instruction = Buffer.alloc(13);
+      instruction.writeUInt8(OP_COPY, 0);
+      instruction.writeUIntBE(op.offset, 1, 6);
+      instruction.writeUIntBE(op.length, 7, 6);
+      chunks.push(instruction);
+    } else {
+      const instruction = Buffer.alloc(7);
+      instruction.writeUInt8(OP_INSERT, 0);
+      instruction.writeUIntBE(op.length, 1, 6);
+      chunks.push(instruction, newBuffer.subarray(op.start, op.start + op.length));
+    }
+  }
+
+  chunks.push(Buffer.from([OP_END]));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 应用补丁
+ * @param {Buffer} oldBuffer 旧文件内容
+ * @param {Buffer} patch 补丁内容
+ * @returns {Buffer} 新文件内容
+ */
+function applyPatch(oldBuffer, patch) {
+  if (patch.length < HEADER_SIZE + 1 || patch.compare(MAGIC, 0, MAGIC.length, 0, MAGIC.length) !== 0) {
+    throw new Error('Invalid patch: bad header');
+  }
+
+  const version = patch.readUInt8(MAGIC.length);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported patch version: ${version}`);
+  }
+
+  const oldSize = patch.readUIntBE(MAGIC.length + 1, 6);
+  const newSize = patch.readUIntBE(MAGIC.length + 7, 6);
+  if (oldSize !== oldBuffer.length) {
+    throw new Error(`Patch expects base of ${oldSize} bytes, got ${oldBuffer.length}`);
+  }
+
+  const output = Buffer.alloc(newSize);
+  let written = 0;
+  let cursor = HEADER_SIZE;
+
+  while (cursor < patch.length) {
+    const op = patch.readUInt8(cursor++);
+
+    if (op === OP_END) {
+      if (written !== newSize) {
+        throw new Error('Invalid patch: output size mismatch');
+      }
+      return output;
+    }
+
+    if (op === OP_COPY) {
+      const offset = patch.readUIntBE(cursor, 6);
+      const length = patch.readUIntBE(cursor + 6, 6);
+      cursor += 12;
+      if (offset + length > oldBuffer.length || written + length > newSize) {
+        throw new Error('Invalid patch: copy out of range');
+      }
+      oldBuffer.copy(output, written, offset, offset + length);
+      written += length;
+    } else if (op === OP_INSERT) {
+      const length = patch.readUIntBE(cursor, 6);
+      cursor += 6;
+      if (cursor + length > patch.length || written + length > newSize) {
+        throw new Error('Invalid patch: insert out of range');
+      }
+      patch.copy(output, written, cursor, cursor + length);
+      cursor += length;
+      written += length;
+    } else {
+      throw new Error(`Invalid patch: unknown op ${op}`);
+    }
+  }
+
+  throw new Error('Invalid patch: unexpected end');
+}
+
+module.exports = {
+  createPatch,
+  applyPatch
+};
@@ -1,12 +1,20 @@
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
+const { createPatch, applyPatch } = require('./delta');
 
 /**
  * 差分更新工具
  * 使用简单的文件级别差分，对比新旧版本的文件变化
+ * 开启 binary 模式时，修改的文件以字节级补丁（patch 条目）存储
  */
 
+// 差分包中存放补丁文件的目录
+const PATCH_DIR = '.lynx-patches';
+
+// 补丁超过新文件大小的这个比例就直接存整个文件
+const PATCH_SIZE_THRESHOLD = 0.9;
+
 /**
  * 生成两个目录之间的差分信息
  * @param {string} oldDir 旧版本目录
@@ -92,18 +100,65 @@ async function calculateFileHash(filePath) {
   });
 }
 
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * 为修改的文件生成字节级补丁
+ * 补丁不够小的文件仍然整体存储
+ * @param {string} oldDir 旧版本目录
+ * @param {string} newDir 新版本目录
+ * @param {Array} modified 修改的文件列表
+ * @returns {Object} { patched: 补丁条目, whole: 整体存储的文件 }
+ */
+async function createFilePatches(oldDir, newDir, modified) {
+  const patched = [];
+  const whole = [];
+
+  for (const relativePath of modified) {
+    const oldBuffer = await fs.readFile(path.join(oldDir, relativePath));
+    const newBuffer = await fs.readFile(path.join(newDir, relativePath));
+    const patch = createPatch(oldBuffer, newBuffer);
+
+    if (patch.length >= newBuffer.length * PATCH_SIZE_THRESHOLD) {
+      whole.push(relativePath);
+      continue;
+    }
+
+    patched.push({
+      path: relativePath,
+      type: 'patch',
+      patch: `${PATCH_DIR}/${relativePath}.patch`,
+      oldHash: hashBuffer(oldBuffer),
+      hash: hashBuffer(newBuffer),
+      size: newBuffer.length,
+      data: patch
+    });
+  }
+
+  return { patched, whole };
+}
+
 /**
  * 创建差分包
  * 只包含新增和修改的文件，以及一个 manifest 描述变化
  * @param {string} oldDir 旧版本目录
  * @param {string} newDir 新版本目录
  * @param {string} outputPath 输出路径
+ * @param {Object} options 选项，binary: 修改的文件生成字节级补丁
  * @returns {Object} 差分包信息
  */
-async function createDiffPackage(oldDir, newDir, outputPath) {
+async function createDiffPackage(oldDir, newDir, outputPath, options = {}) {
   const archiver = require('archiver');
   
   const diff = await generateDiff(oldDir, newDir);
+
+  let patched = [];
+  let modifiedWhole = diff.modified;
+  if (options.binary) {
+    ({ patched, whole: modifiedWhole } = await createFilePatches(oldDir, newDir, diff.modified));
+  }
   
   // 计算差分包大小节省
   let fullSize = 0;
@@ -115,10 +170,13 @@ async function createDiffPackage(oldDir, newDir, outputPath) {
     const stats = await fs.stat(filePath);
     fullSize += stats.size;
     
-    if (diff.added.includes(relativePath) || diff.modified.includes(relativePath)) {
+    if (diff.added.includes(relativePath) || modifiedWhole.includes(relativePath)) {
       diffSize += stats.size;
     }
   }
+  for (const entry of patched) {
+    diffSize += entry.data.length;
+  }
 
   return new Promise((resolve, reject) => {
     const output = fs.createWriteStream(outputPath);
@@ -127,6 +185,7 @@ async function createDiffPackage(oldDir, newDir, outputPath) {
     output.on('close', () => {
       resolve({
         diff,
+        patched: patched.map(entry => entry.path),
         fullSize,
         diffSize,
         savedBytes: fullSize - diffSize,
@@ -142,19 +201,25 @@ async function createDiffPackage(oldDir, newDir, outputPath) {
     const manifest = {
       type: 'diff',
       added: diff.added,
-      modified: diff.modified,
+      modified: modifiedWhole,
       deleted: diff.deleted,
+      patched: patched.map(({ data, ...entry }) => entry),
       timestamp: new Date().toISOString()
     };
     archive.append(JSON.stringify(manifest, null, 2), { name: 'diff-manifest.json' });
 
     // 只添加新增和修改的文件
-    const filesToInclude = [...diff.added, ...diff.modified];
+    const filesToInclude = [...diff.added, ...modifiedWhole];
     for (const relativePath of filesToInclude) {
       const filePath = path.join(newDir, relativePath);
       archive.file(filePath, { name: relativePath });
     }
 
+    // 添加补丁
+    for (const entry of patched) {
+      archive.append(entry.data, { name: entry.patch });
+    }
+
     archive.finalize();
   });
 }
@@ -191,11 +256,39 @@ async function applyDiffPackage(currentDir, diffPackagePath, outputDir) {
   const entries = zip.getEntries();
   for (const entry of entries) {
     if (entry.entryName === 'diff-manifest.json') continue;
+    if (entry.entryName.startsWith(`${PATCH_DIR}/`)) continue;
     
     const outputPath = path.join(outputDir, entry.entryName);
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, entry.getData());
   }
+
+  // 应用字节级补丁，校验基准文件和结果的哈希
+  for (const item of manifest.patched || []) {
+    const patchEntry = zip.getEntry(item.patch);
+    if (!patchEntry) {
+      throw new Error(`Invalid diff package: missing patch for ${item.path}`);
+    }
+
+    const basePath = path.join(currentDir, item.path);
+    if (!await fs.pathExists(basePath)) {
+      throw new Error(`Cannot apply patch: ${item.path} not found in current version`);
+    }
+
+    const oldBuffer = await fs.readFile(basePath);
+    if (item.oldHash && hashBuffer(oldBuffer) !== item.oldHash) {
+      throw new Error(`Cannot apply patch: ${item.path} does not match the expected base version`);
+    }
+
+    const newBuffer = applyPatch(oldBuffer, patchEntry.getData());
+    if (hashBuffer(newBuffer) !== item.hash) {
+      throw new Error(`Patch verification failed for ${item.path}`);
+    }
+
+    const outputPath = path.join(outputDir, item.path);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, newBuffer);
+  }
   
   return manifest;
 }
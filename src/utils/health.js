@@ -0,0 +1,116 @@
+/**
+ * 发布的健康策略
+ * 例如 { maxFailureRate: 5, minReports: 200, action: "disable" }：收到至少 200 次安装上报后，
+ * 失败率 failures / (installs + failures) 超过 5% 时自动暂停该发布
+ * action 为 disable 时禁用发布，为 freeze 时保持当前灰度比例不再扩大
+ */
+
+const HALT_ACTIONS = ['disable', 'freeze'];
+const DEFAULT_MIN_REPORTS = 200;
+
+/**
+ * 校验并规范化健康策略
+ * @param {Object|string|null} input 策略对象或 JSON 字符串
+ * @returns {Object|null} 规范化后的策略，未设置失败率上限时返回 null
+ */
+function normalizeHealthPolicy(input) {
+  if (input === null || input === undefined || input === '') {
+    return null;
+  }
+
+  let policy = input;
+  if (typeof input === 'string') {
+    try {
+      policy = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Health policy must be valid JSON');
+    }
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Health policy must be an object');
+  }
+
+  const maxFailureRate = Number(policy.maxFailureRate);
+  if (!Number.isFinite(maxFailureRate) || maxFailureRate <= 0 || maxFailureRate >= 100) {
+    throw new Error('maxFailureRate must be a percentage between 0 and 100');
+  }
+
+  const minReports = policy.minReports === undefined ? DEFAULT_MIN_REPORTS : Number(policy.minReports);
+  if (!Number.isInteger(minReports) || minReports < 1) {
+    throw new Error('minReports must be a positive integer');
+  }
+
+  const action = policy.action || 'disable';
+  if (!HALT_ACTIONS.includes(action)) {
+    throw new Error(`Health action must be one of ${HALT_ACTIONS.join(', ')}`);
+  }
+
+  return { maxFailureRate, minReports, action };
+}
+
+/**
+ * 按安装上报判断是否需要暂停发布
+ * @returns {string|null} 暂停原因，未超过阈值时返回 null
+ */
+function checkHealth(policy, installs, failures) {
+  if (!policy) return null;
+
+  const reports = installs + failures;
+  if (reports < policy.minReports) return null;
+
+  const failureRate = failures / reports * 100;
+  if (failureRate <= policy.maxFailureRate) return null;
+
+  return `Failure rate ${failureRate.toFixed(1)}% (${failures}/${reports}) exceeded ${policy.maxFailureRate}%`;
+}
+
+/**
+ * 从命令行选项（--max-failure-rate、--min-reports、--halt-action）构建策略
+ * @returns {Object|null|undefined} 未指定时返回 undefined，--max-failure-rate off 返回 null
+ */
+function healthPolicyFromOptions(options) {
+  if (options.maxFailureRate === undefined) {
+    if (options.minReports !== undefined || options.haltAction !== undefined) {
+      throw new Error('--min-reports and --halt-action need --max-failure-rate');
+    }
+    return undefined;
+  }
+  if (options.maxFailureRate === 'off') {
+    return null;
+  }
+  return normalizeHealthPolicy({
+    maxFailureRate: parseFloat(String(options.maxFailureRate).replace(/%$/, '')),
+    minReports: options.minReports !== undefined ? Number(options.minReports) : undefined,
+    action: options.haltAction
+  });
+}
+
+/**
+ * 策略的单行描述，用于命令行输出
+ */
+function describeHealthPolicy(policy) {
+  if (!policy) return 'none';
+  const action = policy.action === 'freeze' ? 'freeze rollout' : 'disable';
+  return `${action} above ${policy.maxFailureRate}% failures after ${policy.minReports} reports`;
+}
+
+/**
+ * 发布当前的健康状态，如 3/120 failed (2.5%), disable above 5% failures after 200 reports
+ */
+function describeHealth(release) {
+  const installs = release.installCount || 0;
+  const failures = release.failureCount || 0;
+  const reports = installs + failures;
+  const rate = reports > 0 ? ` (${(failures / reports * 100).toFixed(1)}%)` : '';
+  return `${failures}/${reports} failed${rate}, ${describeHealthPolicy(release.healthPolicy)}`;
+}
+
+module.exports = {
+  HALT_ACTIONS,
+  DEFAULT_MIN_REPORTS,
+  normalizeHealthPolicy,
+  checkHealth,
+  healthPolicyFromOptions,
+  describeHealthPolicy,
+  describeHealth
+};
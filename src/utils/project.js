@@ -0,0 +1,177 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createApiClient } = require('./api');
+const { withLabels } = require('./releases');
+
+/**
+ * 项目配置（lynx-update.json）中的部署密钥
+ * 服务器上的部署是唯一来源，这里只保存一份副本供 publish 和 SDK 集成使用
+ */
+
+const CONFIG_FILE = 'lynx-update.json';
+const PLATFORMS = ['android', 'ios'];
+const LOCAL_RELEASES_DIR = '.lynx-releases';
+
+async function loadProjectConfig() {
+  const configPath = path.join(process.cwd(), CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  return fs.readJson(configPath);
+}
+
+/**
+ * 部署在本地的发布目录（self-hosted 模式）
+ * production 沿用早期的 .lynx-releases/<platform>，其他部署为 .lynx-releases/<deployment>-<platform>
+ */
+function getLocalReleasesDir(platform, deployment = 'production') {
+  const folder = deployment === 'production' ? platform : `${deployment}-${platform}`;
+  return path.join(process.cwd(), LOCAL_RELEASES_DIR, folder);
+}
+
+/**
+ * 所有部署在本地的发布（self-hosted 模式）
+ * 推送只复制发布记录，包仍在源部署的目录中，删除包之前要检查所有部署的引用
+ * @returns {Promise<Object[]>} [{ dir, releasesFile, releases }]
+ */
+async function listLocalDeployments() {
+  const root = path.join(process.cwd(), LOCAL_RELEASES_DIR);
+  if (!await fs.pathExists(root)) return [];
+
+  const deployments = [];
+  for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+    const dir = path.join(root, entry.name);
+    const releasesFile = path.join(dir, 'releases.json');
+    if (!entry.isDirectory() || !await fs.pathExists(releasesFile)) continue;
+
+    deployments.push({ dir, releasesFile, releases: withLabels(await fs.readJson(releasesFile)) });
+  }
+  return deployments;
+}
+
+/**
+ * 发布引用的包和差分包的绝对路径
+ * @param {Object[]} releases
+ * @returns {Set<string>}
+ */
+function getReferencedPackages(releases) {
+  return new Set(releases.flatMap(release => [release.packageUrl, release.diffPackage])
+    .filter(Boolean)
+    .map(file => path.resolve(file)));
+}
+
+/**
+ * 配置中某个平台和部署的密钥，未配置时返回 null
+ */
+function getDeploymentKey(config, platform, deployment) {
+  const keys = config.deploymentKeys && config.deploymentKeys[platform];
+  return (keys && keys[deployment]) || null;
+}
+
+/**
+ * 未指定 --deployment 时使用的部署
+ * 涉及的平台都配置了 staging 时为 staging，否则为 production；
+ * publish 和查看、修改、回滚发布的命令使用同一规则，作用于刚发布的部署
+ * @param {Object} config 项目配置
+ * @param {string|undefined} deployment 命令行指定的部署
+ * @param {string[]} platforms 命令涉及的平台，默认为配置中的所有平台
+ */
+function resolveDeployment(config, deployment, platforms = config.platforms) {
+  if (deployment) return deployment;
+
+  const configured = platforms.filter(platform => config.platforms.includes(platform));
+  return configured.every(platform => getDeploymentKey(config, platform, 'staging')) ? 'staging' : 'production';
+}
+
+/**
+ * 是否使用远程服务器（self-hosted 模式只读写本地 .lynx-releases 目录）
+ */
+function isRemoteServer(config) {
+  return config.serverType !== 'self-hosted' && !!config.serverUrl;
+}
+
+/**
+ * 把服务器上的部署转换为配置中按平台划分的密钥
+ * 同一个部署密钥对所有平台有效，发布按平台区分
+ * @param {Object[]} deployments 服务器返回的部署
+ * @param {Object} existing 配置中已有的密钥
+ * @returns {Object} { android: { staging, production, ... }, ios: { ... } }
+ */
+function toDeploymentKeys(deployments, existing = {}) {
+  const unnamedKeys = new Set(deployments.filter(deployment => !deployment.name).map(deployment => deployment.key));
+  const deploymentKeys = {};
+
+  for (const platform of PLATFORMS) {
+    const keys = {};
+
+    // 保留仍在服务器上的未命名部署（早期客户端生成的密钥）
+    for (const [name, key] of Object.entries(existing[platform] || {})) {
+      if (unnamedKeys.has(key)) {
+        keys[name] = key;
+      }
+    }
+    for (const deployment of deployments) {
+      if (deployment.name) {
+        keys[deployment.name] = deployment.key;
+      }
+    }
+
+    deploymentKeys[platform] = keys;
+  }
+
+  return deploymentKeys;
+}
+
+/**
+ * 当前目录是该应用的项目时，用服务器上的部署更新配置
+ * @param {string} appName 应用名
+ * @param {Object[]} deployments 服务器返回的部署
+ * @returns {Promise<boolean>} 是否更新了配置
+ */
+async function syncDeploymentKeys(appName, deployments) {
+  const config = await loadProjectConfig();
+  if (!config || config.appKey !== appName) {
+    return false;
+  }
+
+  config.deploymentKeys = toDeploymentKeys(deployments, config.deploymentKeys);
+  config.updatedAt = new Date().toISOString();
+  await fs.writeJson(path.join(process.cwd(), CONFIG_FILE), config, { spaces: 2 });
+  return true;
+}
+
+/**
+ * 读取部署的发布列表，最新的在前
+ * 远程模式从服务器读取，self-hosted 模式读取本地 releases.json
+ */
+async function loadReleases(config, platform, deployment) {
+  if (isRemoteServer(config)) {
+    const deploymentKey = getDeploymentKey(config, platform, deployment);
+    if (!deploymentKey) {
+      throw new Error(`Deployment ${deployment} not configured`);
+    }
+    const api = await createApiClient(config.serverUrl);
+    const { data } = await api.get(`/api/releases/${deploymentKey}/${platform}`);
+    return data.releases;
+  }
+
+  const releasesFile = path.join(getLocalReleasesDir(platform, deployment), 'releases.json');
+  if (!fs.existsSync(releasesFile)) {
+    return [];
+  }
+  return withLabels(await fs.readJson(releasesFile));
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadProjectConfig,
+  isRemoteServer,
+  getLocalReleasesDir,
+  listLocalDeployments,
+  getReferencedPackages,
+  getDeploymentKey,
+  resolveDeployment,
+  loadReleases,
+  toDeploymentKeys,
+  syncDeploymentKeys
+};
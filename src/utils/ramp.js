@@ -0,0 +1,149 @@
+/**
+ * 灰度计划：按发布后经过的时间自动扩大灰度比例
+ * 例如 "1%@0h,10%@6h,50%@24h,100%@48h"，保存为 [{ rollout: 1, hours: 0 }, { rollout: 10, hours: 6 }, ...]
+ * 服务器在检查更新时按计划计算当前的灰度比例；发布被自动暂停后计划停在暂停时的那一步
+ */
+
+const STEP_PATTERN = /^(\d+)%?@(\d+(?:\.\d+)?)(m|h|d)$/;
+const UNIT_HOURS = { m: 1 / 60, h: 1, d: 24 };
+const HOUR = 3600 * 1000;
+
+function parseStep(text) {
+  const match = STEP_PATTERN.exec(text.trim());
+  if (!match) {
+    throw new Error(`Invalid ramp step "${text.trim()}", expected e.g. 10%@6h`);
+  }
+  return { rollout: parseInt(match[1]), hours: parseFloat(match[2]) * UNIT_HOURS[match[3]] };
+}
+
+/**
+ * 校验并规范化灰度计划
+ * @param {string|Object[]|null} input "1%@0h,10%@6h" 形式的字符串、JSON 字符串或步骤列表
+ * @returns {Object[]|null} 按时间排列的步骤
+ */
+function normalizeRamp(input) {
+  if (input === null || input === undefined || input === '') {
+    return null;
+  }
+
+  let steps = input;
+  if (typeof input === 'string') {
+    steps = input.trim().startsWith('[') ? parseJson(input) : input.split(',').map(parseStep);
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Ramp must be a non-empty list of steps');
+  }
+
+  const ramp = steps.map(step => ({ rollout: Number(step.rollout), hours: Number(step.hours) }));
+  ramp.forEach((step, index) => {
+    if (!Number.isInteger(step.rollout) || step.rollout < 1 || step.rollout > 100) {
+      throw new Error('Ramp rollout must be a whole percentage between 1 and 100');
+    }
+    if (!Number.isFinite(step.hours) || step.hours < 0) {
+      throw new Error('Ramp step time must not be negative');
+    }
+    const previous = ramp[index - 1];
+    if (previous && (step.hours <= previous.hours || step.rollout < previous.rollout)) {
+      throw new Error('Ramp steps must be in time order and must not lower the rollout');
+    }
+  });
+  if (ramp[0].hours !== 0) {
+    throw new Error('The first ramp step must start at 0h');
+  }
+
+  return ramp;
+}
+
+function parseJson(input) {
+  try {
+    return JSON.parse(input);
+  } catch (error) {
+    throw new Error('Ramp must be valid JSON or a list like 1%@0h,10%@6h');
+  }
+}
+
+/**
+ * 校验固定的灰度比例
+ * @param {number|string} input 0 到 100 的整数，上传表单和命令行传入字符串
+ * @returns {number}
+ */
+function normalizeRollout(input) {
+  const rollout = typeof input === 'string' && /^\s*\d+\s*$/.test(input) ? Number(input) : input;
+  if (!Number.isInteger(rollout) || rollout < 0 || rollout > 100) {
+    throw new Error(`Rollout must be a whole percentage between 0 and 100, got ${JSON.stringify(input)}`);
+  }
+  return rollout;
+}
+
+/**
+ * 发布在灰度计划中的位置
+ * 自动暂停的发布按暂停时间计算，不再继续扩大
+ * @returns {Object|null} { index, step, next, nextAt }，没有计划时返回 null
+ */
+function getRampState(release, now = Date.now()) {
+  if (!release.ramp || !release.rampStartedAt) return null;
+
+  const startedAt = new Date(release.rampStartedAt).getTime();
+  const time = release.haltedAt ? Math.min(now, new Date(release.haltedAt).getTime()) : now;
+  const elapsed = (time - startedAt) / HOUR;
+
+  let index = 0;
+  while (index + 1 < release.ramp.length && release.ramp[index + 1].hours <= elapsed) {
+    index++;
+  }
+
+  const next = release.ramp[index + 1] || null;
+  return {
+    index,
+    step: release.ramp[index],
+    next,
+    nextAt: next ? new Date(startedAt + next.hours * HOUR) : null
+  };
+}
+
+/**
+ * 当前生效的灰度比例
+ */
+function getEffectiveRollout(release, now = Date.now()) {
+  const state = getRampState(release, now);
+  return state ? state.step.rollout : release.rollout;
+}
+
+/**
+ * 修改灰度比例或计划时需要写入的字段
+ * 设置计划时从现在开始计时；手动指定比例会取消计划；取消计划时保留当前生效的比例
+ * @param {Object} release 现有发布
+ * @param {Object} patch { rollout, ramp }，ramp 为 null 表示取消计划
+ */
+function getRolloutChanges(release, { rollout, ramp }, now = Date.now()) {
+  if (ramp) {
+    return { ramp, rampStartedAt: new Date(now).toISOString(), rollout: ramp[0].rollout };
+  }
+  if (ramp === null || (rollout !== undefined && release.ramp)) {
+    return {
+      ramp: null,
+      rampStartedAt: null,
+      rollout: rollout !== undefined ? rollout : getEffectiveRollout(release, now)
+    };
+  }
+  return rollout !== undefined ? { rollout } : {};
+}
+
+/**
+ * 计划的单行描述，如 1%@0h → 10%@6h → 100%@2d
+ */
+function describeRamp(ramp) {
+  return ramp.map(step => {
+    const time = step.hours >= 24 && step.hours % 24 === 0 ? `${step.hours / 24}d` : `${+step.hours.toFixed(2)}h`;
+    return `${step.rollout}%@${time}`;
+  }).join(' → ');
+}
+
+module.exports = {
+  normalizeRollout,
+  normalizeRamp,
+  getRampState,
+  getEffectiveRollout,
+  getRolloutChanges,
+  describeRamp
+};
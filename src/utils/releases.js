@@ -0,0 +1,55 @@
+/**
+ * 发布标签
+ * 每个部署的发布按顺序编号为 v1、v2…，与内容版本号无关，同一版本号可以发布多次
+ */
+
+const LABEL_PATTERN = /^v(\d+)$/;
+
+function getLabelNumber(label) {
+  const match = LABEL_PATTERN.exec(label || '');
+  return match ? parseInt(match[1]) : 0;
+}
+
+/**
+ * 为早期没有标签的本地发布补上标签（releases 最新的在前，最旧的为 v1）
+ * @param {Object[]} releases 本地 releases.json 的内容
+ * @returns {Object[]} 每个发布都带有 label
+ */
+function withLabels(releases) {
+  return releases.map((release, index) => (
+    release.label ? release : { ...release, label: `v${releases.length - index}` }
+  ));
+}
+
+/**
+ * 本地部署的下一个标签
+ */
+function nextLabel(releases) {
+  const max = withLabels(releases).reduce((value, release) => Math.max(value, getLabelNumber(release.label)), 0);
+  return `v${max + 1}`;
+}
+
+/**
+ * 按标签或版本号查找发布，标签优先，同一版本有多个发布时取最新的
+ * @param {Object[]} releases 发布列表，最新的在前
+ * @param {string} labelOrVersion 如 v3 或 1.2.0
+ */
+function findRelease(releases, labelOrVersion) {
+  return releases.find(release => release.label === labelOrVersion) ||
+    releases.find(release => release.version === labelOrVersion) ||
+    null;
+}
+
+/**
+ * 发布的显示名称，如 v3 (1.2.0)
+ */
+function describeRelease(release) {
+  return release.label ? `${release.label} (${release.version})` : release.version;
+}
+
+module.exports = {
+  withLabels,
+  nextLabel,
+  findRelease,
+  describeRelease
+};
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const semver = require('semver');
+
+/**
+ * 发布的定向规则
+ * 例如 { osVersion: ">=14", deviceModel: ["Pixel 8"], locale: ["zh-CN"], attrs: { tier: "vip" } }
+ * 所有条件都满足的设备才会收到该发布；没有规则的发布对所有设备有效
+ */
+
+const RULE_KEYS = ['osVersion', 'deviceModel', 'locale', 'attrs'];
+
+function toList(value, name) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item === '')) {
+    throw new Error(`Rule ${name} must be a string or a non-empty list of strings`);
+  }
+  return list;
+}
+
+/**
+ * 校验并规范化规则
+ * @param {Object|string|null} input 规则对象或 JSON 字符串
+ * @returns {Object|null} 规范化后的规则，没有任何条件时返回 null
+ */
+function normalizeRules(input) {
+  if (input === null || input === undefined || input === '') {
+    return null;
+  }
+
+  let rules = input;
+  if (typeof input === 'string') {
+    try {
+      rules = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Rules must be valid JSON');
+    }
+  }
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Rules must be an object');
+  }
+
+  const unknown = Object.keys(rules).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown rule ${unknown[0]}, expected ${RULE_KEYS.join(', ')}`);
+  }
+
+  const normalized = {};
+
+  if (rules.osVersion !== undefined) {
+    if (typeof rules.osVersion !== 'string' || !semver.validRange(rules.osVersion)) {
+      throw new Error(`Rule osVersion must be a semver range, got ${JSON.stringify(rules.osVersion)}`);
+    }
+    normalized.osVersion = rules.osVersion;
+  }
+  if (rules.deviceModel !== undefined) {
+    normalized.deviceModel = toList(rules.deviceModel, 'deviceModel');
+  }
+  if (rules.locale !== undefined) {
+    normalized.locale = toList(rules.locale, 'locale');
+  }
+  if (rules.attrs !== undefined) {
+    if (!rules.attrs || typeof rules.attrs !== 'object' || Array.isArray(rules.attrs)) {
+      throw new Error('Rule attrs must be an object');
+    }
+    const attrs = {};
+    for (const [name, value] of Object.entries(rules.attrs)) {
+      attrs[name] = toList(value, `attrs.${name}`);
+    }
+    if (Object.keys(attrs).length > 0) {
+      normalized.attrs = attrs;
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function normalizeLocale(locale) {
+  return String(locale).replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * 语言区域匹配：zh-CN 只匹配 zh-CN，zh 匹配所有 zh-*
+ */
+function matchesLocale(patterns, locale) {
+  if (!locale) return false;
+  const value = normalizeLocale(locale);
+  return patterns.some(pattern => {
+    const expected = normalizeLocale(pattern);
+    return value === expected || value.startsWith(`${expected}-`);
+  });
+}
+
+/**
+ * 设备是否满足规则
+ * @param {Object|null} rules 发布的规则
+ * @param {Object} device 检查更新时上报的属性 { osVersion, deviceModel, locale, attrs }
+ */
+function matchesRules(rules, device = {}) {
+  if (!rules) return true;
+
+  if (rules.osVersion) {
+    const osVersion = semver.coerce(device.osVersion);
+    if (!osVersion || !semver.satisfies(osVersion, rules.osVersion)) return false;
+  }
+
+  if (rules.deviceModel) {
+    const model = String(device.deviceModel || '').toLowerCase();
+    if (!rules.deviceModel.some(expected => expected.toLowerCase() === model)) return false;
+  }
+
+  if (rules.locale && !matchesLocale(rules.locale, device.locale)) {
+    return false;
+  }
+
+  if (rules.attrs) {
+    const attrs = device.attrs || {};
+    for (const [name, values] of Object.entries(rules.attrs)) {
+      if (attrs[name] === undefined || attrs[name] === null) return false;
+      if (!values.includes(String(attrs[name]))) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * 读取规则文件（JSON）
+ * @param {string} filePath 规则文件路径
+ * @returns {Promise<Object|null>} 规范化后的规则
+ */
+async function loadRulesFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Rules file not found: ${filePath}`);
+  }
+  try {
+    return normalizeRules(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * 规则的单行描述，用于命令行输出
+ */
+function describeRules(rules) {
+  if (!rules) return 'all devices';
+  const parts = [];
+  if (rules.osVersion) parts.push(`os ${rules.osVersion}`);
+  if (rules.deviceModel) parts.push(`model ${rules.deviceModel.join('|')}`);
+  if (rules.locale) parts.push(`locale ${rules.locale.join('|')}`);
+  for (const [name, values] of Object.entries(rules.attrs || {})) {
+    parts.push(`${name}=${values.join('|')}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  normalizeRules,
+  matchesRules,
+  loadRulesFile,
+  describeRules
+};
@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+/**
+ * 更新包签名工具
+ * 使用 Ed25519 对包清单签名，客户端用内置公钥验证包的来源
+ */
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * 生成 Ed25519 密钥对
+ * @returns {Object} PEM 格式的 publicKey / privateKey
+ */
+function generateKeyPair() {
+  return crypto.generateKeyPairSync(SIGNATURE_ALGORITHM, {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+/**
+ * 生成待签名的包清单
+ * 字段顺序固定，保证签名端和验证端得到相同的字节
+ * @param {Object} info 包信息 (version, platform, hash, size)
+ * @returns {string} 规范化的清单字符串
+ */
+function createSignedManifest({ version, platform, hash, size }) {
+  return JSON.stringify({
+    version: String(version),
+    platform: String(platform),
+    hash: String(hash),
+    size: Number(size)
+  });
+}
+
+/**
+ * 使用私钥对清单签名
+ * @param {string} manifest 清单字符串
+ * @param {string} privateKeyPem PEM 格式私钥
+ * @returns {string} Base64 签名
+ */
+function signManifest(manifest, privateKeyPem) {
+  const key = crypto.createPrivateKey(privateKeyPem);
+  return crypto.sign(null, Buffer.from(manifest, 'utf8'), key).toString('base64');
+}
+
+/**
+ * 使用公钥验证清单签名
+ * @param {string} manifest 清单字符串
+ * @param {string} signature Base64 签名
+ * @param {string} publicKeyPem PEM 格式公钥
+ * @returns {boolean} 签名是否有效
+ */
+function verifyManifest(manifest, signature, publicKeyPem) {
+  try {
+    const key = crypto.createPublicKey(publicKeyPem);
+    return crypto.verify(null, Buffer.from(manifest, 'utf8'), key, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 读取私钥文件
+ * @param {string} keyPath 私钥路径
+ * @returns {string} PEM 格式私钥
+ */
+async function loadPrivateKey(keyPath) {
+  if (!await fs.pathExists(keyPath)) {
+    throw new Error(`Signing key not found: ${keyPath}`);
+  }
+  return fs.readFile(keyPath, 'utf8');
+}
+
+/**
+ * 公钥指纹，方便在命令行中核对
+ * @param {string} publicKeyPem PEM 格式公钥
+ * @returns {string} SHA256 指纹（前 16 位）
+ */
+function getKeyFingerprint(publicKeyPem) {
+  const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  generateKeyPair,
+  createSignedManifest,
+  signManifest,
+  verifyManifest,
+  loadPrivateKey,
+  getKeyFingerprint
+};
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createPatch, applyPatch } = require('../src/utils/delta');
+
+/**
+ * 可重复的伪随机字节，失败时便于复现
+ */
+function bytes(length, seed) {
+  const output = Buffer.alloc(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    output[i] = state >>> 16;
+  }
+  return output;
+}
+
+function roundTrip(oldBuffer, newBuffer) {
+  const patch = createPatch(oldBuffer, newBuffer);
+  assert.equal(applyPatch(oldBuffer, patch).compare(newBuffer), 0);
+  return patch;
+}
+
+describe('delta patches', () => {
+  const base = bytes(64 * 1024, 1);
+
+  it('round-trips identical files with a tiny patch', () => {
+    const patch = roundTrip(base, Buffer.from(base));
+    assert.ok(patch.length < 64, `patch is ${patch.length} bytes`);
+  });
+
+  it('round-trips inserts, deletions and replacements', () => {
+    const cases = {
+      insert: Buffer.concat([base.subarray(0, 1000), bytes(300, 2), base.subarray(1000)]),
+      prepend: Buffer.concat([bytes(17, 3), base]),
+      append: Buffer.concat([base, bytes(5, 4)]),
+      delete: Buffer.concat([base.subarray(0, 5000), base.subarray(9000)]),
+      replace: Buffer.concat([base.subarray(0, 20000), bytes(4000, 5), base.subarray(24000)]),
+      reorder: Buffer.concat([base.subarray(32768), base.subarray(0, 32768)])
+    };
+    for (const [name, changed] of Object.entries(cases)) {
+      const patch = roundTrip(base, changed);
+      assert.ok(patch.length < changed.length / 4, `${name} patch is ${patch.length} bytes`);
+    }
+  });
+
+  it('round-trips empty, short and unrelated files', () => {
+    roundTrip(Buffer.alloc(0), bytes(100, 6));
+    roundTrip(bytes(100, 7), Buffer.alloc(0));
+    roundTrip(Buffer.alloc(0), Buffer.alloc(0));
+    roundTrip(Buffer.from('short'), Buffer.from('shorter'));
+    roundTrip(bytes(5000, 8), bytes(5000, 9));
+  });
+
+  it('round-trips random edits', () => {
+    for (let i = 0; i < 20; i++) {
+      const start = crypto.randomInt(base.length);
+      const end = start + crypto.randomInt(base.length - start);
+      roundTrip(base, Buffer.concat([base.subarray(0, start), crypto.randomBytes(crypto.randomInt(500)), base.subarray(end)]));
+    }
+  });
+
+  it('rejects patches for a different base', () => {
+    const patch = createPatch(base, Buffer.concat([base, Buffer.from('x')]));
+    assert.throws(() => applyPatch(base.subarray(1), patch), /expects base of 65536 bytes/);
+  });
+
+  it('rejects corrupt patches', () => {
+    const patch = createPatch(base, Buffer.concat([base.subarray(0, 100), Buffer.from('new'), base.subarray(100)]));
+
+    assert.throws(() => applyPatch(base, Buffer.from('NOTADIFF0000000000000')), /bad header/);
+
+    const badVersion = Buffer.from(patch);
+    badVersion[8] = 9;
+    assert.throws(() => applyPatch(base, badVersion), /Unsupported patch version/);
+
+    assert.throws(() => applyPatch(base, patch.subarray(0, patch.length - 1)), /Invalid patch/);
+
+    const badOp = Buffer.from(patch);
+    badOp[21] = 0x7f;
+    assert.throws(() => applyPatch(base, badOp), /unknown op/);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeHealthPolicy,
+  checkHealth,
+  healthPolicyFromOptions,
+  describeHealth
+} = require('../src/utils/health');
+
+describe('normalizeHealthPolicy', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(normalizeHealthPolicy({ maxFailureRate: 5 }), { maxFailureRate: 5, minReports: 200, action: 'disable' });
+    assert.deepEqual(normalizeHealthPolicy('{"maxFailureRate":2.5,"minReports":10,"action":"freeze"}'),
+      { maxFailureRate: 2.5, minReports: 10, action: 'freeze' });
+    assert.equal(normalizeHealthPolicy(null), null);
+  });
+
+  it('rejects invalid policies', () => {
+    assert.throws(() => normalizeHealthPolicy({ maxFailureRate: 0 }), /between 0 and 100/);
+    assert.throws(() => normalizeHealthPolicy({ maxFailureRate: 100 }), /between 0 and 100/);
+    assert.throws(() => normalizeHealthPolicy({ maxFailureRate: 5, minReports: 0 }), /positive integer/);
+    assert.throws(() => normalizeHealthPolicy({ maxFailureRate: 5, action: 'explode' }), /must be one of/);
+    assert.throws(() => normalizeHealthPolicy('{'), /valid JSON/);
+    assert.throws(() => normalizeHealthPolicy([]), /must be an object/);
+  });
+});
+
+describe('checkHealth', () => {
+  const policy = normalizeHealthPolicy({ maxFailureRate: 5, minReports: 100 });
+
+  it('waits for the minimum number of reports', () => {
+    assert.equal(checkHealth(policy, 0, 99), null);
+    assert.match(checkHealth(policy, 0, 100), /Failure rate 100.0% \(100\/100\) exceeded 5%/);
+  });
+
+  it('halts only above the threshold', () => {
+    assert.equal(checkHealth(policy, 95, 5), null);
+    assert.match(checkHealth(policy, 94, 6), /6\.0%/);
+  });
+
+  it('never halts without a policy', () => {
+    assert.equal(checkHealth(null, 0, 1000), null);
+  });
+});
+
+describe('healthPolicyFromOptions', () => {
+  it('reads command line options', () => {
+    assert.equal(healthPolicyFromOptions({}), undefined);
+    assert.equal(healthPolicyFromOptions({ maxFailureRate: 'off' }), null);
+    assert.deepEqual(healthPolicyFromOptions({ maxFailureRate: '5%', minReports: '50', haltAction: 'freeze' }),
+      { maxFailureRate: 5, minReports: 50, action: 'freeze' });
+    assert.throws(() => healthPolicyFromOptions({ minReports: '50' }), /need --max-failure-rate/);
+  });
+
+  it('describes the current health', () => {
+    const release = { installCount: 117, failureCount: 3, healthPolicy: { maxFailureRate: 5, minReports: 200, action: 'disable' } };
+    assert.equal(describeHealth(release), '3/120 failed (2.5%), disable above 5% failures after 200 reports');
+  });
+});
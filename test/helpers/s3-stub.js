@@ -0,0 +1,234 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * 本地 S3 兼容服务，只实现存储适配器用到的接口
+ * 单个 bucket，对象保存在内存中；独立校验每个请求的 Signature V4（请求头签名和预签名 URL），
+ * 不复用 S3Storage 的签名代码，签名错误时返回 403 SignatureDoesNotMatch
+ * 列表接口每页最多返回 pageSize 个对象，用来覆盖分页
+ */
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseQuery(search) {
+  const query = {};
+  if (!search) return query;
+  for (const pair of search.split('&')) {
+    if (!pair) continue;
+    const index = pair.indexOf('=');
+    const name = decodeURIComponent(index < 0 ? pair : pair.substring(0, index));
+    query[name] = index < 0 ? '' : decodeURIComponent(pair.substring(index + 1).replace(/\+/g, '%20'));
+  }
+  return query;
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query)
+    .sort()
+    .map(name => `${encode(name)}=${encode(query[name])}`)
+    .join('&');
+}
+
+function signatureFor(secretAccessKey, { method, path, query, headers, signedHeaders, payloadHash, amzDate, scope }) {
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    signedHeaders.map(name => `${name}:${String(headers[name] || '').trim().replace(/\s+/g, ' ')}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const [date, region, service] = scope.split('/');
+  let key = hmac(`AWS4${secretAccessKey}`, date);
+  key = hmac(key, region);
+  key = hmac(key, service);
+  key = hmac(key, 'aws4_request');
+  return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+}
+
+/**
+ * 启动服务
+ * @param {Object} options bucket, accessKeyId, secretAccessKey, pageSize
+ * @returns {Promise<Object>} { endpoint, objects, requests, close() }
+ */
+async function startS3Stub({ bucket, accessKeyId, secretAccessKey, pageSize = 1000 }) {
+  const objects = new Map();
+  const requests = [];
+
+  const fail = (res, statusCode, code) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+  };
+
+  /**
+   * 校验签名，返回错误码，通过时返回 null
+   */
+  const verify = (req, path, query, body) => {
+    let credential, signedHeaders, signature, amzDate, payloadHash;
+    const signedQuery = { ...query };
+
+    if (query['X-Amz-Signature']) {
+      credential = query['X-Amz-Credential'];
+      signedHeaders = query['X-Amz-SignedHeaders'].split(';');
+      signature = query['X-Amz-Signature'];
+      amzDate = query['X-Amz-Date'];
+      payloadHash = UNSIGNED_PAYLOAD;
+      delete signedQuery['X-Amz-Signature'];
+
+      const issued = Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+      if (Date.now() > issued + parseInt(query['X-Amz-Expires']) * 1000) {
+        return 'AccessDenied';
+      }
+    } else {
+      const match = /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/
+        .exec(req.headers.authorization || '');
+      if (!match) return 'AccessDenied';
+      [, credential, signedHeaders, signature] = match;
+      signedHeaders = signedHeaders.split(';');
+      amzDate = req.headers['x-amz-date'];
+      payloadHash = req.headers['x-amz-content-sha256'];
+      if (payloadHash !== UNSIGNED_PAYLOAD && payloadHash !== sha256(body)) {
+        return 'XAmzContentSHA256Mismatch';
+      }
+    }
+
+    const [keyId, ...scopeParts] = credential.split('/');
+    if (keyId !== accessKeyId || !signedHeaders.includes('host')) return 'InvalidAccessKeyId';
+
+    const expected = signatureFor(secretAccessKey, {
+      method: req.method,
+      path,
+      query: signedQuery,
+      headers: req.headers,
+      signedHeaders,
+      payloadHash,
+      amzDate,
+      scope: scopeParts.join('/')
+    });
+    return expected === signature ? null : 'SignatureDoesNotMatch';
+  };
+
+  const list = (res, query) => {
+    const prefix = query.prefix || '';
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const start = query['continuation-token'] ? keys.indexOf(query['continuation-token']) : 0;
+    const page = keys.slice(start, start + pageSize);
+    const next = keys[start + pageSize];
+
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end([
+      '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>',
+      `<Name>${escapeXml(bucket)}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>`,
+      ...page.map(key => {
+        const object = objects.get(key);
+        return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.mtime.toISOString()}</LastModified>` +
+          `<Size>${object.body.length}</Size></Contents>`;
+      }),
+      `<IsTruncated>${next !== undefined}</IsTruncated>`,
+      next !== undefined ? `<NextContinuationToken>${escapeXml(next)}</NextContinuationToken>` : '',
+      '</ListBucketResult>'
+    ].join(''));
+  };
+
+  const handle = (req, res, body) => {
+    const [path, search] = req.url.split('?');
+    const query = parseQuery(search);
+    requests.push({ method: req.method, path, query, headers: req.headers });
+
+    const error = verify(req, path, query, body);
+    if (error) return fail(res, 403, error);
+
+    const segments = path.split('/').slice(1);
+    if (decodeURIComponent(segments[0]) !== bucket) return fail(res, 404, 'NoSuchBucket');
+    const key = segments.slice(1).map(decodeURIComponent).join('/');
+
+    if (!key) {
+      if (req.method === 'GET' && query['list-type'] === '2') return list(res, query);
+      return fail(res, 400, 'InvalidRequest');
+    }
+
+    const object = objects.get(key);
+    switch (req.method) {
+      case 'PUT': {
+        const metadata = {};
+        for (const [name, value] of Object.entries(req.headers)) {
+          if (name.startsWith('x-amz-meta-')) metadata[name] = value;
+        }
+        objects.set(key, { body, metadata, contentType: req.headers['content-type'], mtime: new Date() });
+        res.writeHead(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+        return res.end();
+      }
+      case 'DELETE':
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      case 'GET':
+      case 'HEAD': {
+        if (!object) {
+          if (req.method === 'HEAD') {
+            res.writeHead(404);
+            return res.end();
+          }
+          return fail(res, 404, 'NoSuchKey');
+        }
+
+        const headers = {
+          'Content-Type': object.contentType || 'application/octet-stream',
+          'Last-Modified': object.mtime.toUTCString(),
+          ...object.metadata
+        };
+        let content = object.body;
+        let statusCode = 200;
+        const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        if (range) {
+          const start = parseInt(range[1]);
+          const end = Math.min(parseInt(range[2]), object.body.length - 1);
+          content = object.body.subarray(start, end + 1);
+          headers['Content-Range'] = `bytes ${start}-${end}/${object.body.length}`;
+          statusCode = 206;
+        }
+        headers['Content-Length'] = content.length;
+        res.writeHead(statusCode, headers);
+        return res.end(req.method === 'HEAD' ? undefined : content);
+      }
+      default:
+        return fail(res, 405, 'MethodNotAllowed');
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startS3Stub
+};
@@ -0,0 +1,196 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const AdmZip = require('adm-zip');
+
+/**
+ * 在子进程中启动服务器，数据目录为临时目录
+ * 服务器模块加载时就会监听端口，只能以独立进程运行
+ */
+
+const ADMIN_KEY = 'lhu_test_admin_key';
+const SERVER_ENTRY = path.join(__dirname, '..', '..', 'server', 'index.js');
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = http.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * 发送请求
+ * @param {string} baseUrl 服务器地址
+ * @param {Object} options method, path, body (Buffer/对象/字符串), headers
+ * @returns {Promise<Object>} { status, headers, body, json }
+ */
+function request(baseUrl, { method = 'GET', path: requestPath, body, headers = {} }) {
+  const payload = body === undefined || Buffer.isBuffer(body) || typeof body === 'string'
+    ? body
+    : JSON.stringify(body);
+  const requestHeaders = { ...headers };
+  if (payload !== undefined) {
+    requestHeaders['content-length'] = Buffer.byteLength(payload);
+    if (!requestHeaders['content-type']) requestHeaders['content-type'] = 'application/json';
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${requestPath}`, { method, headers: requestHeaders }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        let json = null;
+        if ((res.headers['content-type'] || '').includes('application/json')) {
+          json = JSON.parse(data.toString());
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: data, json });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * 生成更新包，上传后服务器会和之前的包做差分，必须是真实的 zip
+ * @param {Object} files 文件名到内容的映射
+ */
+function createPackage(files = { 'main.lynx.bundle': crypto.randomBytes(256) }) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+/**
+ * 构建上传请求体
+ * @param {Object} fields 表单字段
+ * @param {Buffer} content 包内容
+ */
+function buildMultipart(fields, content) {
+  const boundary = `----lynx-test-${crypto.randomBytes(8).toString('hex')}`;
+  const parts = [];
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  }
+  parts.push(
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="package.zip"\r\n` +
+      'Content-Type: application/zip\r\n\r\n'),
+    content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  );
+  return { boundary, body: Buffer.concat(parts) };
+}
+
+/**
+ * 启动服务器并等待健康检查通过
+ * @param {Object} env 额外的环境变量
+ * @returns {Promise<Object>} { url, request, createApp, upload, checkUpdate, stop }
+ */
+async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lynx-server-test-'));
+  const port = await getFreePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ADMIN_ACCESS_KEY: ADMIN_KEY,
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    try {
+      if ((await request(url, { path: '/api/health' })).status === 200) break;
+    } catch (error) {
+      // 还没开始监听
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      throw new Error(`Server did not start: ${stderr}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  const admin = { authorization: `Bearer ${ADMIN_KEY}` };
+  const send = options => request(url, options);
+
+  return {
+    url,
+    dataDir,
+    request: send,
+
+    /**
+     * 创建应用，返回部署名称到密钥的映射
+     */
+    async createApp(name, deployments) {
+      const res = await send({ method: 'POST', path: '/api/apps', body: { name, deployments }, headers: admin });
+      if (res.status !== 201) throw new Error(`Create app failed: ${res.status} ${res.body}`);
+      return Object.fromEntries(res.json.app.deployments.map(deployment => [deployment.name, deployment.key]));
+    },
+
+    /**
+     * 上传发布，自动填写包哈希
+     * @param {Object} options app, deploymentKey, content, fields
+     */
+    upload({ app, deploymentKey, content = createPackage(), fields = {} }) {
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      const { boundary, body } = buildMultipart({ platform: 'android', hash, ...fields }, content);
+      return send({
+        method: 'POST',
+        path: '/api/releases',
+        body,
+        headers: {
+          ...admin,
+          'content-type': `multipart/form-data; boundary=${boundary}`,
+          'x-app-key': app,
+          'x-deployment-key': deploymentKey
+        }
+      });
+    },
+
+    checkUpdate(deploymentKey, body) {
+      return send({
+        method: 'POST',
+        path: '/api/check-update',
+        body: { platform: 'android', ...body },
+        headers: { 'x-deployment-key': deploymentKey }
+      });
+    },
+
+    admin,
+
+    async stop() {
+      child.kill();
+      await exited;
+      await fs.remove(dataDir);
+    }
+  };
+}
+
+module.exports = {
+  ADMIN_KEY,
+  startServer,
+  request,
+  createPackage,
+  buildMultipart
+};
@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { parseBoundary, MultipartParser, receiveMultipartUpload } = require('../server/multipart');
+const { buildMultipart } = require('./helpers/server');
+
+/**
+ * 把请求体按给定的切分点交给解析器，收集解析出的各部分
+ */
+function parseInChunks(boundary, body, cuts) {
+  const parser = new MultipartParser(boundary);
+  const parts = [];
+  let ended = false;
+  parser.on('part', part => parts.push({ ...part, chunks: [] }));
+  parser.on('data', chunk => parts[parts.length - 1].chunks.push(Buffer.from(chunk)));
+  parser.on('end', () => { ended = true; });
+
+  let offset = 0;
+  for (const cut of [...cuts, body.length]) {
+    parser.write(body.subarray(offset, cut));
+    offset = cut;
+  }
+  parser.end();
+
+  assert.ok(ended);
+  return parts.map(part => ({ name: part.name, filename: part.filename, content: Buffer.concat(part.chunks) }));
+}
+
+describe('parseBoundary', () => {
+  it('reads quoted and unquoted boundaries', () => {
+    assert.equal(parseBoundary('multipart/form-data; boundary=abc'), 'abc');
+    assert.equal(parseBoundary('multipart/form-data; boundary="a b"; charset=utf-8'), 'a b');
+    assert.equal(parseBoundary('application/json'), null);
+    assert.equal(parseBoundary(undefined), null);
+  });
+});
+
+describe('MultipartParser', () => {
+  const content = Buffer.concat([Buffer.from('\r\n--not-the-boundary\r\n'), crypto.randomBytes(64)]);
+  const { boundary, body } = buildMultipart({ version: '1.0.0', description: 'fix\r\ncrash' }, content);
+  const expected = [
+    { name: 'version', filename: null, content: Buffer.from('1.0.0') },
+    { name: 'description', filename: null, content: Buffer.from('fix\r\ncrash') },
+    { name: 'file', filename: 'package.zip', content }
+  ];
+
+  it('parses fields and files in one chunk', () => {
+    assert.deepEqual(parseInChunks(boundary, body, []), expected);
+  });
+
+  it('parses the same body split at every offset', () => {
+    for (let cut = 1; cut < body.length; cut++) {
+      assert.deepEqual(parseInChunks(boundary, body, [cut]), expected, `split at ${cut}`);
+    }
+  });
+
+  it('parses the body one byte at a time', () => {
+    const cuts = Array.from({ length: body.length - 1 }, (_, i) => i + 1);
+    assert.deepEqual(parseInChunks(boundary, body, cuts), expected);
+  });
+
+  it('rejects a body without the closing boundary', () => {
+    const truncated = body.subarray(0, body.length - `--${boundary}--\r\n`.length);
+    assert.throws(() => parseInChunks(boundary, truncated, []), { statusCode: 400, message: /Unexpected end/ });
+  });
+
+  it('rejects a malformed boundary line', () => {
+    const malformed = Buffer.from(`--${boundary}XX\r\n\r\n--${boundary}--`);
+    assert.throws(() => parseInChunks(boundary, malformed, []), { statusCode: 400, message: /Malformed/ });
+  });
+
+  it('rejects oversized part headers', () => {
+    const parser = new MultipartParser('b');
+    assert.throws(() => parser.write(Buffer.from(`--b\r\nX-Long: ${'a'.repeat(20 * 1024)}`)), { statusCode: 400 });
+  });
+});
+
+describe('receiveMultipartUpload', () => {
+  let server;
+  let baseUrl;
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lynx-multipart-test-'));
+    server = http.createServer(async (req, res) => {
+      try {
+        const result = await receiveMultipartUpload(req, {
+          boundary: parseBoundary(req.headers['content-type']),
+          tempDir,
+          maxFileSize: 1024,
+          maxFieldSize: 64
+        });
+        const file = result.file && {
+          ...result.file,
+          content: (await fs.readFile(result.file.tempPath)).toString('base64')
+        };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ fields: result.fields, file }));
+      } catch (error) {
+        res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(tempDir);
+  });
+
+  /**
+   * 分几次写入请求体，每次之间稍作等待，让服务器分多个 data 事件收到
+   */
+  function post(boundary, body, chunkSize = body.length) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}/`, {
+        method: 'POST',
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'content-length': body.length }
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, json: JSON.parse(Buffer.concat(chunks)) }));
+      });
+      req.on('error', reject);
+
+      let offset = 0;
+      const writeNext = () => {
+        req.write(body.subarray(offset, offset + chunkSize));
+        offset += chunkSize;
+        if (offset < body.length) {
+          setTimeout(writeNext, 2);
+        } else {
+          req.end();
+        }
+      };
+      writeNext();
+    });
+  }
+
+  async function tempFiles() {
+    return (await fs.readdir(tempDir)).filter(name => name.startsWith('.upload-'));
+  }
+
+  it('writes the file to a temp file and hashes it', async () => {
+    const content = crypto.randomBytes(700);
+    const { boundary, body } = buildMultipart({ platform: 'ios' }, content);
+    const { status, json } = await post(boundary, body, 37);
+
+    assert.equal(status, 200);
+    assert.deepEqual(json.fields, { platform: 'ios' });
+    assert.equal(json.file.filename, 'package.zip');
+    assert.equal(json.file.size, 700);
+    assert.equal(json.file.hash, crypto.createHash('sha256').update(content).digest('hex'));
+    assert.equal(Buffer.from(json.file.content, 'base64').compare(content), 0);
+    await fs.remove(json.file.tempPath);
+  });
+
+  it('rejects oversized files and removes the temp file', async () => {
+    const { boundary, body } = buildMultipart({}, crypto.randomBytes(2048));
+    const { status, json } = await post(boundary, body, 256);
+
+    assert.equal(status, 413);
+    assert.match(json.error, /exceeds 1024 bytes/);
+    assert.deepEqual(await tempFiles(), []);
+  });
+
+  it('rejects oversized fields', async () => {
+    const { boundary, body } = buildMultipart({ description: 'x'.repeat(100) }, Buffer.from('zip'));
+    const { status, json } = await post(boundary, body);
+
+    assert.equal(status, 413);
+    assert.match(json.error, /Field description/);
+  });
+
+  it('rejects a truncated body and removes the temp file', async () => {
+    const { boundary, body } = buildMultipart({}, crypto.randomBytes(100));
+    const { status, json } = await post(boundary, body.subarray(0, body.length - 10));
+
+    assert.equal(status, 400);
+    assert.match(json.error, /Unexpected end/);
+    assert.deepEqual(await tempFiles(), []);
+  });
+});
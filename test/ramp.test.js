@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeRollout,
+  normalizeRamp,
+  getRampState,
+  getEffectiveRollout,
+  getRolloutChanges,
+  describeRamp
+} = require('../src/utils/ramp');
+
+const HOUR = 3600 * 1000;
+const START = Date.parse('2024-05-01T00:00:00Z');
+
+function rampedRelease(extra = {}) {
+  return {
+    rollout: 1,
+    ramp: normalizeRamp('1%@0h,10%@6h,50%@1d,100%@2d'),
+    rampStartedAt: new Date(START).toISOString(),
+    ...extra
+  };
+}
+
+describe('normalizeRollout', () => {
+  it('accepts whole percentages from 0 to 100', () => {
+    assert.equal(normalizeRollout('0'), 0);
+    assert.equal(normalizeRollout(' 25 '), 25);
+    assert.equal(normalizeRollout(100), 100);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['', 'abc', '10%', '12.5', '-1', '101', 12.5, -1, 101, null, true]) {
+      assert.throws(() => normalizeRollout(value), /between 0 and 100/, JSON.stringify(value));
+    }
+  });
+});
+
+describe('normalizeRamp', () => {
+  it('parses step lists and JSON', () => {
+    assert.deepEqual(normalizeRamp('1%@0h, 10%@30m, 100@2d'), [
+      { rollout: 1, hours: 0 },
+      { rollout: 10, hours: 0.5 },
+      { rollout: 100, hours: 48 }
+    ]);
+    assert.deepEqual(normalizeRamp('[{"rollout":5,"hours":0}]'), [{ rollout: 5, hours: 0 }]);
+    assert.equal(normalizeRamp(''), null);
+    assert.equal(normalizeRamp(null), null);
+  });
+
+  it('rejects invalid plans', () => {
+    assert.throws(() => normalizeRamp('10%@1h'), /must start at 0h/);
+    assert.throws(() => normalizeRamp('10%@0h,5%@1h'), /must not lower the rollout/);
+    assert.throws(() => normalizeRamp('10%@0h,20%@0h'), /time order/);
+    assert.throws(() => normalizeRamp('0%@0h'), /between 1 and 100/);
+    assert.throws(() => normalizeRamp('101%@0h'), /between 1 and 100/);
+    assert.throws(() => normalizeRamp('10%@soon'), /Invalid ramp step/);
+    assert.throws(() => normalizeRamp('[oops'), /valid JSON/);
+  });
+});
+
+describe('getRampState', () => {
+  it('follows the plan as time passes', () => {
+    const release = rampedRelease();
+    assert.equal(getEffectiveRollout(release, START), 1);
+    assert.equal(getEffectiveRollout(release, START + 6 * HOUR - 1), 1);
+    assert.equal(getEffectiveRollout(release, START + 6 * HOUR), 10);
+    assert.equal(getEffectiveRollout(release, START + 30 * HOUR), 50);
+    assert.equal(getEffectiveRollout(release, START + 100 * HOUR), 100);
+
+    const state = getRampState(release, START + HOUR);
+    assert.equal(state.index, 0);
+    assert.deepEqual(state.next, { rollout: 10, hours: 6 });
+    assert.equal(state.nextAt.getTime(), START + 6 * HOUR);
+    assert.equal(getRampState(release, START + 100 * HOUR).next, null);
+  });
+
+  it('stops at the step where the release was halted', () => {
+    const release = rampedRelease({ haltedAt: new Date(START + 7 * HOUR).toISOString() });
+    assert.equal(getEffectiveRollout(release, START + 100 * HOUR), 10);
+  });
+
+  it('uses the fixed rollout without a plan', () => {
+    assert.equal(getRampState({ rollout: 30 }), null);
+    assert.equal(getEffectiveRollout({ rollout: 30 }), 30);
+  });
+});
+
+describe('getRolloutChanges', () => {
+  it('starts a plan now', () => {
+    const ramp = normalizeRamp('5%@0h,100%@1d');
+    assert.deepEqual(getRolloutChanges({ rollout: 100 }, { ramp }, START), {
+      ramp,
+      rampStartedAt: new Date(START).toISOString(),
+      rollout: 5
+    });
+  });
+
+  it('cancels the plan when a rollout is set, or keeps the current step', () => {
+    const release = rampedRelease();
+    assert.deepEqual(getRolloutChanges(release, { rollout: 20 }, START + 7 * HOUR),
+      { ramp: null, rampStartedAt: null, rollout: 20 });
+    assert.deepEqual(getRolloutChanges(release, { ramp: null }, START + 7 * HOUR),
+      { ramp: null, rampStartedAt: null, rollout: 10 });
+  });
+
+  it('only changes the rollout of releases without a plan', () => {
+    assert.deepEqual(getRolloutChanges({ rollout: 100 }, { rollout: 0 }), { rollout: 0 });
+    assert.deepEqual(getRolloutChanges({ rollout: 100 }, {}), {});
+  });
+});
+
+describe('describeRamp', () => {
+  it('prints days for whole days', () => {
+    assert.equal(describeRamp(normalizeRamp('1%@0h,10%@90m,100%@2d')), '1%@0h → 10%@1.5h → 100%@2d');
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRules, matchesRules, describeRules } = require('../src/utils/rules');
+
+describe('normalizeRules', () => {
+  it('normalizes single values to lists', () => {
+    assert.deepEqual(normalizeRules('{"osVersion":">=14","deviceModel":"Pixel 8","attrs":{"tier":"vip"}}'), {
+      osVersion: '>=14',
+      deviceModel: ['Pixel 8'],
+      attrs: { tier: ['vip'] }
+    });
+    assert.equal(normalizeRules({}), null);
+    assert.equal(normalizeRules({ attrs: {} }), null);
+  });
+
+  it('rejects invalid rules', () => {
+    assert.throws(() => normalizeRules({ country: 'CN' }), /Unknown rule country/);
+    assert.throws(() => normalizeRules({ osVersion: 'newest' }), /semver range/);
+    assert.throws(() => normalizeRules({ locale: [] }), /non-empty list/);
+    assert.throws(() => normalizeRules({ attrs: { tier: [1] } }), /attrs\.tier/);
+    assert.throws(() => normalizeRules('[1]'), /must be an object/);
+  });
+});
+
+describe('matchesRules', () => {
+  it('matches every device without rules', () => {
+    assert.ok(matchesRules(null, {}));
+  });
+
+  it('compares OS versions as semver', () => {
+    const rules = normalizeRules({ osVersion: '>=14 <17' });
+    assert.ok(matchesRules(rules, { osVersion: '14' }));
+    assert.ok(matchesRules(rules, { osVersion: '16.4.1' }));
+    assert.ok(!matchesRules(rules, { osVersion: '17.0' }));
+    assert.ok(!matchesRules(rules, { osVersion: '13.9' }));
+    assert.ok(!matchesRules(rules, {}));
+  });
+
+  it('matches device models case-insensitively', () => {
+    const rules = normalizeRules({ deviceModel: ['Pixel 8', 'iPhone15,2'] });
+    assert.ok(matchesRules(rules, { deviceModel: 'pixel 8' }));
+    assert.ok(!matchesRules(rules, { deviceModel: 'Pixel 8 Pro' }));
+  });
+
+  it('matches locales by language or exact region', () => {
+    const rules = normalizeRules({ locale: ['zh', 'en-GB'] });
+    assert.ok(matchesRules(rules, { locale: 'zh_CN' }));
+    assert.ok(matchesRules(rules, { locale: 'zh-Hant-TW' }));
+    assert.ok(matchesRules(rules, { locale: 'en-gb' }));
+    assert.ok(!matchesRules(rules, { locale: 'en-US' }));
+    assert.ok(!matchesRules(rules, { locale: 'zhx' }));
+  });
+
+  it('requires every custom attribute', () => {
+    const rules = normalizeRules({ attrs: { tier: ['vip', 'staff'], beta: 'true' } });
+    assert.ok(matchesRules(rules, { attrs: { tier: 'vip', beta: true } }));
+    assert.ok(!matchesRules(rules, { attrs: { tier: 'vip' } }));
+    assert.ok(!matchesRules(rules, { attrs: { tier: 'free', beta: 'true' } }));
+  });
+
+  it('requires all conditions together', () => {
+    const rules = normalizeRules({ osVersion: '>=14', locale: 'en' });
+    assert.ok(matchesRules(rules, { osVersion: '15', locale: 'en-US' }));
+    assert.ok(!matchesRules(rules, { osVersion: '15', locale: 'fr' }));
+    assert.equal(describeRules(rules), 'os >=14, locale en');
+  });
+});
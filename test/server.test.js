@@ -0,0 +1,363 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, createPackage } = require('./helpers/server');
+
+describe('server', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function publish(app, deploymentKey, fields, content) {
+    const res = await server.upload({ app, deploymentKey, content, fields });
+    assert.equal(res.status, 200, res.body.toString());
+    return res.json.release;
+  }
+
+  function patchRelease(deploymentKey, release, changes) {
+    return server.request({
+      method: 'PATCH',
+      path: `/api/releases/${deploymentKey}/android/${release.label}`,
+      body: changes,
+      headers: server.admin
+    });
+  }
+
+  function reportInstall(deploymentKey, release, status, deviceId) {
+    return server.request({
+      method: 'POST',
+      path: '/api/report-install',
+      body: { deploymentKey, platform: 'android', version: release.version, label: release.label, status, deviceId }
+    });
+  }
+
+  describe('downloads', () => {
+    const content = createPackage({ 'main.lynx.bundle': crypto.randomBytes(1000) });
+    let release;
+
+    before(async () => {
+      const keys = await server.createApp('downloads');
+      release = await publish('downloads', keys.production, { version: '1.0.0' }, content);
+    });
+
+    function download(headers = {}, method = 'GET') {
+      return server.request({ method, path: `/api/download/${release.filename}`, headers });
+    }
+
+    it('serves the whole package with validators', async () => {
+      const res = await download();
+      assert.equal(res.status, 200);
+      assert.equal(res.body.compare(content), 0);
+      assert.equal(res.headers.etag, `"${release.hash}"`);
+      assert.equal(res.headers['accept-ranges'], 'bytes');
+      assert.match(res.headers['cache-control'], /immutable/);
+    });
+
+    it('serves byte ranges', async () => {
+      let res = await download({ range: 'bytes=100-199' });
+      assert.equal(res.status, 206);
+      assert.equal(res.headers['content-range'], `bytes 100-199/${content.length}`);
+      assert.equal(res.body.compare(content.subarray(100, 200)), 0);
+
+      res = await download({ range: `bytes=${content.length - 10}-` });
+      assert.equal(res.headers['content-range'], `bytes ${content.length - 10}-${content.length - 1}/${content.length}`);
+      assert.equal(res.body.compare(content.subarray(content.length - 10)), 0);
+
+      res = await download({ range: 'bytes=-5' });
+      assert.equal(res.body.compare(content.subarray(content.length - 5)), 0);
+
+      res = await download({ range: 'bytes=900-999999' });
+      assert.equal(res.headers['content-range'], `bytes 900-${content.length - 1}/${content.length}`);
+    });
+
+    it('rejects unsatisfiable ranges and ignores malformed ones', async () => {
+      let res = await download({ range: `bytes=${content.length}-` });
+      assert.equal(res.status, 416);
+      assert.equal(res.headers['content-range'], `bytes */${content.length}`);
+
+      res = await download({ range: 'bytes=-0' });
+      assert.equal(res.status, 416);
+
+      res = await download({ range: 'items=0-1' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, content.length);
+    });
+
+    it('honours If-Range', async () => {
+      let res = await download({ range: 'bytes=0-9', 'if-range': `"${release.hash}"` });
+      assert.equal(res.status, 206);
+
+      res = await download({ range: 'bytes=0-9', 'if-range': '"stale"' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, content.length);
+
+      res = await download({ range: 'bytes=0-9', 'if-range': new Date(Date.now() + 60000).toUTCString() });
+      assert.equal(res.status, 206);
+
+      res = await download({ range: 'bytes=0-9', 'if-range': new Date(0).toUTCString() });
+      assert.equal(res.status, 200);
+    });
+
+    it('answers conditional and HEAD requests without a body', async () => {
+      let res = await download({ 'if-none-match': `"other", "${release.hash}"` });
+      assert.equal(res.status, 304);
+      assert.equal(res.body.length, 0);
+
+      res = await download({}, 'HEAD');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['content-length'], String(content.length));
+      assert.equal(res.body.length, 0);
+    });
+
+    it('does not serve files outside the package directory', async () => {
+      for (const name of ['..%2Fdb.sqlite', '.upload-x.tmp', 'missing.zip']) {
+        const res = await server.request({ path: `/api/download/${name}` });
+        assert.equal(res.status, 404, name);
+      }
+    });
+  });
+
+  describe('rollout and testers', () => {
+    let keys;
+    let release;
+
+    before(async () => {
+      keys = await server.createApp('rollout');
+      await publish('rollout', keys.production, { version: '1.0.0' });
+      release = await publish('rollout', keys.production, { version: '1.1.0' });
+    });
+
+    async function offered(deviceId, body = {}) {
+      const res = await server.checkUpdate(keys.production, { currentVersion: '1.0.0', deviceId, ...body });
+      assert.equal(res.status, 200);
+      return res.json.updateAvailable ? res.json.label : null;
+    }
+
+    it('offers a partial rollout to a stable share of devices', async () => {
+      assert.equal((await patchRelease(keys.production, release, { rollout: 30 })).status, 200);
+
+      const devices = Array.from({ length: 200 }, (_, i) => `device-${i}`);
+      const first = await Promise.all(devices.map(deviceId => offered(deviceId)));
+      const second = await Promise.all(devices.map(deviceId => offered(deviceId)));
+      assert.deepEqual(second, first);
+
+      const share = first.filter(Boolean).length / devices.length;
+      assert.ok(share > 0.15 && share < 0.45, `share ${share}`);
+
+      // 提高比例时已命中的设备仍在范围内
+      await patchRelease(keys.production, release, { rollout: 60 });
+      const wider = await Promise.all(devices.map(deviceId => offered(deviceId)));
+      first.forEach((label, i) => {
+        if (label) assert.equal(wider[i], label);
+      });
+    });
+
+    it('lets allow-listed devices skip the rollout and deny-listed devices skip the release', async () => {
+      await patchRelease(keys.production, release, { rollout: 0 });
+      assert.equal(await offered('tester-1'), null);
+
+      const testers = `/api/apps/rollout/deployments/production/testers`;
+      let res = await server.request({ method: 'POST', path: testers, body: { ids: ['tester-1'] }, headers: server.admin });
+      assert.equal(res.status, 200, res.body.toString());
+      assert.equal(await offered('tester-1'), release.label);
+
+      await patchRelease(keys.production, release, { rollout: 100 });
+      res = await server.request({
+        method: 'POST',
+        path: testers,
+        body: { ids: ['blocked-1'], list: 'deny', release: release.label },
+        headers: server.admin
+      });
+      assert.equal(res.status, 200, res.body.toString());
+      assert.equal(await offered('blocked-1'), null);
+      assert.equal(await offered('anyone-else'), release.label);
+    });
+
+    it('applies targeting rules', async () => {
+      await patchRelease(keys.production, release, { rules: { osVersion: '>=14' } });
+      assert.equal(await offered('device-a', { osVersion: '15.1' }), release.label);
+      assert.equal(await offered('device-a', { osVersion: '13' }), null);
+      await patchRelease(keys.production, release, { rules: null });
+    });
+  });
+
+  describe('release layering', () => {
+    let keys;
+
+    before(async () => {
+      keys = await server.createApp('layering');
+    });
+
+    async function check(deviceId, current) {
+      const res = await server.checkUpdate(keys.production, {
+        deviceId, currentVersion: current.version, currentLabel: current.label
+      });
+      assert.equal(res.status, 200);
+      return res.json;
+    }
+
+    it('falls back to the previous release for devices outside a partial rollout', async () => {
+      const base = await publish('layering', keys.production, { version: '1.0.0' });
+      const stable = await publish('layering', keys.production, { version: '1.1.0' });
+      const partial = await publish('layering', keys.production, { version: '1.2.0', rollout: '0' });
+
+      const offer = await check('device-1', base);
+      assert.equal(offer.label, stable.label);
+
+      await patchRelease(keys.production, partial, { rollout: 100 });
+      assert.equal((await check('device-1', base)).label, partial.label);
+    });
+
+    it('still delivers a rollback to devices outside a newer partial rollout', async () => {
+      const bad = await publish('layering', keys.production, { version: '1.3.0' });
+      const res = await server.request({
+        method: 'POST',
+        path: `/api/releases/${keys.production}/android/rollback`,
+        body: {},
+        headers: server.admin
+      });
+      assert.equal(res.status, 200, res.body.toString());
+      const rollback = res.json.release;
+
+      const next = await publish('layering', keys.production, { version: '1.4.0', rollout: '30' });
+
+      const devices = Array.from({ length: 50 }, (_, i) => `device-${i}`);
+      const offers = await Promise.all(devices.map(deviceId => check(deviceId, bad)));
+      const labels = new Set(offers.map(offer => offer.label));
+      assert.deepEqual([...labels].sort(), [next.label, rollback.label].sort());
+      for (const offer of offers.filter(offer => offer.label === rollback.label)) {
+        assert.equal(offer.rollback, true);
+      }
+
+      // 已经回滚的设备不在灰度范围内时保持不变
+      const current = await check('device-0', rollback);
+      assert.ok(!current.updateAvailable || current.label === next.label);
+    });
+  });
+
+  describe('access keys', () => {
+    function createKey(body) {
+      return server.request({ method: 'POST', path: '/api/access-keys', body, headers: server.admin });
+    }
+
+    it('refuses to scope a key to an app that does not exist', async () => {
+      const res = await createKey({ name: 'ci', scopes: 'publish', app: 'no-such-app' });
+      assert.equal(res.status, 404);
+      assert.equal(res.json.error, 'Unknown app no-such-app');
+
+      const apps = await server.request({ path: '/api/apps', headers: server.admin });
+      assert.ok(!JSON.stringify(apps.json).includes('no-such-app'));
+    });
+
+    it('scopes keys to existing apps', async () => {
+      await server.createApp('keys');
+      const res = await createKey({ name: 'ci', scopes: 'publish', app: 'keys' });
+      assert.equal(res.status, 201);
+      assert.equal(res.json.accessKey.app, 'keys');
+    });
+  });
+
+  describe('rollout validation', () => {
+    let keys;
+
+    before(async () => {
+      keys = await server.createApp('validation');
+    });
+
+    it('publishes at 100% only when no rollout is given', async () => {
+      assert.equal((await publish('validation', keys.production, { version: '1.0.0' })).rollout, 100);
+      assert.equal((await publish('validation', keys.production, { version: '1.0.1', rollout: '0' })).rollout, 0);
+    });
+
+    it('rejects uploads with an invalid rollout', async () => {
+      for (const rollout of ['abc', '150', '-5', '12.5', '']) {
+        const res = await server.upload({ app: 'validation', deploymentKey: keys.production, fields: { version: '1.0.2', rollout } });
+        assert.equal(res.status, 400, rollout);
+        assert.match(res.json.error, /between 0 and 100/);
+      }
+    });
+
+    it('rejects patches and promotions with an invalid rollout', async () => {
+      const release = { label: 'v2' };
+      for (const rollout of [150, -1, 'abc', 12.5, null]) {
+        const res = await patchRelease(keys.production, release, { rollout });
+        assert.equal(res.status, 400, JSON.stringify(rollout));
+      }
+      assert.equal((await patchRelease(keys.production, release, { rollout: 0 })).json.release.rollout, 0);
+
+      const res = await server.request({
+        method: 'POST',
+        path: `/api/releases/${keys.production}/android/promote`,
+        body: { targetDeploymentKey: keys.staging, rollout: 101 },
+        headers: server.admin
+      });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('health policy', () => {
+    let keys;
+
+    before(async () => {
+      keys = await server.createApp('health');
+    });
+
+    async function getRelease(release) {
+      const res = await server.request({ path: `/api/releases/${keys.production}/android`, headers: server.admin });
+      return res.json.releases.find(other => other.label === release.label);
+    }
+
+    it('halts a release once the failure rate exceeds the policy', async () => {
+      const release = await publish('health', keys.production, {
+        version: '2.0.0',
+        healthPolicy: JSON.stringify({ maxFailureRate: 50, minReports: 4 })
+      });
+
+      await reportInstall(keys.production, release, 'success', 'device-1');
+      await reportInstall(keys.production, release, 'failure', 'device-2');
+      await reportInstall(keys.production, release, 'failure', 'device-3');
+      assert.equal((await getRelease(release)).haltedAt, null);
+
+      await reportInstall(keys.production, release, 'failure', 'device-4');
+      const halted = await getRelease(release);
+      assert.ok(halted.haltedAt);
+      assert.equal(halted.disabled, true);
+      assert.match(halted.haltReason, /75\.0%/);
+    });
+
+    it('counts one result per device', async () => {
+      const release = await publish('health', keys.production, {
+        version: '2.1.0',
+        healthPolicy: JSON.stringify({ maxFailureRate: 50, minReports: 4 })
+      });
+
+      for (let i = 0; i < 5; i++) {
+        const res = await reportInstall(keys.production, release, 'failure', 'flaky-device');
+        assert.equal(res.json.duplicate, i > 0 ? true : undefined);
+      }
+      const current = await getRelease(release);
+      assert.equal(current.failureCount, 1);
+      assert.equal(current.haltedAt, null);
+    });
+
+    it('still counts reports from older SDKs without a device ID', async () => {
+      const release = await publish('health', keys.production, { version: '2.2.0' });
+
+      for (let i = 0; i < 3; i++) {
+        const res = await reportInstall(keys.production, release, 'success');
+        assert.equal(res.status, 200);
+        assert.equal(res.json.duplicate, undefined);
+      }
+      assert.equal((await getRelease(release)).installCount, 3);
+
+      const res = await reportInstall(keys.production, release, 'success', 42);
+      assert.equal(res.status, 400);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const S3Storage = require('../server/storage/s3');
+const { startS3Stub } = require('./helpers/s3-stub');
+
+const CREDENTIALS = { accessKeyId: 'test-key', secretAccessKey: 'test-secret' };
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, async (res) => resolve({ statusCode: res.statusCode, body: await readStream(res) })).on('error', reject);
+  });
+}
+
+describe('S3Storage', () => {
+  let stub;
+  let storage;
+  let tempDir;
+
+  before(async () => {
+    // 每页两个对象，三个以上的包就会分页
+    stub = await startS3Stub({ bucket: 'updates', pageSize: 2, ...CREDENTIALS });
+    storage = new S3Storage({ endpoint: stub.endpoint, bucket: 'updates', prefix: 'lynx', ...CREDENTIALS });
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lynx-s3-test-'));
+  });
+
+  after(async () => {
+    await stub.close();
+    await fs.remove(tempDir);
+  });
+
+  async function putPackage(name, content, hash) {
+    const filePath = path.join(tempDir, name);
+    await fs.writeFile(filePath, content);
+    await storage.putPackage(name, filePath, { hash });
+  }
+
+  it('stores packages under the prefix with the hash as metadata', async () => {
+    await putPackage('app-android-1.0.0.zip', '0123456789', 'abc123');
+
+    const object = stub.objects.get('lynx/packages/app-android-1.0.0.zip');
+    assert.equal(object.body.toString(), '0123456789');
+    assert.equal(object.metadata['x-amz-meta-sha256'], 'abc123');
+    assert.deepEqual(await storage.getPackage('app-android-1.0.0.zip'), Buffer.from('0123456789'));
+  });
+
+  it('stats packages and returns null for missing ones', async () => {
+    const stats = await storage.statPackage('app-android-1.0.0.zip');
+    assert.equal(stats.size, 10);
+    assert.equal(stats.hash, 'abc123');
+    assert.ok(stats.mtime instanceof Date && !isNaN(stats.mtime));
+
+    assert.equal(await storage.statPackage('missing.zip'), null);
+  });
+
+  it('streams a byte range', async () => {
+    const res = await storage.createPackageStream('app-android-1.0.0.zip', { start: 2, end: 5 });
+    assert.equal(res.statusCode, 206);
+    assert.equal(res.headers['content-range'], 'bytes 2-5/10');
+    assert.equal((await readStream(res)).toString(), '2345');
+  });
+
+  it('lists packages across truncated pages', async () => {
+    await putPackage('app-android-1.0.1.zip', 'a');
+    await putPackage('app-ios-1.0.0.zip', 'bb');
+    await storage.putMetadata('releases/key-android.json', []);
+
+    const packages = await storage.listPackages();
+    assert.deepEqual(packages.map(pkg => pkg.name), [
+      'app-android-1.0.0.zip',
+      'app-android-1.0.1.zip',
+      'app-ios-1.0.0.zip'
+    ]);
+    assert.equal(packages[2].size, 2);
+
+    const lists = stub.requests.filter(request => request.query['list-type'] === '2');
+    assert.ok(lists.some(request => request.query['continuation-token']), 'expected a second page request');
+    assert.ok(lists.every(request => request.query.prefix === 'lynx/packages/'));
+  });
+
+  it('deletes packages', async () => {
+    await storage.deletePackage('app-android-1.0.1.zip');
+    assert.equal(await storage.statPackage('app-android-1.0.1.zip'), null);
+    assert.ok(!stub.objects.has('lynx/packages/app-android-1.0.1.zip'));
+  });
+
+  it('reads and writes metadata', async () => {
+    assert.equal(await storage.getMetadata('stats.json'), null);
+
+    await storage.putMetadata('releases/key-ios.json', [{ version: '1.0.0' }]);
+    assert.deepEqual(await storage.getMetadata('releases/key-ios.json'), [{ version: '1.0.0' }]);
+    assert.deepEqual(
+      (await storage.listMetadata('releases')).sort(),
+      ['releases/key-android.json', 'releases/key-ios.json']
+    );
+
+    await storage.deleteMetadata('releases/key-ios.json');
+    assert.equal(await storage.getMetadata('releases/key-ios.json'), null);
+  });
+
+  it('creates presigned download URLs the server accepts', async () => {
+    const url = await storage.getPackageUrl('app-ios-1.0.0.zip', { expiresIn: 60 });
+    const { statusCode, body } = await get(url);
+    assert.equal(statusCode, 200);
+    assert.equal(body.toString(), 'bb');
+
+    const tampered = await get(url.replace('app-ios-1.0.0.zip', 'app-android-1.0.0.zip'));
+    assert.equal(tampered.statusCode, 403);
+    assert.match(tampered.body.toString(), /SignatureDoesNotMatch/);
+  });
+
+  it('fails requests signed with the wrong secret', async () => {
+    const wrong = new S3Storage({
+      endpoint: stub.endpoint,
+      bucket: 'updates',
+      accessKeyId: CREDENTIALS.accessKeyId,
+      secretAccessKey: 'not-the-secret'
+    });
+    await assert.rejects(wrong.getPackage('app-ios-1.0.0.zip'), { statusCode: 403, code: 'SignatureDoesNotMatch' });
+  });
+
+  it('rejects package names with path separators before sending a request', async () => {
+    const count = stub.requests.length;
+    await assert.rejects(storage.statPackage('../releases/key-android.json'), { statusCode: 400 });
+    assert.equal(stub.requests.length, count);
+  });
+});